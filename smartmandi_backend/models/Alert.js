@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Where the alert came from, e.g. the scheduled task name
+  source: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledged_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+alertSchema.index({ acknowledged: 1, created_at: -1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -7,6 +7,10 @@ const citySchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  state: {
+    type: String,
+    trim: true,
+  },
   is_active: {
     type: Boolean,
     default: true,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const competitorPriceSchema = new mongoose.Schema({
+  product_id: {
+    type: String,
+    required: true
+  },
+  product_name: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  competitor: {
+    type: String,
+    required: true
+  },
+  // null means the competitor's price applies in every city
+  city: {
+    type: String,
+    default: null
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  observed_at: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['api', 'csv'],
+    default: 'api'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+competitorPriceSchema.index({ product_id: 1, competitor: 1, city: 1, observed_at: 1 }, { unique: true });
+competitorPriceSchema.index({ product_id: 1, observed_at: -1 });
+
+module.exports = mongoose.model('CompetitorPrice', competitorPriceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const demandActualSchema = new mongoose.Schema({
+  product_id: {
+    type: String,
+    required: true
+  },
+  product_name: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  city: {
+    type: String,
+    required: true
+  },
+  // Day of the sale, stored as UTC midnight like DemandForecast.forecast_date
+  sale_date: {
+    type: Date,
+    required: true
+  },
+  units_sold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['api', 'csv'],
+    default: 'api'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+demandActualSchema.index({ product_id: 1, city: 1, sale_date: 1 }, { unique: true });
+demandActualSchema.index({ sale_date: 1 });
+
+module.exports = mongoose.model('DemandActual', demandActualSchema);
@@ -31,6 +31,24 @@ const demandForecastSchema = new mongoose.Schema({
     min: 0,
     default: null
   },
+  lower_bound: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  upper_bound: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  forecast_method: {
+    type: String,
+    enum: ['autots', 'rule_based_fallback']
+  },
+  horizon_days: {
+    type: Number,
+    min: 0
+  },
   confidence_score: {
     type: Number,
     min: 0,
@@ -41,6 +59,31 @@ const demandForecastSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  holiday_name: {
+    type: String,
+    default: null
+  },
+  days_to_holiday: {
+    type: Number,
+    default: null
+  },
+  // Weather the forecast was adjusted for, and the units it added (or removed)
+  temperature_c: {
+    type: Number,
+    default: null
+  },
+  rainfall_mm: {
+    type: Number,
+    default: null
+  },
+  weather_factor: {
+    type: Number,
+    default: 1
+  },
+  weather_contribution_units: {
+    type: Number,
+    default: 0
+  },
   day_of_week: {
     type: String,
     enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
@@ -53,6 +96,20 @@ const demandForecastSchema = new mongoose.Schema({
   year: {
     type: Number
   },
+  seed: {
+    type: Number,
+    default: null
+  },
+  // Forecast run that produced this forecast; re-running a forecast keeps
+  // older runs for the same product/city/date as history (is_current: false)
+  run_id: {
+    type: String,
+    index: true
+  },
+  is_current: {
+    type: Boolean,
+    default: true
+  },
   model_version: {
     type: String,
     default: '1.0'
@@ -64,7 +121,7 @@ const demandForecastSchema = new mongoose.Schema({
 });
 
 // Compound index for efficient querying
-demandForecastSchema.index({ product_id: 1, city: 1, forecast_date: 1 });
+demandForecastSchema.index({ product_id: 1, city: 1, forecast_date: 1, is_current: 1 });
 demandForecastSchema.index({ forecast_date: 1 });
 demandForecastSchema.index({ category: 1, city: 1 });
 
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const forecastJobSchema = new mongoose.Schema({
+  job_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Forecast run the job's predictions are saved under
+  run_id: {
+    type: String,
+    default: null
+  },
+  requested_by: {
+    type: String,
+    default: 'anonymous'
+  },
+  parameters: {
+    forecast_days: Number,
+    start_date: String,
+    seed: Number,
+    cities: [String],
+    chunk_size: Number
+  },
+  products: [{
+    _id: false,
+    product_id: String,
+    product_name: String,
+    category: String
+  }],
+  progress: {
+    total_chunks: { type: Number, default: 0 },
+    completed_chunks: { type: Number, default: 0 },
+    failed_chunks: { type: Number, default: 0 },
+    total_predictions: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 }
+  },
+  cancel_requested: {
+    type: Boolean,
+    default: false
+  },
+  // Named job_errors because `errors` is reserved by mongoose documents
+  job_errors: [String],
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  started_at: {
+    type: Date,
+    default: null
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  }
+});
+
+forecastJobSchema.index({ status: 1, created_at: 1 });
+forecastJobSchema.index({ created_at: -1 });
+
+module.exports = mongoose.model('ForecastJob', forecastJobSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const forecastRunSchema = new mongoose.Schema({
+  run_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  requested_by: {
+    type: String,
+    default: 'anonymous'
+  },
+  source: {
+    type: String,
+    enum: ['api', 'rerun', 'job'],
+    default: 'api'
+  },
+  rerun_of: {
+    type: String,
+    default: null
+  },
+  // Everything needed to re-run the forecast exactly
+  parameters: {
+    forecast_days: Number,
+    // First forecast date (YYYY-MM-DD), so a re-run forecasts the same days
+    start_date: String,
+    seed: Number,
+    cities: [String]
+  },
+  products: [{
+    _id: false,
+    product_id: String,
+    product_name: String,
+    category: String
+  }],
+  model_version: {
+    type: String,
+    default: null
+  },
+  model_file_hash: {
+    type: String,
+    default: null
+  },
+  forecast_methods: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  total_predictions: {
+    type: Number,
+    default: 0
+  },
+  saved_predictions: {
+    type: Number,
+    default: 0
+  },
+  // Named run_errors because `errors` is reserved by mongoose documents
+  run_errors: [String],
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: null
+  }
+});
+
+forecastRunSchema.index({ started_at: -1 });
+forecastRunSchema.index({ status: 1, started_at: -1 });
+forecastRunSchema.index({ 'products.product_id': 1 });
+
+module.exports = mongoose.model('ForecastRun', forecastRunSchema);
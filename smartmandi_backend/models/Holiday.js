@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  // National holidays apply everywhere; regional ones only to the listed states/cities
+  scope: {
+    type: String,
+    enum: ['national', 'regional'],
+    default: 'national',
+  },
+  states: [{
+    type: String,
+    trim: true,
+  }],
+  cities: [{
+    type: String,
+    trim: true,
+  }],
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+holidaySchema.index({ name: 1, date: 1 }, { unique: true });
+holidaySchema.index({ date: 1 });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const markdownPlanSchema = new mongoose.Schema({
+  product_id: {
+    type: String,
+    required: true
+  },
+  product_name: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  // null means the product-wide price and stock
+  city: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled', 'superseded'],
+    default: 'active'
+  },
+  // Price the discounts are taken from
+  base_price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cost_price: {
+    type: Number,
+    default: null
+  },
+  initial_stock: {
+    type: Number,
+    required: true
+  },
+  elasticity: {
+    type: Number,
+    required: true
+  },
+  elasticity_source: {
+    type: String,
+    default: 'default'
+  },
+  // Days are UTC midnights; the product expires at the end of the last day
+  start_date: {
+    type: Date,
+    required: true
+  },
+  expiry_date: {
+    type: Date,
+    required: true
+  },
+  // Product's days_left when the plan was made, to tell a stale days_left
+  // from an updated one when the product has no batch expiry dates
+  product_days_left: {
+    type: Number,
+    default: null
+  },
+  schedule: [{
+    _id: false,
+    day: Number,
+    date: Date,
+    discount_pct: Number,
+    price: Number,
+    stock_at_start: Number,
+    expected_units: Number,
+    expected_leftover: Number,
+    recommendation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceRecommendation',
+      default: null
+    }
+  }],
+  expected_waste_units: {
+    type: Number,
+    default: 0
+  },
+  expected_revenue: {
+    type: Number,
+    default: 0
+  },
+  created_by: {
+    type: String,
+    default: 'anonymous'
+  },
+  replanned_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  }
+});
+
+markdownPlanSchema.index({ product_id: 1, city: 1, status: 1 });
+markdownPlanSchema.index({ status: 1, expiry_date: 1 });
+
+module.exports = mongoose.model('MarkdownPlan', markdownPlanSchema);
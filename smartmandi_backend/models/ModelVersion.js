@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const modelVersionSchema = new mongoose.Schema({
+  model_type: {
+    type: String,
+    enum: ['demand', 'pricing'],
+    required: true
+  },
+  // Stamped as model_version on forecasts and recommendations made with it
+  version: {
+    type: String,
+    required: true
+  },
+  // candidate until activated; the version it replaces is retired
+  status: {
+    type: String,
+    enum: ['candidate', 'active', 'retired'],
+    default: 'candidate'
+  },
+  artifact_path: {
+    type: String,
+    required: true
+  },
+  artifact_sha256: {
+    type: String,
+    required: true
+  },
+  // Pricing models only: feature columns and schema saved with the model
+  features_path: {
+    type: String,
+    default: null
+  },
+  schema_path: {
+    type: String,
+    default: null
+  },
+  trained_at: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 (or other fingerprint) of the data the model was trained on
+  dataset_hash: {
+    type: String,
+    default: null
+  },
+  // Evaluation metrics reported at training time, e.g. { mae, rmse, r2 }
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // builtin (the files shipped with the repo), register, upload or training
+  source: {
+    type: String,
+    default: 'register'
+  },
+  registered_by: {
+    type: String,
+    default: 'anonymous'
+  },
+  // Version that was active before this one was activated; rollback returns to it
+  previous_version_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelVersion',
+    default: null
+  },
+  activated_at: {
+    type: Date,
+    default: null
+  },
+  activated_by: {
+    type: String,
+    default: null
+  },
+  retired_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+modelVersionSchema.index({ model_type: 1, version: 1 }, { unique: true });
+modelVersionSchema.index({ model_type: 1, status: 1 });
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
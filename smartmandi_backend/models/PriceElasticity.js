@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const priceElasticitySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['product', 'category'],
+    required: true
+  },
+  product_id: {
+    type: String,
+    default: null
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  // null means estimated across all cities
+  city: {
+    type: String,
+    default: null
+  },
+  // Percent change in units sold for a 1% change in price (log-log slope)
+  elasticity: {
+    type: Number,
+    required: true
+  },
+  standard_error: {
+    type: Number,
+    default: null
+  },
+  r_squared: {
+    type: Number,
+    default: null
+  },
+  // Days with both a known price and units sold
+  observations: {
+    type: Number,
+    default: 0
+  },
+  distinct_prices: {
+    type: Number,
+    default: 0
+  },
+  // Enough data and a negative slope; only reliable estimates adjust prices
+  is_reliable: {
+    type: Boolean,
+    default: false
+  },
+  period_start: {
+    type: Date,
+    default: null
+  },
+  period_end: {
+    type: Date,
+    default: null
+  },
+  estimated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceElasticitySchema.index({ scope: 1, product_id: 1, category: 1, city: 1 }, { unique: true });
+priceElasticitySchema.index({ category: 1, city: 1 });
+
+module.exports = mongoose.model('PriceElasticity', priceElasticitySchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema({
+  product_id: {
+    type: String,
+    required: true
+  },
+  product_name: {
+    type: String,
+    default: null
+  },
+  // Set for city-specific prices; null means the product-wide price
+  city: {
+    type: String,
+    default: null
+  },
+  old_price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  new_price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  change_percentage: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'recommendation', 'bulk', 'revert'],
+    required: true
+  },
+  // Recommendation that caused (or was undone by) this change
+  recommendation_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceRecommendation',
+    default: null
+  },
+  // For reverts, the history entry being undone
+  reverts: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceHistory',
+    default: null
+  },
+  changed_by: {
+    type: String,
+    default: 'anonymous'
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ product_id: 1, changed_at: -1 });
+priceHistorySchema.index({ product_id: 1, city: 1, changed_at: -1 });
+priceHistorySchema.index({ recommendation_id: 1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
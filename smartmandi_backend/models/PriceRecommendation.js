@@ -14,6 +14,11 @@ module.exports = (mongoose) => {
       type: String,
       required: true
     },
+    // City whose price this recommends; null for the product-wide price
+    city: {
+      type: String,
+      default: null
+    },
     current_price: {
       type: Number,
       required: true,
@@ -24,10 +29,103 @@ module.exports = (mongoose) => {
       required: true,
       min: 0
     },
+    // Price proposed by the model or fallback before elasticity and guardrails
+    raw_recommended_price: {
+      type: Number,
+      default: null
+    },
+    // Guardrail rules that moved the price, in the order applied
+    guardrails_applied: [{
+      _id: false,
+      rule: String,
+      limit: Number,
+      price_before: Number,
+      price_after: Number
+    }],
+    // Set when the guardrails could not be loaded; such recommendations always need approval
+    guardrails_unavailable: {
+      type: Boolean,
+      default: false
+    },
     price_change_percentage: {
       type: Number,
       required: true
     },
+    // Price elasticity used for the recommendation, if a reliable estimate exists
+    elasticity: {
+      value: { type: Number, default: null },
+      scope: { type: String, default: null },
+      city: { type: String, default: null },
+      observations: { type: Number, default: null }
+    },
+    // Price move before and after damping for elasticity
+    elasticity_adjustment: {
+      price_before: { type: Number, default: null },
+      price_after: { type: Number, default: null }
+    },
+    // Demand and revenue change expected from the new price given the elasticity
+    expected_demand_change_pct: {
+      type: Number,
+      default: null
+    },
+    expected_revenue_change_pct: {
+      type: Number,
+      default: null
+    },
+    // Today's weather for the product and the price change it caused
+    weather: {
+      temperature_c: { type: Number, default: null },
+      rainfall_mm: { type: Number, default: null },
+      demand_factor: { type: Number, default: null }
+    },
+    weather_contribution: {
+      type: Number,
+      default: null
+    },
+    // Inputs the pricing model hadn't seen in training and encoded as its baseline
+    encoding_warnings: {
+      type: [String],
+      default: []
+    },
+    // Recent competitor prices for the product (latest price per competitor)
+    competitor_prices: {
+      min_price: { type: Number, default: null },
+      median_price: { type: Number, default: null },
+      max_price: { type: Number, default: null },
+      competitors: { type: Number, default: null },
+      observed_at: { type: Date, default: null }
+    },
+    // Recommended price above (+) or below (-) the lowest competitor, in percent
+    competitor_position_pct: {
+      type: Number,
+      default: null
+    },
+    // Unit cost at the time of the recommendation; margins are in percent of price
+    cost_price: {
+      type: Number,
+      default: null
+    },
+    current_margin_pct: {
+      type: Number,
+      default: null
+    },
+    recommended_margin_pct: {
+      type: Number,
+      default: null
+    },
+    margin_per_unit: {
+      type: Number,
+      default: null
+    },
+    // Change in margin over the current stock if the recommendation is applied
+    projected_margin_impact: {
+      type: Number,
+      default: null
+    },
+    below_cost: {
+      type: Boolean,
+      default: false
+    },
     demand_score: {
       type: Number,
       required: true,
@@ -52,7 +150,7 @@ module.exports = (mongoose) => {
     season: {
       type: String,
       required: true,
-      enum: ['Spring', 'Summer', 'Autumn', 'Winter', 'Rainy']
+      enum: ['Summer', 'Monsoon', 'Winter']
     },
     confidence_score: {
       type: Number,
@@ -76,9 +174,49 @@ module.exports = (mongoose) => {
       type: Date,
       required: true
     },
-    is_applied: {
-      type: Boolean,
-      default: false
+    // generated -> (pending_approval -> approved | rejected) -> applied; unapplied ones expire after valid_until
+    status: {
+      type: String,
+      enum: ['generated', 'pending_approval', 'approved', 'rejected', 'applied', 'expired'],
+      default: 'generated'
+    },
+    // Price change threshold (percent) that sent the recommendation for approval
+    approval_threshold_pct: {
+      type: Number,
+      default: null
+    },
+    reviewed_by: {
+      type: String,
+      default: null
+    },
+    reviewed_at: {
+      type: Date,
+      default: null
+    },
+    review_comment: {
+      type: String,
+      default: ''
+    },
+    applied_at: {
+      type: Date,
+      default: null
+    },
+    applied_by: {
+      type: String,
+      default: null
+    },
+    // Price history entry written when the recommendation was applied
+    price_history_id: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    reverted_at: {
+      type: Date,
+      default: null
+    },
+    reverted_by: {
+      type: String,
+      default: null
     }
   });
 
@@ -86,6 +224,7 @@ module.exports = (mongoose) => {
   priceRecommendationSchema.index({ product_id: 1, created_at: -1 });
   priceRecommendationSchema.index({ category: 1 });
   priceRecommendationSchema.index({ valid_until: 1 });
+  priceRecommendationSchema.index({ status: 1, created_at: -1 });
 
   return mongoose.model('PriceRecommendation', priceRecommendationSchema);
 };
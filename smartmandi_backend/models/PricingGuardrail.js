@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Limits applied to every price recommendation. Product policies override
+// category policies, which override the global policy, field by field.
+const pricingGuardrailSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'category', 'product'],
+    required: true
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  product_id: {
+    type: String,
+    default: null
+  },
+  // Minimum gross margin over cost_price, in percent of the price (as
+  // reported in recommendations' margin fields)
+  min_margin_pct: {
+    type: Number,
+    min: 0,
+    max: 99.99,
+    default: null
+  },
+  floor_price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  ceiling_price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Largest move allowed from the price at the start of the day, in percent
+  max_daily_change_pct: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  enforce_mrp: {
+    type: Boolean,
+    default: null
+  },
+  // Recommendations changing the price by more than this (percent) need approval
+  approval_threshold_pct: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Position against competitor prices: match the lowest, undercut the
+  // lowest by competitor_undercut_pct, or stay within competitor_band_pct
+  // of the median
+  competitor_strategy: {
+    type: String,
+    enum: ['match', 'undercut', 'band', null],
+    default: null
+  },
+  competitor_undercut_pct: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  competitor_band_pct: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pricingGuardrailSchema.pre('save', function (next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+pricingGuardrailSchema.index({ scope: 1, category: 1, product_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('PricingGuardrail', pricingGuardrailSchema);
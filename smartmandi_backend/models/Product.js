@@ -22,6 +22,18 @@ module.exports = (mongoose) => {
       required: true,
       min: 0
     },
+    // Unit purchase cost; batches and city costs override it where present
+    cost_price: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Maximum retail price printed on the pack; prices may never exceed it
+    mrp: {
+      type: Number,
+      min: 0,
+      default: null
+    },
     stock_level: {
       type: Number,
       required: true,
@@ -41,11 +53,52 @@ module.exports = (mongoose) => {
     cities: [{
       city_name: String,
       stock_level: Number,
+      // City-specific price; null uses current_price
+      price: {
+        type: Number,
+        min: 0,
+        default: null
+      },
+      // City-specific unit cost; null uses cost_price
+      cost_price: {
+        type: Number,
+        min: 0,
+        default: null
+      },
       last_updated: {
         type: Date,
         default: Date.now
       }
     }],
+    // Stock received in batches, each with its own purchase cost
+    batches: [{
+      batch_id: {
+        type: String,
+        required: true
+      },
+      city: {
+        type: String,
+        default: null
+      },
+      quantity: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      cost_price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      received_at: {
+        type: Date,
+        default: Date.now
+      },
+      expiry_date: {
+        type: Date,
+        default: null
+      }
+    }],
     is_active: {
       type: Boolean,
       default: true
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  task_type: {
+    type: String,
+    required: true,
+    enum: ['demand_forecast', 'price_refresh', 'elasticity_estimation', 'markdown_planning']
+  },
+  // Standard 5-field cron expression, evaluated in server local time
+  cron: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Task specific settings, e.g. forecast_days or refresh_before_hours
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  last_run_at: {
+    type: Date,
+    default: null
+  },
+  last_status: {
+    type: String,
+    enum: ['completed', 'failed', null],
+    default: null
+  },
+  next_run_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+scheduledTaskSchema.index({ enabled: 1, next_run_at: 1 });
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const taskRunSchema = new mongoose.Schema({
+  task_name: {
+    type: String,
+    required: true
+  },
+  task_type: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // What the task did, e.g. job IDs or number of recommendations refreshed
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Named run_errors because `errors` is reserved by mongoose documents
+  run_errors: [String],
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: null
+  }
+});
+
+taskRunSchema.index({ task_name: 1, started_at: -1 });
+taskRunSchema.index({ started_at: -1 });
+
+module.exports = mongoose.model('TaskRun', taskRunSchema);
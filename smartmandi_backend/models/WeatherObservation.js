@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const weatherObservationSchema = new mongoose.Schema({
+  // Name of the City the observation belongs to
+  city: {
+    type: String,
+    required: true
+  },
+  // Day of the observation, stored as UTC midnight like DemandActual.sale_date
+  date: {
+    type: Date,
+    required: true
+  },
+  // Mean temperature over the day, in degrees Celsius
+  temperature_c: {
+    type: Number,
+    required: true
+  },
+  rainfall_mm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // api, csv, or provider:<name> for data fetched from a weather provider
+  source: {
+    type: String,
+    default: 'api'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+weatherObservationSchema.index({ city: 1, date: 1 }, { unique: true });
+weatherObservationSchema.index({ date: 1 });
+
+module.exports = mongoose.model('WeatherObservation', weatherObservationSchema);
@@ -3,6 +3,20 @@ const mongoose = require('mongoose');
 // Import all models
 const City = require('./City');
 const DemandForecast = require('./DemandForecast');
+const DemandActual = require('./DemandActual');
+const ForecastRun = require('./ForecastRun');
+const ForecastJob = require('./ForecastJob');
+const Holiday = require('./Holiday');
+const ScheduledTask = require('./ScheduledTask');
+const TaskRun = require('./TaskRun');
+const Alert = require('./Alert');
+const PriceHistory = require('./PriceHistory');
+const PricingGuardrail = require('./PricingGuardrail');
+const PriceElasticity = require('./PriceElasticity');
+const MarkdownPlan = require('./MarkdownPlan');
+const CompetitorPrice = require('./CompetitorPrice');
+const WeatherObservation = require('./WeatherObservation');
+const ModelVersion = require('./ModelVersion');
 const ProductSchema = require('./Product');
 const PriceRecommendationSchema = require('./PriceRecommendation');
 
@@ -15,4 +29,18 @@ module.exports = {
   Product,
   DemandForecast,
   PriceRecommendation,
+  Holiday,
+  DemandActual,
+  ForecastRun,
+  ForecastJob,
+  ScheduledTask,
+  TaskRun,
+  Alert,
+  PriceHistory,
+  PricingGuardrail,
+  PriceElasticity,
+  MarkdownPlan,
+  CompetitorPrice,
+  WeatherObservation,
+  ModelVersion,
 };
@@ -7,58 +7,511 @@ Handles demand forecasting and dynamic pricing predictions
 import pandas as pd
 import numpy as np
 import pickle
+import hashlib
 import json
 import sys
 import os
+import random
 from datetime import datetime, timedelta
 import warnings
 warnings.filterwarnings('ignore')
 
+# Version reported for the model files bundled with the repo when the backend
+# hasn't loaded a version from the model registry
+DEFAULT_MODEL_VERSION = '1.0'
+# Version reported for rule-based fallback forecasts
+FALLBACK_MODEL_VERSION = 'fallback-1.0'
+# Width of the AutoTS prediction interval returned as lower/upper bounds
+PREDICTION_INTERVAL = 0.9
+# Series with fewer observed days than this are forecast with the fallback
+MIN_HISTORY_POINTS = 14
+# Series whose history ends more than this many days before the forecast
+# window are forecast with the fallback rather than extrapolated that far
+MAX_FORECAST_LEAD_DAYS = 30
+# Confidence reported for rule-based fallback forecasts, which have no interval
+FALLBACK_CONFIDENCE = 0.5
+# Days before a holiday over which the pre-festival build-up in demand is applied
+HOLIDAY_PROXIMITY_DAYS = 3
+# Weather effect on demand by category: relative change per degree C away from
+# TEMPERATURE_BASELINE_C and per mm of rain (capped at RAINFALL_CAP_MM). The
+# sales history has no weather, so these are fixed estimates, not learned.
+TEMPERATURE_BASELINE_C = 27
+RAINFALL_CAP_MM = 50
+WEATHER_SENSITIVITY = {
+    'Beverage': {'temperature': 0.02, 'rainfall': -0.006},
+    'Frozen': {'temperature': 0.025, 'rainfall': -0.006},
+    'Dairy': {'temperature': 0.005, 'rainfall': -0.003},
+    'Fruit': {'temperature': 0.005, 'rainfall': -0.004},
+    'Produce': {'temperature': -0.005, 'rainfall': -0.005},
+    'Bakery': {'temperature': -0.005, 'rainfall': -0.004},
+    'Meat': {'temperature': -0.01, 'rainfall': -0.005},
+    'Snacks': {'temperature': 0.0, 'rainfall': -0.002},
+    'Canned': {'temperature': 0.0, 'rainfall': 0.002}
+}
+DEFAULT_WEATHER_SENSITIVITY = {'temperature': 0.0, 'rainfall': -0.004}
+WEATHER_FACTOR_MIN = 0.6
+WEATHER_FACTOR_MAX = 1.4
+# Share of the weather-driven demand change passed on to the recommended price
+WEATHER_PRICE_PASS_THROUGH = 0.3
+
 class SmartMandiModelService:
     def __init__(self):
         self.base_path = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
         self.demand_model = None
+        self.demand_model_error = None
+        self.demand_history = None
+        self.holiday_calendar = self.build_holiday_calendar({})
+        self.holiday_effects = None
+        self.season_calendar = None
         self.pricing_model = None
         self.model_features = None
+        self.pricing_schema = None
+        self.model_info = {'demand': None, 'pricing': None}
         self.load_models()
+        self.load_demand_history()
+        self.load_holiday_calendar()
+        self.load_season_calendar()
+        self.compute_holiday_effects()
     
-    def load_models(self):
-        """Load the trained models and features"""
+    def default_model_config(self):
+        """Paths of the model files bundled with the repo"""
+        # Get the project root directory (parent of smartmandi_backend)
+        project_root = os.path.dirname(self.base_path)
+        pricing_dir = os.path.join(project_root, 'Model_for_Dynamic_Pricing')
+        return {
+            'demand': {
+                'version': DEFAULT_MODEL_VERSION,
+                'path': os.path.join(project_root, 'Model_for_Demand_Forecasting', 'autos_model.pkl')
+            },
+            'pricing': {
+                'version': DEFAULT_MODEL_VERSION,
+                'path': os.path.join(pricing_dir, 'xgb_model.pkl'),
+                'features_path': os.path.join(pricing_dir, 'model_features.json'),
+                'schema_path': os.path.join(pricing_dir, 'model_schema.json')
+            }
+        }
+    
+    def load_models(self, config=None):
+        """
+        Load the trained models and features
+        
+        Args:
+            config: Registry version to load per model type,
+                {'demand': {version, path}, 'pricing': {version, path,
+                features_path, schema_path}}. Types left out use the bundled files.
+        
+        Everything is loaded before any model is replaced, so a version that
+        fails to load leaves the current models in place.
+        """
+        config = config or {}
+        defaults = self.default_model_config()
+        demand_config = config.get('demand') or defaults['demand']
+        pricing_config = config.get('pricing') or defaults['pricing']
+        
         try:
-            # Get the project root directory (parent of smartmandi_backend)
-            project_root = os.path.dirname(self.base_path)
-            
-            # Load demand forecasting model
-            demand_model_path = os.path.join(project_root, 'Model_for_Demand_Forecasting', 'autos_model.pkl')
-            with open(demand_model_path, 'rb') as f:
-                self.demand_model = pickle.load(f)
+            # Load demand forecasting model; predict_demand falls back to rules without it
+            demand_model = None
+            demand_model_error = None
+            demand_info = None
+            try:
+                with open(demand_config['path'], 'rb') as f:
+                    demand_model = pickle.load(f)
+                demand_info = self.describe_model_file(demand_config['path'], demand_config.get('version'))
+            except Exception as e:
+                if config.get('demand'):
+                    raise ValueError(f"Demand model {demand_config.get('version')} failed to load: {str(e)}")
+                demand_model_error = str(e)
+                print(f"Demand model not available, using rule-based fallback: {str(e)}", file=sys.stderr)
             
             # Load pricing model
-            pricing_model_path = os.path.join(project_root, 'Model_for_Dynamic_Pricing', 'xgb_model.pkl')
+            pricing_model_path = pricing_config['path']
             with open(pricing_model_path, 'rb') as f:
-                self.pricing_model = pickle.load(f)
+                pricing_model = pickle.load(f)
+            pricing_info = self.describe_model_file(pricing_model_path, pricing_config.get('version'))
             
-            # Load model features (create if doesn't exist)
-            features_path = os.path.join(project_root, 'Model_for_Dynamic_Pricing', 'model_features.json')
+            # Load the pricing model's feature columns and how to build them,
+            # saved next to the model unless given
+            model_dir = os.path.dirname(pricing_model_path)
+            features_path = pricing_config.get('features_path') or os.path.join(model_dir, 'model_features.json')
+            schema_path = pricing_config.get('schema_path') or os.path.join(model_dir, 'model_schema.json')
+            with open(features_path, 'r') as f:
+                model_features = json.load(f)
             try:
-                with open(features_path, 'r') as f:
-                    self.model_features = json.load(f)
+                with open(schema_path, 'r') as f:
+                    schema = json.load(f)
             except FileNotFoundError:
-                # Create default features if file doesn't exist
-                self.model_features = {
-                    "features": [
-                        "days_left", "stock_level", "demand_score",
-                        "category_encoded", "season_encoded", "weekday_encoded"
-                    ]
-                }
-                print("Model features file not found, using default features")
-                
+                schema = {}
+                print("Model schema not found, inferring it from the feature names", file=sys.stderr)
+            pricing_schema = self.build_pricing_schema(model_features, schema, pricing_model)
+            
+            self.demand_model = demand_model
+            self.demand_model_error = demand_model_error
+            self.pricing_model = pricing_model
+            self.model_features = model_features
+            self.pricing_schema = pricing_schema
+            self.model_info = {'demand': demand_info, 'pricing': pricing_info}
+            
             print("Models loaded successfully")
             
         except Exception as e:
             print(f"Error loading models: {str(e)}")
             raise e
     
+    def build_pricing_schema(self, features, schema, pricing_model):
+        """
+        Map each feature column to its input: a numeric product field, or one
+        level of a one-hot encoded categorical field (<field>_<value>).
+        Fails if a column can't be mapped or the model expects a different
+        number of features, rather than predicting from a misaligned vector.
+        """
+        if isinstance(features, dict):
+            features = features.get('features', [])
+        
+        numeric_specs = schema.get('numeric', {})
+        categorical_specs = schema.get('categorical', {})
+        numeric = {}
+        categorical = {
+            field: {
+                'input': spec.get('input', field),
+                'baseline': spec.get('baseline'),
+                'default': spec.get('default'),
+                'values': []
+            }
+            for field, spec in categorical_specs.items()
+        }
+        columns = {}
+        
+        if not schema:
+            # Without a schema, prefixes shared by several <field>_<value>
+            # columns are taken to be one-hot encoded fields
+            prefixes = [column.split('_', 1)[0] for column in features if '_' in column]
+            for field in set(prefixes):
+                if prefixes.count(field) > 1:
+                    categorical[field] = {'input': field, 'baseline': None, 'default': None, 'values': []}
+        
+        for column in features:
+            if column in numeric_specs:
+                numeric[column] = {
+                    'input': numeric_specs[column].get('input', column),
+                    'default': numeric_specs[column].get('default')
+                }
+                continue
+            
+            field = next((name for name in categorical if column.startswith(name + '_')), None)
+            if field is not None:
+                level = column[len(field) + 1:]
+                categorical[field]['values'].append(level)
+                columns[column] = (field, level)
+            elif not schema:
+                numeric[column] = {'input': column, 'default': None}
+            else:
+                raise ValueError(f"Pricing feature '{column}' is not described in model_schema.json")
+        
+        expected = getattr(pricing_model, 'n_features_in_', None)
+        if expected is not None and expected != len(features):
+            raise ValueError(
+                f"model_features.json lists {len(features)} features but the pricing model expects {expected}"
+            )
+        
+        return {'features': list(features), 'numeric': numeric, 'categorical': categorical, 'columns': columns}
+    
+    def describe_pricing_features(self):
+        """The feature schema pricing requests are encoded with"""
+        schema = self.pricing_schema
+        return {
+            'success': True,
+            'features': schema['features'],
+            'numeric': [
+                {'column': column, **spec} for column, spec in schema['numeric'].items()
+            ],
+            'categorical': {
+                field: {**spec, 'known_values': spec['values'] + ([spec['baseline']] if spec['baseline'] else [])}
+                for field, spec in schema['categorical'].items()
+            },
+            'model_info': self.model_info['pricing']
+        }
+    
+    def describe_model_file(self, model_path, version=None):
+        """Version, path and SHA-256 of a model artifact, so results can be traced to the exact file"""
+        sha256 = hashlib.sha256()
+        with open(model_path, 'rb') as f:
+            for chunk in iter(lambda: f.read(1024 * 1024), b''):
+                sha256.update(chunk)
+        return {'version': version or DEFAULT_MODEL_VERSION, 'path': model_path, 'sha256': sha256.hexdigest()}
+    
+    def load_demand_history(self):
+        """Load the historical daily sales used to fit per product/city series"""
+        project_root = os.path.dirname(self.base_path)
+        candidates = [
+            os.path.join(project_root, 'Dataset_CSV_Files', 'demand_forecasting_data.csv'),
+            os.path.join(project_root, 'Model_for_Demand_Forecasting', 'demand_forecasting_data.csv')
+        ]
+        
+        for history_path in candidates:
+            if os.path.exists(history_path):
+                history = pd.read_csv(history_path)
+                history['date'] = pd.to_datetime(history['date'])
+                # pandas reads the literal 'None' in the holiday column as NaN
+                history['holiday'] = history['holiday'].fillna('None')
+                self.demand_history = history
+                print(f"Loaded {len(history)} demand history rows from {history_path}", file=sys.stderr)
+                return
+        
+        print("Demand history not found, using rule-based fallback", file=sys.stderr)
+    
+    def load_holiday_calendar(self):
+        """Load the default holiday calendar shipped with the backend"""
+        calendar_path = os.path.join(self.base_path, 'data', 'holidays.json')
+        try:
+            with open(calendar_path, 'r') as f:
+                self.holiday_calendar = self.build_holiday_calendar(json.load(f))
+        except FileNotFoundError:
+            print("Holiday calendar not found, no holidays will be applied", file=sys.stderr)
+    
+    def load_season_calendar(self):
+        """Load the season calendar shared with the backend's season service"""
+        calendar_path = os.path.join(self.base_path, 'data', 'seasons.json')
+        try:
+            with open(calendar_path, 'r') as f:
+                self.season_calendar = json.load(f)
+        except FileNotFoundError:
+            print("Season calendar not found, seasons must be given with each product", file=sys.stderr)
+    
+    def normalize_season(self, season):
+        """Canonical name of a season (aliases such as Rainy resolved), or None if unknown"""
+        if not isinstance(season, str) or not self.season_calendar:
+            return None
+        name = season.strip().lower()
+        for candidate in self.season_calendar['seasons']:
+            if candidate.lower() == name:
+                return candidate
+        for alias, target in self.season_calendar.get('aliases', {}).items():
+            if alias.lower() == name:
+                return target
+        return None
+    
+    def season_for(self, date, city=None):
+        """Season of a date, using the city's regional calendar when it has one"""
+        if not self.season_calendar:
+            return None
+        state = self.holiday_calendar['city_states'].get(city) if city else None
+        months = self.season_calendar.get('regions', {}).get(state) or self.season_calendar['months']
+        for season in self.season_calendar['seasons']:
+            if date.month in months.get(season, []):
+                return season
+        return self.season_calendar['seasons'][0]
+    
+    def model_season(self, season):
+        """Name the pricing model was trained with for a season (Monsoon is Rainy)"""
+        if not self.season_calendar:
+            return season
+        return self.season_calendar.get('model_names', {}).get(season, season)
+    
+    def build_holiday_calendar(self, calendar):
+        """Index a {holidays, city_states} calendar by date"""
+        by_date = {}
+        for holiday in calendar.get('holidays', []):
+            by_date.setdefault(holiday['date'], []).append(holiday)
+        return {'by_date': by_date, 'city_states': calendar.get('city_states', {})}
+    
+    def compute_holiday_effects(self):
+        """
+        Learn demand multipliers from the holiday column of the history.
+        
+        Each sale is compared with the ordinary-day average of its product/city
+        series. Holiday days give a multiplier per holiday name (and per
+        category where available); the days just before a holiday give the
+        lead-up multiplier by distance to the holiday.
+        """
+        effects = {'by_name_category': {}, 'by_name': {}, 'default': 1.0, 'lead': {}}
+        self.holiday_effects = effects
+        
+        if self.demand_history is None:
+            return
+        
+        history = self.demand_history
+        ordinary = history[history['holiday'] == 'None']
+        baseline = ordinary.groupby(['product_id', 'city'])['units_sold'].mean().rename('baseline').reset_index()
+        
+        rows = history.merge(baseline, on=['product_id', 'city'], how='inner')
+        rows = rows[rows['baseline'] > 0]
+        rows = rows.assign(relative=rows['units_sold'] / rows['baseline'])
+        
+        holiday_rows = rows[rows['holiday'] != 'None']
+        if len(holiday_rows) == 0:
+            return
+        
+        by_name = holiday_rows.groupby('holiday')['relative'].mean()
+        by_name_category = holiday_rows.groupby(['holiday', 'category'])['relative'].mean()
+        effects['by_name'] = {name: float(v) for name, v in by_name.items()}
+        effects['by_name_category'] = {key: float(v) for key, v in by_name_category.items()}
+        effects['default'] = float(by_name.mean())
+        
+        holiday_dates = holiday_rows['date'].drop_duplicates()
+        ordinary_rows = rows[rows['holiday'] == 'None']
+        for offset in range(1, HOLIDAY_PROXIMITY_DAYS + 1):
+            lead_dates = holiday_dates - pd.Timedelta(days=offset)
+            lead_rows = ordinary_rows[ordinary_rows['date'].isin(lead_dates)]
+            effects['lead'][offset] = float(lead_rows['relative'].mean()) if len(lead_rows) else 1.0
+    
+    def build_actuals_history(self, actuals):
+        """
+        Turn recorded sales ([{product_id, city, category, date, units_sold}])
+        into rows shaped like the demand history, with holidays taken from
+        the bundled calendar
+        """
+        columns = ['date', 'product_id', 'city', 'category', 'units_sold', 'holiday']
+        if not actuals:
+            return pd.DataFrame(columns=columns)
+        
+        rows = pd.DataFrame(actuals).reindex(columns=['date', 'product_id', 'city', 'category', 'units_sold'])
+        rows['date'] = pd.to_datetime(rows['date'])
+        rows['units_sold'] = rows['units_sold'].astype(float)
+        rows['holiday'] = [self.get_holiday(date, city) or 'None' for date, city in zip(rows['date'], rows['city'])]
+        return rows[columns]
+    
+    def get_series_history(self, product_id, city, actuals=None):
+        """
+        Daily units sold for one product/city with the learned holiday and
+        lead-up effects divided out, or None if there is too little history.
+        Recorded actuals extend the bundled history and replace it on days
+        both have. The holiday factors are multiplied back onto the forecast
+        dates, so the series the model fits must not carry them already.
+        """
+        frames = [frame for frame in [self.demand_history, actuals] if frame is not None and len(frame)]
+        if not frames:
+            return None
+        
+        city_frames = [frame[frame['city'] == city] for frame in frames]
+        series_frames = [frame[frame['product_id'] == product_id] for frame in city_frames]
+        if len(series_frames) == 2:
+            series_frames[0] = series_frames[0][~series_frames[0]['date'].isin(series_frames[1]['date'])]
+        rows = pd.concat(series_frames, ignore_index=True)
+        if len(rows) < MIN_HISTORY_POINTS:
+            return None
+        
+        city_history = pd.concat(city_frames, ignore_index=True)
+        holiday_dates = city_history.loc[city_history['holiday'] != 'None', 'date'].drop_duplicates()
+        units = rows['units_sold'] / self.history_holiday_factors(rows, holiday_dates)
+        return units.groupby(rows['date']).sum().sort_index()
+    
+    def history_holiday_factors(self, rows, holiday_dates):
+        """Holiday factor of each history row, matching holiday_features for future dates"""
+        effects = self.holiday_effects
+        factors = pd.Series(1.0, index=rows.index)
+        if not effects or not effects['by_name']:
+            return factors
+        
+        # Nearest holiday wins, so walk the lead-up days from furthest to nearest
+        for offset in range(HOLIDAY_PROXIMITY_DAYS, 0, -1):
+            lead = rows['date'].isin(holiday_dates - pd.Timedelta(days=offset))
+            factors[lead] = effects['lead'].get(offset, 1.0)
+        
+        on_holiday = rows['holiday'] != 'None'
+        factors[on_holiday] = [
+            effects['by_name_category'].get((name, category), effects['by_name'].get(name, effects['default']))
+            for name, category in zip(rows.loc[on_holiday, 'holiday'], rows.loc[on_holiday, 'category'])
+        ]
+        return factors.where(factors > 0, 1.0)
+    
+    def resolve_seed(self, seed):
+        """Use the requested seed, or draw one so the run can still be reproduced"""
+        if seed is None:
+            return random.SystemRandom().randint(0, 2 ** 31 - 1)
+        return int(seed)
+    
+    def forecast_demand_series(self, series_keys, start_date, forecast_length, seed, actuals=None):
+        """
+        Forecast several product/city series with the AutoTS model
+        
+        The pickled AutoTS object carries the best model template found during
+        training; fit_data re-fits that template on the requested series so a
+        single predict call returns all of them. AutoTS forecasts the days
+        right after the history ends, so the forecast runs from there up to
+        the end of the window and the window itself is sliced out; series
+        ending more than MAX_FORECAST_LEAD_DAYS before the window are skipped.
+        
+        Args:
+            series_keys: List of (product_id, city) tuples
+            start_date: First forecast date
+            forecast_length: Number of days to forecast
+            seed: Random seed applied to AutoTS and numpy
+            actuals: Recorded sales rows (see build_actuals_history)
+        
+        Returns:
+            Tuple (forecasts, skipped) where forecasts maps each key to lists of
+            point, lower and upper values for start_date onwards and skipped
+            maps keys to the reason they could not be forecast
+        """
+        skipped = {}
+        if self.demand_model is None:
+            reason = f"AutoTS model not loaded: {self.demand_model_error}"
+            return {}, {key: reason for key in series_keys}
+        
+        window_start = pd.Timestamp(start_date).normalize()
+        columns = {}
+        for key in series_keys:
+            series = self.get_series_history(*key, actuals)
+            if series is None:
+                skipped[key] = 'Not enough demand history for this product/city'
+            elif (window_start - series.index[-1]).days - 1 > MAX_FORECAST_LEAD_DAYS:
+                skipped[key] = (
+                    f"Demand history ends {series.index[-1].strftime('%Y-%m-%d')}, more than "
+                    f"{MAX_FORECAST_LEAD_DAYS} days before the forecast window; record actuals to extend it"
+                )
+            else:
+                columns[f"{key[0]}|{key[1]}"] = series
+        
+        if not columns:
+            return {}, skipped
+        
+        # Sales are only recorded on some days, so fill the gaps between observations
+        wide = pd.DataFrame(columns).asfreq('D').interpolate(limit_direction='both')
+        history_end = wide.index[-1]
+        
+        # Days between the end of the history and the start of the window
+        lead_days = (window_start - history_end).days - 1
+        if lead_days < 0:
+            reason = f"Forecast window starts before the demand history ends ({history_end.strftime('%Y-%m-%d')})"
+            skipped.update({key: reason for key in series_keys if f"{key[0]}|{key[1]}" in columns})
+            return {}, skipped
+        
+        try:
+            np.random.seed(seed)
+            self.demand_model.random_seed = seed
+            self.demand_model.fit_data(wide)
+            prediction = self.demand_model.predict(
+                forecast_length=lead_days + forecast_length,
+                prediction_interval=PREDICTION_INTERVAL
+            )
+        except Exception as e:
+            reason = f"AutoTS forecast failed: {str(e)}"
+            skipped.update({key: reason for key in series_keys if f"{key[0]}|{key[1]}" in columns})
+            return {}, skipped
+        
+        forecasts = {}
+        for key in series_keys:
+            column = f"{key[0]}|{key[1]}"
+            if column not in columns:
+                continue
+            forecasts[key] = {
+                'forecast': [max(0.0, float(v)) for v in prediction.forecast[column].values[lead_days:]],
+                'lower': [max(0.0, float(v)) for v in prediction.lower_forecast[column].values[lead_days:]],
+                'upper': [max(0.0, float(v)) for v in prediction.upper_forecast[column].values[lead_days:]],
+                'history_end': history_end.strftime('%Y-%m-%d')
+            }
+        
+        return forecasts, skipped
+    
+    def interval_confidence(self, point, lower, upper):
+        """
+        Turn a prediction interval into a 0-1 confidence score.
+        A band of +/-50% around the point forecast scores 0.5; a zero-width band scores 1.
+        """
+        width = max(upper - lower, 0.0)
+        relative_width = width / max(point, 1.0)
+        return round(max(0.0, min(1.0, 1 - relative_width / 2)), 3)
+    
     def predict_demand(self, input_data):
         """
         Predict demand for given products
@@ -68,6 +521,12 @@ class SmartMandiModelService:
                 - products: List of product data
                 - forecast_days: Number of days to forecast
                 - cities: List of cities
+                - start_date: Optional first forecast date ('YYYY-MM-DD'), default tomorrow
+                - seed: Optional random seed; identical inputs and seed give identical output
+                - actuals: Optional recorded sales [{product_id, city, category, date, units_sold}]
+                  before start_date, appended to the bundled history
+                - holidays / city_states: Optional holiday calendar overriding the bundled file
+                - weather: Optional {city: {'YYYY-MM-DD': {temperature_c, rainfall_mm}}}
         
         Returns:
             Dict containing predictions
@@ -79,16 +538,29 @@ class SmartMandiModelService:
             products = input_data.get('products', [])
             forecast_days = input_data.get('forecast_days', 7)
             cities = input_data.get('cities', ['Mumbai', 'Delhi', 'Bangalore', 'Chennai', 'Pune'])
+            seed = self.resolve_seed(input_data.get('seed'))
+            start_date = (
+                datetime.strptime(input_data['start_date'], '%Y-%m-%d') if input_data.get('start_date')
+                else datetime.combine(datetime.now().date(), datetime.min.time()) + timedelta(days=1)
+            )
+            calendar = self.build_holiday_calendar(input_data) if 'holidays' in input_data else self.holiday_calendar
+            weather = input_data.get('weather') or {}
+            
+            series_keys = [(product.get('product_id'), city) for product in products for city in cities]
+            actuals = self.build_actuals_history(input_data.get('actuals'))
+            series_forecasts, skipped = self.forecast_demand_series(series_keys, start_date, forecast_days, seed, actuals)
             
             # Generate predictions for each product and city combination
             for product in products:
                 for city in cities:
+                    key = (product.get('product_id'), city)
+                    series = series_forecasts.get(key)
+                    
                     for day in range(forecast_days):
-                        forecast_date = datetime.now() + timedelta(days=day + 1)
-                        
-                        # Make prediction using rule-based approach
-                        # (as fallback when model doesn't have predict method)
-                        prediction = self.generate_demand_prediction(product, city, forecast_date)
+                        forecast_date = start_date + timedelta(days=day)
+                        holiday = self.holiday_features(product, city, forecast_date, calendar)
+                        conditions = self.weather_features(product, city, forecast_date, weather)
+                        factor = holiday['holiday_factor'] * conditions['weather_factor']
                         
                         result = {
                             'product_id': product.get('product_id'),
@@ -96,20 +568,68 @@ class SmartMandiModelService:
                             'category': product.get('category'),
                             'city': city,
                             'forecast_date': forecast_date.strftime('%Y-%m-%d'),
-                            'predicted_units': prediction,
-                            'confidence_score': 0.85,  # Mock confidence score
+                            'horizon_days': day + 1,
                             'day_of_week': forecast_date.strftime('%A'),
                             'month': forecast_date.month,
                             'year': forecast_date.year,
-                            'holiday_flag': self.is_holiday(forecast_date)
+                            'holiday_flag': holiday['holiday_flag'],
+                            'holiday_name': holiday['holiday_name'],
+                            'days_to_holiday': holiday['days_to_holiday'],
+                            'holiday_factor': holiday['holiday_factor'],
+                            'temperature_c': conditions['temperature_c'],
+                            'rainfall_mm': conditions['rainfall_mm'],
+                            'weather_factor': conditions['weather_factor'],
+                            'seed': seed
                         }
+                        
+                        if series:
+                            point = series['forecast'][day] * factor
+                            lower = min(series['lower'][day] * factor, point)
+                            upper = max(series['upper'][day] * factor, point)
+                            result.update({
+                                'predicted_units': int(round(point)),
+                                'lower_bound': int(round(lower)),
+                                'upper_bound': int(round(upper)),
+                                'confidence_score': self.interval_confidence(point, lower, upper),
+                                'forecast_method': 'autots',
+                                'model_version': self.model_info['demand']['version']
+                            })
+                        else:
+                            # Explicit, labeled fallback: no interval is available
+                            point = self.generate_demand_prediction(product, city, forecast_date, seed) * factor
+                            result.update({
+                                'predicted_units': int(point),
+                                'lower_bound': None,
+                                'upper_bound': None,
+                                'confidence_score': FALLBACK_CONFIDENCE,
+                                'forecast_method': 'rule_based_fallback',
+                                'model_version': FALLBACK_MODEL_VERSION,
+                                'fallback_reason': skipped.get(key)
+                            })
+                        
+                        # Units the weather added (or removed) compared with the same day without it
+                        result['weather_contribution_units'] = int(round(point - point / conditions['weather_factor']))
                         results.append(result)
             
+            fallback_count = sum(1 for r in results if r['forecast_method'] == 'rule_based_fallback')
+            weather_count = sum(1 for r in results if r['temperature_c'] is not None)
+            
             return {
                 'success': True,
                 'predictions': results,
                 'total_predictions': len(results),
-                'forecast_period': f"{forecast_days} days"
+                'forecast_period': f"{forecast_days} days",
+                'start_date': start_date.strftime('%Y-%m-%d'),
+                'seed': seed,
+                'prediction_interval': PREDICTION_INTERVAL,
+                'history_end': next((f['history_end'] for f in series_forecasts.values()), None),
+                'model_info': self.model_info['demand'],
+                'model_version': self.model_info['demand']['version'] if self.demand_model is not None else FALLBACK_MODEL_VERSION,
+                'forecast_methods': {
+                    'autots': len(results) - fallback_count,
+                    'rule_based_fallback': fallback_count
+                },
+                'weather_applied': weather_count
             }
             
         except Exception as e:
@@ -134,8 +654,15 @@ class SmartMandiModelService:
             products = input_data.get('products', [])
             
             for product in products:
+                product = dict(product)
+                product['season'] = (
+                    self.normalize_season(product.get('season'))
+                    or self.season_for(datetime.now(), product.get('city'))
+                    or product.get('season', 'Summer')
+                )
+                
                 # Prepare features for pricing model
-                features = self.prepare_pricing_features(product)
+                features, encoding_warnings = self.prepare_pricing_features(product)
                 
                 # Make prediction
                 predicted_price = self.pricing_model.predict([features])[0]
@@ -143,6 +670,17 @@ class SmartMandiModelService:
                 # Ensure price is positive and convert to Python float
                 predicted_price = float(max(0, predicted_price))
                 
+                # Pass part of the weather-driven demand change on to the price
+                weather = product.get('weather')
+                weather_factor = None
+                weather_contribution = None
+                if weather and weather.get('temperature_c') is not None:
+                    weather_factor = self.weather_factor(
+                        product.get('category'), weather['temperature_c'], weather.get('rainfall_mm') or 0
+                    )
+                    weather_contribution = predicted_price * WEATHER_PRICE_PASS_THROUGH * (weather_factor - 1)
+                    predicted_price = max(0.0, predicted_price + weather_contribution)
+                
                 current_price = float(product.get('current_price', 25.0))
                 demand_score = int(product.get('demand_score', 50))
                 stock_level = int(product.get('stock_level', 100))
@@ -164,9 +702,17 @@ class SmartMandiModelService:
                     'stock_level': stock_level,
                     'days_left': days_left,
                     'weekday': product.get('weekday', datetime.now().strftime('%A')),
-                    'season': product.get('season', 'Summer'),
+                    'season': product['season'],
                     'confidence_score': 0.82,  # Mock confidence score
+                    'model_version': self.model_info['pricing']['version'],
                     'recommendation_reason': reason,
+                    'weather': {
+                        'temperature_c': weather.get('temperature_c'),
+                        'rainfall_mm': weather.get('rainfall_mm'),
+                        'demand_factor': weather_factor
+                    } if weather_factor is not None else None,
+                    'weather_contribution': round(weather_contribution, 2) if weather_contribution is not None else None,
+                    'encoding_warnings': encoding_warnings,
                     'valid_until': (datetime.now() + timedelta(days=1)).strftime('%Y-%m-%d %H:%M:%S')
                 }
                 results.append(result)
@@ -174,7 +720,8 @@ class SmartMandiModelService:
             return {
                 'success': True,
                 'recommendations': results,
-                'total_recommendations': len(results)
+                'total_recommendations': len(results),
+                'model_info': self.model_info['pricing']
             }
             
         except Exception as e:
@@ -200,40 +747,48 @@ class SmartMandiModelService:
         return features
     
     def prepare_pricing_features(self, product):
-        """Prepare features for pricing model"""
-        # Create feature vector based on model_features.json
+        """
+        Build the pricing model's feature vector in model_features.json order
+        
+        Returns:
+            (feature vector, warnings for values encoded as the baseline
+            without being the baseline)
+        """
+        schema = self.pricing_schema
+        warnings = []
+        
+        # Categorical values, in the names the model was trained with
+        levels = {}
+        for field, spec in schema['categorical'].items():
+            value = product.get(spec['input']) or spec['default']
+            if field == 'season':
+                value = self.model_season(value)
+            levels[field] = value
+            if value not in spec['values'] and value != spec['baseline']:
+                baseline = f"baseline '{spec['baseline']}'" if spec['baseline'] else 'all zeros'
+                warnings.append(f"Unseen {field} '{value}' encoded as {baseline}")
+        
         feature_vector = []
+        for column in schema['features']:
+            if column in schema['numeric']:
+                spec = schema['numeric'][column]
+                value = product.get(spec['input'])
+                if value is None:
+                    value = spec['default']
+                if value is None:
+                    raise ValueError(f"Missing pricing input '{spec['input']}'")
+                feature_vector.append(float(value))
+            else:
+                field, level = schema['columns'][column]
+                feature_vector.append(1 if levels[field] == level else 0)
         
-        # Base features
-        feature_vector.extend([
-            product.get('days_left', 7),
-            product.get('stock_level', 100),
-            product.get('demand_score', 50)
-        ])
-        
-        # Category one-hot encoding
-        categories = ['Bakery', 'Beverage', 'Canned', 'Cleaning', 'Dairy', 
-                     'Frozen', 'Fruit', 'Health', 'Meat', 'Pet', 'Produce', 'Snacks']
-        current_category = product.get('category', 'Dairy')
-        for cat in categories:
-            feature_vector.append(1 if current_category == cat else 0)
-        
-        # Season one-hot encoding
-        seasons = ['Summer', 'Winter']
-        current_season = product.get('season', 'Summer')
-        for season in seasons:
-            feature_vector.append(1 if current_season == season else 0)
-        
-        # Weekday one-hot encoding
-        weekdays = ['Monday', 'Saturday', 'Sunday', 'Thursday', 'Tuesday', 'Wednesday']
-        current_weekday = product.get('weekday', 'Monday')
-        for weekday in weekdays:
-            feature_vector.append(1 if current_weekday == weekday else 0)
-        
-        return feature_vector
-    
-    def generate_demand_prediction(self, product, city, forecast_date):
-        """Generate demand prediction using rule-based approach"""
+        return feature_vector, warnings
+    
+    def generate_demand_prediction(self, product, city, forecast_date, seed):
+        """
+        Rule-based demand estimate, used only as a fallback when the AutoTS
+        model or the product/city history is unavailable
+        """
         # Base demand based on category
         category_base = {
             'Dairy': 150,
@@ -270,17 +825,108 @@ class SmartMandiModelService:
         else:
             season_factor = 1.0
         
-        # Add some randomness for realism
-        import random
-        random_factor = 0.8 + random.random() * 0.4  # 0.8 to 1.2
+        # Add some randomness for realism, seeded per product/city/date so the
+        # result doesn't depend on the order predictions are generated in
+        rng = random.Random(f"{seed}|{product.get('product_id')}|{city}|{forecast_date.strftime('%Y-%m-%d')}")
+        random_factor = 0.8 + rng.random() * 0.4  # 0.8 to 1.2
         
         prediction = int(base_demand * city_factor * weekday_factor * season_factor * random_factor)
         return max(50, prediction)  # Minimum 50 units
     
-    def is_holiday(self, date):
-        """Check if date is a holiday (simplified)"""
-        # Add your holiday logic here
-        return False
+    def get_holiday(self, date, city=None, calendar=None):
+        """Name of the holiday falling on date in the given city, or None"""
+        calendar = calendar or self.holiday_calendar
+        state = calendar['city_states'].get(city)
+        
+        for holiday in calendar['by_date'].get(date.strftime('%Y-%m-%d'), []):
+            if holiday.get('scope', 'national') != 'regional':
+                return holiday['name']
+            if city in holiday.get('cities', []) or (state and state in holiday.get('states', [])):
+                return holiday['name']
+        
+        return None
+    
+    def is_holiday(self, date, city=None, calendar=None):
+        """Check if date is a holiday for the city"""
+        return self.get_holiday(date, city, calendar) is not None
+    
+    def holiday_features(self, product, city, date, calendar=None):
+        """Holiday name, proximity to the next holiday and the resulting demand multiplier"""
+        name = self.get_holiday(date, city, calendar)
+        days_to_holiday = 0 if name else None
+        
+        if name is None:
+            for offset in range(1, HOLIDAY_PROXIMITY_DAYS + 1):
+                if self.is_holiday(date + timedelta(days=offset), city, calendar):
+                    days_to_holiday = offset
+                    break
+        
+        effects = self.holiday_effects
+        if days_to_holiday is None:
+            factor = 1.0
+        elif days_to_holiday == 0:
+            # Festivals missing from the history (e.g. Pongal, Onam) use the average holiday effect
+            factor = effects['by_name_category'].get(
+                (name, product.get('category')),
+                effects['by_name'].get(name, effects['default'])
+            )
+        else:
+            factor = effects['lead'].get(days_to_holiday, 1.0)
+        
+        return {
+            'holiday_flag': name is not None,
+            'holiday_name': name,
+            'days_to_holiday': days_to_holiday,
+            'holiday_factor': round(factor, 3)
+        }
+    
+    def weather_factor(self, category, temperature_c, rainfall_mm):
+        """Demand multiplier for a category under the given temperature and rainfall"""
+        sensitivity = WEATHER_SENSITIVITY.get(category, DEFAULT_WEATHER_SENSITIVITY)
+        factor = 1 + sensitivity['temperature'] * (float(temperature_c) - TEMPERATURE_BASELINE_C)
+        factor *= 1 + sensitivity['rainfall'] * min(float(rainfall_mm), RAINFALL_CAP_MM)
+        return round(min(WEATHER_FACTOR_MAX, max(WEATHER_FACTOR_MIN, factor)), 3)
+    
+    def weather_features(self, product, city, date, weather):
+        """Temperature and rainfall for a city and day, and the resulting demand multiplier"""
+        day = weather.get(city, {}).get(date.strftime('%Y-%m-%d'))
+        if not day or day.get('temperature_c') is None:
+            return {'temperature_c': None, 'rainfall_mm': None, 'weather_factor': 1.0}
+        
+        rainfall = day.get('rainfall_mm') or 0
+        return {
+            'temperature_c': day['temperature_c'],
+            'rainfall_mm': rainfall,
+            'weather_factor': self.weather_factor(product.get('category'), day['temperature_c'], rainfall)
+        }
+    
+    def handle(self, operation, payload):
+        """Dispatch a single named operation (used by the persistent worker)"""
+        if operation == 'predict_demand':
+            return self.predict_demand(payload)
+        if operation == 'predict_pricing':
+            return self.predict_pricing(payload)
+        if operation == 'describe_pricing_features':
+            return self.describe_pricing_features()
+        if operation == 'load_models':
+            self.load_models(payload)
+            return {'success': True, 'model_info': self.model_info}
+        if operation == 'ping':
+            return {
+                'success': True,
+                'status': 'ok',
+                'pid': os.getpid(),
+                'models_loaded': {
+                    'demand': self.demand_model is not None,
+                    'pricing': self.pricing_model is not None
+                },
+                'demand_history_loaded': self.demand_history is not None,
+                'model_versions': {
+                    model_type: info['version'] if info else None
+                    for model_type, info in self.model_info.items()
+                }
+            }
+        raise ValueError(f"Unknown operation: {operation}")
     
     def get_pricing_reason(self, product, predicted_price, current_price):
         """Generate reasoning for price recommendation"""
@@ -301,8 +947,56 @@ class SmartMandiModelService:
         else:
             return "Current price is optimal"
 
+def serve():
+    """
+    Run as a long-lived worker.
+    
+    Models are loaded once, then every stdin line is a JSON request
+    {"id", "operation", "payload"} answered by exactly one stdout line
+    {"type": "response", "id", "result"} or {"type": "response", "id", "error"}.
+    """
+    protocol_out = sys.stdout
+    # Keep stdout reserved for protocol messages; stray prints go to stderr
+    sys.stdout = sys.stderr
+    
+    def send(message):
+        protocol_out.write(json.dumps(message) + "\n")
+        protocol_out.flush()
+    
+    try:
+        service = SmartMandiModelService()
+    except Exception as e:
+        send({"type": "fatal", "error": str(e)})
+        return
+    
+    send({"type": "ready", "pid": os.getpid()})
+    
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            operation = request.get('operation')
+            
+            if operation == 'shutdown':
+                send({"type": "response", "id": request_id, "result": {"success": True}})
+                break
+            
+            result = service.handle(operation, request.get('payload') or {})
+            send({"type": "response", "id": request_id, "result": result})
+        except Exception as e:
+            send({"type": "response", "id": request_id, "error": str(e), "error_type": type(e).__name__})
+
 def main():
     """Main function to handle command line arguments"""
+    if len(sys.argv) > 1 and sys.argv[1] == "serve":
+        serve()
+        return
+    
     try:
         # Flush stdout and stderr immediately
         sys.stdout.flush()
@@ -0,0 +1,226 @@
+#!/usr/bin/env python3
+"""
+Pricing Model Training for Smart Mandi Backend
+Retrains the XGBoost pricing model the way Dynamic_Pricing_Model.ipynb does,
+on the bundled dataset plus feedback rows from applied recommendations, and
+writes the model with its feature list and schema for the model registry.
+
+Usage:
+    python trainPricingModel.py <output_dir> < options.json
+
+Options (all optional):
+    feedback          Rows with the dataset's columns (category, season, weekday,
+                      days_left, stock, demand_score, current_price)
+    dataset_path      Base training CSV
+    holdout_fraction  Share of rows held out for evaluation
+    seed              Random seed for the split and the model
+    params            XGBRegressor parameters
+    baseline          {path, features_path} of the active model, evaluated on the
+                      same holdout for comparison
+
+Prints one JSON line with the written files and the holdout metrics.
+"""
+
+import hashlib
+import json
+import os
+import pickle
+import sys
+from datetime import datetime
+
+import numpy as np
+import pandas as pd
+from sklearn.metrics import mean_absolute_error, mean_squared_error, r2_score
+from sklearn.model_selection import train_test_split
+from xgboost import XGBRegressor
+
+NUMERIC_COLUMNS = ['days_left', 'stock', 'demand_score']
+CATEGORICAL_COLUMNS = ['category', 'season', 'weekday']
+TARGET_COLUMN = 'current_price'
+# Product fields the model service reads each numeric column from, and the
+# values it uses when a request leaves them out
+NUMERIC_INPUTS = {
+    'days_left': {'input': 'days_left', 'default': 7},
+    'stock': {'input': 'stock_level', 'default': 100},
+    'demand_score': {'input': 'demand_score', 'default': 50}
+}
+CATEGORICAL_DEFAULTS = {'category': 'Dairy', 'season': 'Summer', 'weekday': 'Monday'}
+# Tuned parameters from Dynamic_Pricing_Model.ipynb
+DEFAULT_PARAMS = {'learning_rate': 0.2, 'max_depth': 3, 'n_estimators': 200}
+DEFAULT_HOLDOUT_FRACTION = 0.2
+DEFAULT_SEED = 42
+
+
+def load_season_names(base_path):
+    """Map season names and aliases (Monsoon, Rainy) to the names used in the dataset"""
+    try:
+        with open(os.path.join(base_path, 'data', 'seasons.json'), 'r') as f:
+            calendar = json.load(f)
+    except FileNotFoundError:
+        return {}
+
+    names = {}
+    for alias, season in calendar.get('aliases', {}).items():
+        names[alias] = calendar.get('model_names', {}).get(season, season)
+    for season, model_name in calendar.get('model_names', {}).items():
+        names[season] = model_name
+    return names
+
+
+def build_dataset(dataset_path, feedback, season_names):
+    """
+    Combine the base CSV with feedback rows into one training frame.
+    Feedback rows with a category, season or weekday the dataset doesn't
+    have are left out, so they can't add columns (e.g. category 'Unknown').
+    
+    Returns:
+        (dataset, number of feedback rows left out)
+    """
+    columns = CATEGORICAL_COLUMNS + NUMERIC_COLUMNS + [TARGET_COLUMN]
+    base = pd.read_csv(dataset_path)[columns]
+    base['source'] = 'dataset'
+
+    frames = [base]
+    skipped = 0
+    if feedback:
+        extra = pd.DataFrame(feedback).reindex(columns=columns)
+        extra['season'] = extra['season'].replace(season_names)
+        known = np.ones(len(extra), dtype=bool)
+        for column in CATEGORICAL_COLUMNS:
+            known &= extra[column].isin(base[column].unique()).values
+        extra = extra[known].dropna(subset=columns)
+        skipped = len(feedback) - len(extra)
+        extra['source'] = 'feedback'
+        frames.append(extra)
+
+    dataset = pd.concat(frames, ignore_index=True).dropna(subset=columns)
+    for column in NUMERIC_COLUMNS + [TARGET_COLUMN]:
+        dataset[column] = dataset[column].astype(float)
+    return dataset, skipped
+
+
+def encode(dataset):
+    """One-hot encode as the notebook does: numeric columns first, then
+    <field>_<value> columns with the alphabetically first value dropped"""
+    encoded = pd.get_dummies(dataset[CATEGORICAL_COLUMNS + NUMERIC_COLUMNS], drop_first=True)
+    return encoded.astype(float)
+
+
+def evaluate(y_true, y_pred):
+    """Holdout error metrics"""
+    return {
+        'mae': round(float(mean_absolute_error(y_true, y_pred)), 4),
+        'rmse': round(float(np.sqrt(mean_squared_error(y_true, y_pred))), 4),
+        'r2': round(float(r2_score(y_true, y_pred)), 4)
+    }
+
+
+def evaluate_baseline(baseline, X_test, y_test):
+    """Metrics of the active model on the same holdout, or None if it can't be scored"""
+    try:
+        with open(baseline['path'], 'rb') as f:
+            model = pickle.load(f)
+        with open(baseline['features_path'], 'r') as f:
+            features = json.load(f)
+        if isinstance(features, dict):
+            features = features.get('features', [])
+        # Columns the active model lacks are dropped; ones it has but this data lacks are zero
+        aligned = X_test.reindex(columns=features, fill_value=0.0)
+        return evaluate(y_test, model.predict(aligned.values))
+    except Exception as e:
+        print(f"Baseline model not evaluated: {str(e)}", file=sys.stderr)
+        return None
+
+
+def train(output_dir, options):
+    """Train, evaluate and save a pricing model; returns the result summary"""
+    base_path = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    project_root = os.path.dirname(base_path)
+    dataset_path = options.get('dataset_path') or os.path.join(
+        project_root, 'Model_for_Dynamic_Pricing', 'dynamic_pricing_data.csv'
+    )
+    holdout_fraction = float(options.get('holdout_fraction') or DEFAULT_HOLDOUT_FRACTION)
+    seed = int(options.get('seed') if options.get('seed') is not None else DEFAULT_SEED)
+    params = {**DEFAULT_PARAMS, **(options.get('params') or {}), 'random_state': seed}
+
+    dataset, feedback_skipped = build_dataset(dataset_path, options.get('feedback') or [], load_season_names(base_path))
+    dataset_hash = hashlib.sha256(
+        dataset[CATEGORICAL_COLUMNS + NUMERIC_COLUMNS + [TARGET_COLUMN]].to_csv(index=False).encode('utf-8')
+    ).hexdigest()
+
+    X = encode(dataset)
+    y = dataset[TARGET_COLUMN]
+    X_train, X_test, y_train, y_test = train_test_split(X, y, test_size=holdout_fraction, random_state=seed)
+
+    model = XGBRegressor(**params)
+    model.fit(X_train.values, y_train)
+    metrics = evaluate(y_test, model.predict(X_test.values))
+
+    baseline = options.get('baseline')
+    if baseline:
+        metrics['baseline'] = evaluate_baseline(baseline, X_test, y_test)
+
+    os.makedirs(output_dir, exist_ok=True)
+    artifact_path = os.path.join(output_dir, 'xgb_model.pkl')
+    features_path = os.path.join(output_dir, 'model_features.json')
+    schema_path = os.path.join(output_dir, 'model_schema.json')
+
+    with open(artifact_path, 'wb') as f:
+        pickle.dump(model, f)
+    with open(features_path, 'w') as f:
+        json.dump(list(X.columns), f)
+    with open(schema_path, 'w') as f:
+        json.dump({
+            'description': 'Written by trainPricingModel.py. Categorical fields are one-hot encoded with the baseline value dropped.',
+            'target': TARGET_COLUMN,
+            'numeric': NUMERIC_INPUTS,
+            'categorical': {
+                column: {
+                    'input': column,
+                    'baseline': sorted(dataset[column].unique())[0],
+                    'default': CATEGORICAL_DEFAULTS[column]
+                }
+                for column in CATEGORICAL_COLUMNS
+            }
+        }, f, indent=2)
+
+    return {
+        'success': True,
+        'artifact_path': artifact_path,
+        'features_path': features_path,
+        'schema_path': schema_path,
+        'trained_at': datetime.utcnow().isoformat() + 'Z',
+        'dataset_hash': dataset_hash,
+        'metrics': metrics,
+        'rows': {
+            'dataset': int((dataset['source'] == 'dataset').sum()),
+            'feedback': int((dataset['source'] == 'feedback').sum()),
+            'feedback_skipped': feedback_skipped,
+            'train': len(X_train),
+            'holdout': len(X_test)
+        },
+        'params': params
+    }
+
+
+def main():
+    # Keep stdout for the result line; progress and warnings go to stderr
+    result_out = sys.stdout
+    sys.stdout = sys.stderr
+
+    try:
+        if len(sys.argv) < 2:
+            raise ValueError("Output directory is required")
+
+        stdin_data = sys.stdin.read().strip() if not sys.stdin.isatty() else ''
+        options = json.loads(stdin_data) if stdin_data else {}
+        result = train(sys.argv[1], options)
+    except Exception as e:
+        result = {'success': False, 'error': str(e), 'type': type(e).__name__}
+
+    result_out.write(json.dumps(result) + "\n")
+    result_out.flush()
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,184 @@
+const express = require('express');
+const multer = require('multer');
+const { CompetitorPrice } = require('../models');
+const competitorService = require('../services/competitorService');
+const { parseCsv } = require('../utils/csvParser');
+
+const router = express.Router();
+
+// Competitor price CSV uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// Get competitor prices
+router.get('/', async (req, res) => {
+  try {
+    const { product_id, competitor, city, category, start_date, end_date, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (product_id) filter.product_id = product_id;
+    if (competitor) filter.competitor = competitor;
+    if (city) filter.city = city;
+    if (category) filter.category = category;
+    if (start_date || end_date) {
+      filter.observed_at = {};
+      if (start_date) filter.observed_at.$gte = new Date(start_date);
+      if (end_date) filter.observed_at.$lte = new Date(end_date);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const prices = await CompetitorPrice.find(filter)
+      .sort({ observed_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await CompetitorPrice.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: prices,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching competitor prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch competitor prices',
+      message: error.message
+    });
+  }
+});
+
+// Get the competitor min/median/max used when pricing a product
+router.get('/summary/:productId', async (req, res) => {
+  try {
+    const summary = await competitorService.getProductSummary(req.params.productId, req.query.city || null);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error fetching competitor summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch competitor summary',
+      message: error.message
+    });
+  }
+});
+
+// Record competitor prices (single object, array, or { prices: [...] })
+router.post('/', async (req, res) => {
+  try {
+    let rows;
+    if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (Array.isArray(req.body.prices)) {
+      rows = req.body.prices;
+    } else {
+      rows = [req.body];
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one competitor price is required'
+      });
+    }
+
+    const result = await competitorService.importPrices(rows, 'api');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      message: `Recorded ${result.recorded} competitor prices`
+    });
+
+  } catch (error) {
+    console.error('Error recording competitor prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record competitor prices',
+      message: error.message
+    });
+  }
+});
+
+// Record competitor prices from an uploaded CSV (field name: file)
+router.post('/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required (form field "file")'
+      });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file has no data rows'
+      });
+    }
+
+    const result = await competitorService.importPrices(rows, 'csv');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      file_name: req.file.originalname,
+      message: `Recorded ${result.recorded} competitor prices`
+    });
+
+  } catch (error) {
+    console.error('Error uploading competitor prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload competitor prices',
+      message: error.message
+    });
+  }
+});
+
+// Delete a competitor price
+router.delete('/:priceId', async (req, res) => {
+  try {
+    const price = await CompetitorPrice.findByIdAndDelete(req.params.priceId);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        error: 'Competitor price not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Competitor price deleted successfully',
+      data: { product_id: price.product_id, competitor: price.competitor }
+    });
+
+  } catch (error) {
+    console.error('Error deleting competitor price:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete competitor price',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
-const { DemandForecast, PriceRecommendation, Product } = require('../models');
+const { DemandForecast, PriceRecommendation, Product, Alert, ScheduledTask } = require('../models');
+const forecastAccuracyService = require('../services/forecastAccuracyService');
+const demandForecastService = require('../services/demandForecastService');
 
 const router = express.Router();
 
@@ -16,9 +18,9 @@ router.get('/overview', async (req, res) => {
       // Get demand forecasting stats
       const demandStats = await DemandForecast.aggregate([
         {
-          $match: {
+          $match: demandForecastService.applyCurrentFilter({
             forecast_date: { $gte: startDate }
-          }
+          }, req.query.include_history)
         },
         {
           $group: {
@@ -58,7 +60,10 @@ router.get('/overview', async (req, res) => {
             _id: null,
             total_recommendations: { $sum: 1 },
             applied_recommendations: {
-              $sum: { $cond: ['$is_applied', 1, 0] }
+              $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] }
+            },
+            pending_approval: {
+              $sum: { $cond: [{ $eq: ['$status', 'pending_approval'] }, 1, 0] }
             },
             avg_price_change: { $avg: '$price_change_percentage' },
             avg_confidence: { $avg: '$confidence_score' },
@@ -70,6 +75,7 @@ router.get('/overview', async (req, res) => {
       overview.dynamic_pricing = pricingStats[0] ? {
         total_recommendations: pricingStats[0].total_recommendations,
         applied_recommendations: pricingStats[0].applied_recommendations,
+        pending_approval: pricingStats[0].pending_approval,
         application_rate: pricingStats[0].total_recommendations > 0 ? 
           Math.round((pricingStats[0].applied_recommendations / pricingStats[0].total_recommendations) * 100) / 100 : 0,
         avg_price_change: Math.round(pricingStats[0].avg_price_change * 100) / 100,
@@ -78,6 +84,7 @@ router.get('/overview', async (req, res) => {
       } : {
         total_recommendations: 0,
         applied_recommendations: 0,
+        pending_approval: 0,
         application_rate: 0,
         avg_price_change: 0,
         avg_confidence: 0,
@@ -114,6 +121,19 @@ router.get('/overview', async (req, res) => {
         categories: 0
       };
 
+      // Unacknowledged alerts from scheduled tasks
+      const [openAlerts, recentAlerts, scheduledTasks] = await Promise.all([
+        Alert.countDocuments({ acknowledged: false }),
+        Alert.find({ acknowledged: false }).sort({ created_at: -1 }).limit(5),
+        ScheduledTask.find({}).select('name task_type cron enabled last_run_at last_status next_run_at').sort({ name: 1 })
+      ]);
+
+      overview.alerts = {
+        open_alerts: openAlerts,
+        recent: recentAlerts
+      };
+      overview.scheduled_tasks = scheduledTasks;
+
     } catch (dbError) {
       console.log('Database not available, using mock data:', dbError.message);
       // Mock data when database is not available
@@ -128,6 +148,7 @@ router.get('/overview', async (req, res) => {
         dynamic_pricing: {
           total_recommendations: 87,
           applied_recommendations: 62,
+          pending_approval: 4,
           application_rate: 0.71,
           avg_price_change: 2.3,
           avg_confidence: 0.81,
@@ -139,7 +160,12 @@ router.get('/overview', async (req, res) => {
           total_stock: 8750,
           avg_price: 45.67,
           categories: 12
-        }
+        },
+        alerts: {
+          open_alerts: 0,
+          recent: []
+        },
+        scheduled_tasks: []
       };
     }
 
@@ -172,45 +198,25 @@ router.get('/performance', async (req, res) => {
     let performance = {};
 
     try {
-      // Demand forecasting accuracy (mock calculation)
-      const demandAccuracy = await DemandForecast.aggregate([
-        {
-          $match: {
-            forecast_date: { $gte: startDate, $lte: endDate },
-            actual_units: { $ne: null }
-          }
-        },
-        {
-          $addFields: {
-            accuracy: {
-              $subtract: [
-                1,
-                {
-                  $abs: {
-                    $divide: [
-                      { $subtract: ['$predicted_units', '$actual_units'] },
-                      { $add: ['$actual_units', 1] } // Add 1 to avoid division by zero
-                    ]
-                  }
-                }
-              ]
-            }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            avg_accuracy: { $avg: '$accuracy' },
-            total_forecasts: { $sum: 1 }
-          }
-        }
-      ]);
-
-      performance.demand_accuracy = demandAccuracy[0] ? {
-        avg_accuracy: Math.max(0, Math.min(1, demandAccuracy[0].avg_accuracy)),
-        total_forecasts_with_actuals: demandAccuracy[0].total_forecasts
+      // Demand forecasting accuracy over forecasts that have actuals
+      const demandAccuracy = await forecastAccuracyService.computeAccuracy({
+        start_date: startDate,
+        end_date: endDate
+      });
+
+      performance.demand_accuracy = demandAccuracy.overall ? {
+        avg_accuracy: demandAccuracy.overall.accuracy,
+        mape: demandAccuracy.overall.mape,
+        wape: demandAccuracy.overall.wape,
+        rmse: demandAccuracy.overall.rmse,
+        bias: demandAccuracy.overall.bias,
+        total_forecasts_with_actuals: demandAccuracy.overall.forecasts
       } : {
-        avg_accuracy: 0.78, // Mock value
+        avg_accuracy: null,
+        mape: null,
+        wape: null,
+        rmse: null,
+        bias: null,
         total_forecasts_with_actuals: 0
       };
 
@@ -219,7 +225,7 @@ router.get('/performance', async (req, res) => {
         {
           $match: {
             created_at: { $gte: startDate, $lte: endDate },
-            is_applied: true
+            status: 'applied'
           }
         },
         {
@@ -322,9 +328,9 @@ router.get('/trends', async (req, res) => {
       // Demand trends
       const demandTrends = await DemandForecast.aggregate([
         {
-          $match: {
+          $match: demandForecastService.applyCurrentFilter({
             created_at: { $gte: startDate, $lte: endDate }
-          }
+          }, req.query.include_history)
         },
         {
           $group: {
@@ -349,7 +355,7 @@ router.get('/trends', async (req, res) => {
             _id: groupByFormat,
             total_recommendations: { $sum: 1 },
             applied_recommendations: {
-              $sum: { $cond: ['$is_applied', 1, 0] }
+              $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] }
             },
             avg_price_change: { $avg: '$price_change_percentage' }
           }
@@ -433,9 +439,9 @@ router.get('/top-performers', async (req, res) => {
       // Top products by predicted demand
       const topDemandProducts = await DemandForecast.aggregate([
         {
-          $match: {
+          $match: demandForecastService.applyCurrentFilter({
             forecast_date: { $gte: startDate }
-          }
+          }, req.query.include_history)
         },
         {
           $group: {
@@ -465,7 +471,7 @@ router.get('/top-performers', async (req, res) => {
             _id: '$category',
             total_recommendations: { $sum: 1 },
             applied_recommendations: {
-              $sum: { $cond: ['$is_applied', 1, 0] }
+              $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] }
             },
             avg_price_improvement: { $avg: '$price_change_percentage' }
           }
@@ -1,11 +1,54 @@
 const express = require('express');
-const { spawn } = require('child_process');
-const path = require('path');
-const { DemandForecast } = require('../models');
+const multer = require('multer');
+const { DemandForecast, ForecastRun, ForecastJob } = require('../models');
 const productMappingService = require('../services/productMappingService');
+const actualsService = require('../services/actualsService');
+const forecastAccuracyService = require('../services/forecastAccuracyService');
+const demandForecastService = require('../services/demandForecastService');
+const forecastJobService = require('../services/forecastJobService');
+const { parseCsv } = require('../utils/csvParser');
+const { getRequester } = require('../utils/requestContext');
 
 const router = express.Router();
 
+// Sales CSV uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+/**
+ * Read the server-wide default seed, ignoring (with a warning) values that
+ * aren't a non-negative integer so a typo doesn't fail every forecast
+ */
+function parseDefaultSeed(value) {
+  if (value === undefined || value === '') return null;
+
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0) {
+    console.warn(`Ignoring DEMAND_FORECAST_SEED "${value}": not a non-negative integer, forecasts will use random seeds`);
+    return null;
+  }
+  return seed;
+}
+
+// Server-wide seed used when a request doesn't pass one; null lets the model pick
+const DEFAULT_FORECAST_SEED = parseDefaultSeed(process.env.DEMAND_FORECAST_SEED);
+
+// Longest forecast window a request may ask for; forecasts further out are mostly noise
+const MAX_FORECAST_DAYS = 90;
+
+// Respond to a failed forecast run
+function sendForecastError(res, error) {
+  console.error('Forecast run failed:', error.message);
+  const timedOut = error.code === 'MODEL_WORKER_TIMEOUT';
+  return res.status(500).json({
+    success: false,
+    error: timedOut ? 'Model prediction timeout' : 'Model prediction failed',
+    message: error.message
+  });
+}
+
 // Test DemandForecast model on route initialization
 console.log('DemandForecast model check:', {
   modelExists: !!DemandForecast,
@@ -22,6 +65,8 @@ router.get('/', async (req, res) => {
       category,
       start_date,
       end_date,
+      run_id,
+      include_history,
       limit = 100,
       page = 1
     } = req.query;
@@ -31,6 +76,11 @@ router.get('/', async (req, res) => {
     if (product_id) filter.product_id = product_id;
     if (city) filter.city = city;
     if (category) filter.category = category;
+    if (run_id) {
+      filter.run_id = run_id;
+    } else {
+      demandForecastService.applyCurrentFilter(filter, include_history);
+    }
     if (start_date || end_date) {
       filter.forecast_date = {};
       if (start_date) filter.forecast_date.$gte = new Date(start_date);
@@ -71,6 +121,7 @@ router.get('/', async (req, res) => {
 router.post('/predict', async (req, res) => {
   try {
     const { products, forecast_days = 7, cities } = req.body;
+    const seed = req.body.seed !== undefined ? req.body.seed : DEFAULT_FORECAST_SEED;
 
     if (!products || !Array.isArray(products) || products.length === 0) {
       return res.status(400).json({
@@ -79,6 +130,20 @@ router.post('/predict', async (req, res) => {
       });
     }
 
+    if (seed !== null && !(Number.isInteger(seed) && seed >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'seed must be a non-negative integer'
+      });
+    }
+
+    if (!(Number.isInteger(forecast_days) && forecast_days > 0 && forecast_days <= MAX_FORECAST_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        error: `forecast_days must be an integer from 1 to ${MAX_FORECAST_DAYS}`
+      });
+    }
+
     // Map product names to IDs if needed with timeout protection
     let mappedProducts;
     try {
@@ -111,222 +176,52 @@ router.post('/predict', async (req, res) => {
       });
     }
 
-    // Prepare input for Python model
-    const inputData = {
-      products: mappedProducts,
-      forecast_days,
-      cities
-    };
-
-    // Call Python model service using child_process
-    console.log('Calling Python model service with data:', JSON.stringify(inputData, null, 2));
-    
-    let pythonScript = path.join(__dirname, '../python/modelService.py');
-    const inputJson = JSON.stringify(inputData);
-    
-    console.log('Executing python script with input length:', inputJson.length);
-    
-    // Increase timeout and improve process handling
-    const timeoutMs = 60000; // 60 seconds
-    let responseTimeout = false;
-    let timeoutHandle;
-    
-    try {
-      // Use stdin to pass data instead of command line arguments to avoid JSON parsing issues
-      let pythonExecutable = process.env.PYTHON_EXECUTABLE || 'python';
-      // Convert forward slashes to backslashes for Windows
-      pythonExecutable = pythonExecutable.replace(/\//g, '\\');
-      pythonScript = pythonScript.replace(/\//g, '\\');
-      
-      console.log('Executing python with:', pythonExecutable, pythonScript);
-      
-      // Use spawn instead of exec to properly handle stdin on Windows
-      const pythonProcess = spawn(pythonExecutable, [pythonScript, 'predict_demand'], {
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-      });
-      
-      let outputData = '';
-      let errorData = '';
-      let dataReceived = false;
-      
-      // Write input data to stdin
-      pythonProcess.stdin.write(inputJson);
-      pythonProcess.stdin.end();
-      
-      pythonProcess.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        outputData += chunk;
-        dataReceived = true;
-        console.log('Python stdout chunk received:', chunk.length, 'bytes');
-      });
-      
-      pythonProcess.stderr.on('data', (data) => {
-        const chunk = data.toString();
-        errorData += chunk;
-        console.log('Python stderr:', chunk);
-      });
-      
-      // Set timeout
-      timeoutHandle = setTimeout(() => {
-        console.error('Python script timeout after', timeoutMs, 'ms');
-        console.error('Data received so far:', dataReceived);
-        console.error('Output length:', outputData.length);
-        console.error('Error length:', errorData.length);
-        
-        responseTimeout = true;
-        pythonProcess.kill('SIGKILL'); // Force kill
-        
-        if (!res.headersSent) {
-          return res.status(500).json({
-            success: false,
-            error: 'Model prediction timeout',
-            message: `Python script execution exceeded time limit (${timeoutMs}ms)`,
-            debug: {
-              dataReceived,
-              outputLength: outputData.length,
-              errorLength: errorData.length
-            }
-          });
-        }
-      }, timeoutMs);
-      
-      pythonProcess.on('close', async (code) => {
-        clearTimeout(timeoutHandle);
-        
-        if (responseTimeout || res.headersSent) {
-          console.log('Response already sent due to timeout');
-          return;
-        }
-        
-        console.log('Python process exited with code:', code);
-        
-        if (code !== 0) {
-          console.error('Python script failed with code:', code);
-          console.error('Error output:', errorData);
-          return res.status(500).json({
-            success: false,
-            error: 'Model prediction failed',
-            message: `Python script exited with code ${code}: ${errorData}`
-          });
-        }
-        
-        try {
-          // Parse the last line of output (which should be the JSON result)
-          const lines = outputData.trim().split('\n');
-          const lastLine = lines[lines.length - 1];
-          
-          console.log('Parsing Python output:', lastLine);
-          const prediction = JSON.parse(lastLine);
-          
-          if (!prediction.success) {
-            return res.status(500).json({
-              success: false,
-              error: 'Model prediction failed',
-              message: prediction.error
-            });
-          }
-          
-          // Save predictions to database (if MongoDB is connected)
-          if (prediction.predictions && prediction.predictions.length > 0) {
-            try {
-              console.log('Attempting to save', prediction.predictions.length, 'predictions to database');
-              console.log('Sample prediction data:', JSON.stringify(prediction.predictions[0], null, 2));
-              
-              // Convert forecast_date from string to Date object
-              const processedPredictions = prediction.predictions.map(pred => ({
-                ...pred,
-                forecast_date: new Date(pred.forecast_date)
-              }));
-              
-              console.log('Sample processed prediction:', JSON.stringify(processedPredictions[0], null, 2));
-              
-              // Validate each prediction before saving
-              for (let i = 0; i < processedPredictions.length; i++) {
-                const pred = processedPredictions[i];
-                console.log(`Validating prediction ${i + 1}:`, {
-                  product_id: pred.product_id,
-                  product_name: pred.product_name,
-                  category: pred.category,
-                  city: pred.city,
-                  forecast_date: pred.forecast_date,
-                  forecast_date_type: typeof pred.forecast_date,
-                  predicted_units: pred.predicted_units,
-                  predicted_units_type: typeof pred.predicted_units
-                });
-                
-                // Create a test instance to check validation
-                try {
-                  const testForecast = new DemandForecast(pred);
-                  const validationError = testForecast.validateSync();
-                  if (validationError) {
-                    console.error(`Validation error for prediction ${i + 1}:`, validationError.errors);
-                  } else {
-                    console.log(`Prediction ${i + 1} validation passed`);
-                  }
-                } catch (validationError) {
-                  console.error(`Error creating test forecast for prediction ${i + 1}:`, validationError);
-                }
-              }
-              
-              const result = await DemandForecast.insertMany(processedPredictions);
-              console.log('Successfully saved', result.length, 'predictions to database');
-            } catch (dbError) {
-                console.error('Database error details:', {
-                  message: dbError.message,
-                  name: dbError.name,
-                  code: dbError.code,
-                  errors: dbError.errors
-                });
-                console.error('Failed to save the demand forecasts:', dbError);
-            }
-          } else {
-            console.log('No predictions to save to database');
-          }
-          
-          res.json({
-            success: true,
-            data: prediction,
-            message: `Generated ${prediction.total_predictions} demand forecasts`
-          });
-          
-        } catch (parseError) {
-          console.error('Error parsing Python response:', parseError);
-          console.error('Raw output:', outputData);
-          res.status(500).json({
-            success: false,
-            error: 'Failed to parse model response',
-            message: parseError.message,
-            raw_output: outputData
-          });
-        }
-      });
-      
-      pythonProcess.on('error', (error) => {
-        clearTimeout(timeoutHandle);
-        
-        if (responseTimeout || res.headersSent) {
-          return;
-        }
-        
-        console.error('Failed to start Python process:', error);
-        res.status(500).json({
+    // Large forecasts can run as a background job polled via /jobs/:jobId
+    if (req.query.async === 'true') {
+      let job;
+      try {
+        job = await forecastJobService.enqueue(
+          { products: mappedProducts, forecast_days, cities, seed },
+          { requested_by: getRequester(req) }
+        );
+      } catch (error) {
+        console.error('Failed to queue forecast job:', error);
+        return res.status(500).json({
           success: false,
-          error: 'Failed to start Python process',
+          error: 'Failed to queue forecast job',
           message: error.message
         });
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          job_id: job.job_id,
+          status: job.status,
+          progress: job.progress
+        },
+        message: `Queued forecast job for ${mappedProducts.length} products`
       });
-      
+    }
+
+    let result;
+    try {
+      result = await demandForecastService.runForecast(
+        { products: mappedProducts, forecast_days, cities, seed },
+        { requested_by: getRequester(req), source: 'api' }
+      );
     } catch (error) {
-      if (timeoutHandle) clearTimeout(timeoutHandle);
-      
-      console.error('Error spawning Python process:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to execute Python script',
-        message: error.message
-      });
+      return sendForecastError(res, error);
     }
 
+    res.json({
+      success: true,
+      data: result.prediction,
+      run_id: result.run_id,
+      seed: result.prediction.seed,
+      message: `Generated ${result.prediction.total_predictions} demand forecasts`
+    });
+
   } catch (error) {
     console.error('Error generating demand forecast:', error);
     res.status(500).json({
@@ -345,11 +240,12 @@ router.get('/analytics', async (req, res) => {
       city, 
       start_date, 
       end_date,
+      include_history,
       group_by = 'category' 
     } = req.query;
 
     // Build match filter
-    const matchFilter = {};
+    const matchFilter = demandForecastService.applyCurrentFilter({}, include_history);
     if (category) matchFilter.category = category;
     if (city) matchFilter.city = city;
     if (start_date || end_date) {
@@ -452,6 +348,35 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// Forecast accuracy (MAPE, WAPE, RMSE, bias) overall and per segment
+router.get('/accuracy', async (req, res) => {
+  try {
+    const result = await forecastAccuracyService.computeAccuracy(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      filters: {
+        product_id: req.query.product_id || null,
+        category: req.query.category || null,
+        city: req.query.city || null,
+        model_version: req.query.model_version || null,
+        horizon: req.query.horizon ? parseInt(req.query.horizon) : null,
+        start_date: req.query.start_date || null,
+        end_date: req.query.end_date || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing forecast accuracy:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to compute forecast accuracy',
+      message: error.message
+    });
+  }
+});
+
 // Delete old forecasts
 router.delete('/cleanup', async (req, res) => {
   try {
@@ -479,4 +404,332 @@ router.delete('/cleanup', async (req, res) => {
   }
 });
 
+// List forecast runs
+router.get('/runs', async (req, res) => {
+  try {
+    const {
+      status,
+      requested_by,
+      product_id,
+      start_date,
+      end_date,
+      limit = 50,
+      page = 1
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (requested_by) filter.requested_by = requested_by;
+    if (product_id) filter['products.product_id'] = product_id;
+    if (start_date || end_date) {
+      filter.started_at = {};
+      if (start_date) filter.started_at.$gte = new Date(start_date);
+      if (end_date) filter.started_at.$lte = new Date(end_date);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const runs = await ForecastRun.find(filter)
+      .sort({ started_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await ForecastRun.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching forecast runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch forecast runs',
+      message: error.message
+    });
+  }
+});
+
+// Get a single forecast run, optionally with its forecasts
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await ForecastRun.findOne({ run_id: req.params.runId });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Forecast run not found'
+      });
+    }
+
+    const response = { success: true, data: run };
+    if (req.query.include_forecasts === 'true') {
+      response.forecasts = await DemandForecast.find({ run_id: run.run_id })
+        .sort({ product_id: 1, city: 1, forecast_date: 1 });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error fetching forecast run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch forecast run',
+      message: error.message
+    });
+  }
+});
+
+// Re-run a historical forecast with the same inputs and seed
+router.post('/runs/:runId/rerun', async (req, res) => {
+  try {
+    const original = await ForecastRun.findOne({ run_id: req.params.runId });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: 'Forecast run not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await demandForecastService.runForecast(
+        {
+          products: original.products.map(product => product.toObject()),
+          forecast_days: original.parameters.forecast_days,
+          // Runs recorded before start dates were stored forecast from the day after they started
+          start_date: original.parameters.start_date || demandForecastService.getDefaultStartDate(original.started_at),
+          cities: original.parameters.cities,
+          seed: original.parameters.seed
+        },
+        { requested_by: getRequester(req), source: 'rerun', rerun_of: original.run_id }
+      );
+    } catch (error) {
+      return sendForecastError(res, error);
+    }
+
+    res.json({
+      success: true,
+      data: result.prediction,
+      run_id: result.run_id,
+      rerun_of: original.run_id,
+      seed: result.prediction.seed,
+      start_date: result.prediction.start_date,
+      message: `Re-ran forecast ${original.run_id}`
+    });
+
+  } catch (error) {
+    console.error('Error re-running forecast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-run forecast',
+      message: error.message
+    });
+  }
+});
+
+// List forecast jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const jobs = await ForecastJob.find(filter)
+      .select('-products')
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await ForecastJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching forecast jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch forecast jobs',
+      message: error.message
+    });
+  }
+});
+
+// Get job status, progress and the predictions saved so far
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const { include_results = 'true', limit = 500, page = 1 } = req.query;
+    const job = await ForecastJob.findOne({ job_id: req.params.jobId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Forecast job not found'
+      });
+    }
+
+    const response = { success: true, data: job };
+
+    if (include_results === 'true' && job.run_id) {
+      const skip = (page - 1) * limit;
+      const filter = { run_id: job.run_id };
+
+      response.results = await DemandForecast.find(filter)
+        .sort({ product_id: 1, city: 1, forecast_date: 1 })
+        .limit(parseInt(limit))
+        .skip(skip);
+
+      const total = await DemandForecast.countDocuments(filter);
+      response.pagination = {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      };
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error fetching forecast job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch forecast job',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a queued or running job
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await forecastJobService.cancel(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Forecast job not found'
+      });
+    }
+
+    if (!job.cancel_requested) {
+      return res.status(400).json({
+        success: false,
+        error: `Job is already ${job.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: job.status === 'cancelled'
+        ? 'Forecast job cancelled'
+        : 'Cancellation requested; the job stops after its current chunk'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling forecast job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel forecast job',
+      message: error.message
+    });
+  }
+});
+
+// Record actual units sold (single object, array, or { actuals: [...] })
+router.post('/actuals', async (req, res) => {
+  try {
+    let rows;
+    if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (Array.isArray(req.body.actuals)) {
+      rows = req.body.actuals;
+    } else {
+      rows = [req.body];
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one actuals row is required'
+      });
+    }
+
+    const result = await actualsService.recordActuals(rows, 'api');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      message: `Recorded ${result.recorded} actuals, matched ${result.matched} to forecasts`
+    });
+
+  } catch (error) {
+    console.error('Error recording actuals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record actuals',
+      message: error.message
+    });
+  }
+});
+
+// Record actual units sold from an uploaded CSV (field name: file)
+router.post('/actuals/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required (form field "file")'
+      });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file has no data rows'
+      });
+    }
+
+    const result = await actualsService.recordActuals(rows, 'csv');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      file_name: req.file.originalname,
+      message: `Recorded ${result.recorded} actuals, matched ${result.matched} to forecasts`
+    });
+
+  } catch (error) {
+    console.error('Error uploading actuals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload actuals',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { PricingGuardrail } = require('../models');
+const guardrailService = require('../services/guardrailService');
+
+const router = express.Router();
+
+// Check scope targets and limits of a guardrail, returning an error message or null
+function validateGuardrail({ scope, category, product_id, min_margin_pct, floor_price, ceiling_price, competitor_strategy, competitor_band_pct }) {
+  if (!['global', 'category', 'product'].includes(scope)) {
+    return 'scope must be one of: global, category, product';
+  }
+  if (scope === 'category' && !category) {
+    return 'category is required for category guardrails';
+  }
+  if (scope === 'product' && !product_id) {
+    return 'product_id is required for product guardrails';
+  }
+  if (min_margin_pct !== null && min_margin_pct !== undefined && !(min_margin_pct >= 0 && min_margin_pct < 100)) {
+    return 'min_margin_pct is a percent of the price and must be at least 0 and below 100';
+  }
+  if (floor_price !== null && floor_price !== undefined &&
+      ceiling_price !== null && ceiling_price !== undefined &&
+      floor_price > ceiling_price) {
+    return 'floor_price cannot be above ceiling_price';
+  }
+  if (competitor_strategy && !['match', 'undercut', 'band'].includes(competitor_strategy)) {
+    return 'competitor_strategy must be one of: match, undercut, band';
+  }
+  if (competitor_strategy === 'band' && (competitor_band_pct === null || competitor_band_pct === undefined)) {
+    return 'competitor_band_pct is required for the band strategy';
+  }
+  return null;
+}
+
+// Get guardrail policies
+router.get('/', async (req, res) => {
+  try {
+    const { scope, category, product_id, is_active } = req.query;
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (category) filter.category = category;
+    if (product_id) filter.product_id = product_id;
+    if (is_active !== undefined) filter.is_active = is_active === 'true';
+
+    const guardrails = await PricingGuardrail.find(filter).sort({ scope: 1, category: 1, product_id: 1 });
+
+    res.json({
+      success: true,
+      data: guardrails,
+      total_records: guardrails.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching guardrails:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch guardrails',
+      message: error.message
+    });
+  }
+});
+
+// Get the policy that applies to a product after merging global, category and product rules
+router.get('/effective/:productId', async (req, res) => {
+  try {
+    const effective = await guardrailService.getEffectivePolicy(req.params.productId);
+
+    res.json({
+      success: true,
+      data: effective
+    });
+
+  } catch (error) {
+    console.error('Error resolving guardrails:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve guardrails',
+      message: error.message
+    });
+  }
+});
+
+// Create guardrail policy
+router.post('/', async (req, res) => {
+  try {
+    const guardrailData = req.body;
+
+    const validationError = validateGuardrail(guardrailData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Only the field matching the scope identifies the policy
+    if (guardrailData.scope !== 'category') guardrailData.category = null;
+    if (guardrailData.scope !== 'product') guardrailData.product_id = null;
+
+    const guardrail = new PricingGuardrail(guardrailData);
+    await guardrail.save();
+
+    res.status(201).json({
+      success: true,
+      data: guardrail,
+      message: 'Guardrail created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating guardrail:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A guardrail already exists for this scope'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create guardrail',
+      message: error.message
+    });
+  }
+});
+
+// Update guardrail policy
+router.put('/:guardrailId', async (req, res) => {
+  try {
+    const guardrail = await PricingGuardrail.findById(req.params.guardrailId);
+
+    if (!guardrail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guardrail not found'
+      });
+    }
+
+    const updateData = req.body;
+
+    // The scope and target of a policy can't change; create a new one instead
+    delete updateData._id;
+    delete updateData.scope;
+    delete updateData.category;
+    delete updateData.product_id;
+    delete updateData.created_at;
+
+    guardrail.set(updateData);
+
+    const validationError = validateGuardrail(guardrail);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    await guardrail.save();
+
+    res.json({
+      success: true,
+      data: guardrail,
+      message: 'Guardrail updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating guardrail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update guardrail',
+      message: error.message
+    });
+  }
+});
+
+// Delete guardrail policy
+router.delete('/:guardrailId', async (req, res) => {
+  try {
+    const guardrail = await PricingGuardrail.findByIdAndDelete(req.params.guardrailId);
+
+    if (!guardrail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guardrail not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Guardrail deleted successfully',
+      data: { scope: guardrail.scope, category: guardrail.category, product_id: guardrail.product_id }
+    });
+
+  } catch (error) {
+    console.error('Error deleting guardrail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete guardrail',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
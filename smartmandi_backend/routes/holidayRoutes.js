@@ -0,0 +1,196 @@
+const express = require('express');
+const { Holiday } = require('../models');
+const holidayService = require('../services/holidayService');
+
+const router = express.Router();
+
+// Get holidays (national plus regional ones applying to the city/state, if given)
+router.get('/', async (req, res) => {
+  try {
+    const { year, city, state, scope } = req.query;
+    let { start_date, end_date } = req.query;
+
+    if (year) {
+      start_date = start_date || `${parseInt(year)}-01-01`;
+      end_date = end_date || `${parseInt(year)}-12-31`;
+    }
+
+    const holidays = await holidayService.getHolidays({ start_date, end_date, city, state, scope });
+
+    res.json({
+      success: true,
+      data: holidays,
+      total_records: holidays.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holidays',
+      message: error.message
+    });
+  }
+});
+
+// Import the bundled holiday calendar file into the collection
+router.post('/import', async (req, res) => {
+  try {
+    const result = await holidayService.importFromFile();
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.total} holidays from calendar file`
+    });
+
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import holidays',
+      message: error.message
+    });
+  }
+});
+
+// Get single holiday
+router.get('/:holidayId', async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.holidayId);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Error fetching holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holiday',
+      message: error.message
+    });
+  }
+});
+
+// Create holiday
+router.post('/', async (req, res) => {
+  try {
+    const { name, date, scope = 'national', states = [], cities = [] } = req.body;
+
+    if (!name || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and date are required'
+      });
+    }
+
+    if (scope === 'regional' && states.length === 0 && cities.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Regional holidays need at least one state or city'
+      });
+    }
+
+    const holiday = new Holiday({ name, date, scope, states, cities });
+    await holiday.save();
+
+    res.status(201).json({
+      success: true,
+      data: holiday,
+      message: 'Holiday created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Holiday already exists for this date'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create holiday',
+      message: error.message
+    });
+  }
+});
+
+// Update holiday
+router.put('/:holidayId', async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    // Remove fields that shouldn't be updated directly
+    delete updateData._id;
+    delete updateData.createdAt;
+
+    const holiday = await Holiday.findByIdAndUpdate(
+      req.params.holidayId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: holiday,
+      message: 'Holiday updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update holiday',
+      message: error.message
+    });
+  }
+});
+
+// Delete holiday
+router.delete('/:holidayId', async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.holidayId);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully',
+      data: { name: holiday.name, date: holiday.date }
+    });
+
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete holiday',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
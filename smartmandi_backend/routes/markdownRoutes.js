@@ -0,0 +1,155 @@
+const express = require('express');
+const { MarkdownPlan } = require('../models');
+const markdownService = require('../services/markdownService');
+const { getRequester } = require('../utils/requestContext');
+
+const router = express.Router();
+
+// Get markdown plans
+router.get('/', async (req, res) => {
+  try {
+    const { status, product_id, category, city, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (product_id) filter.product_id = product_id;
+    if (category) filter.category = category;
+    if (city) filter.city = city;
+
+    const skip = (page - 1) * limit;
+
+    const plans = await MarkdownPlan.find(filter)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await MarkdownPlan.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: plans,
+      categories: markdownService.getCategories(),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching markdown plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch markdown plans',
+      message: error.message
+    });
+  }
+});
+
+// Plan markdowns now for every perishable product close to expiry
+router.post('/run', async (req, res) => {
+  try {
+    const { window_days = 5 } = req.body;
+    const { summary, errors } = await markdownService.runDaily({ window_days: Number(window_days) });
+
+    res.json({
+      success: true,
+      data: summary,
+      errors,
+      message: `Created ${summary.created} markdown plans and ${summary.recommendations} recommendations`
+    });
+
+  } catch (error) {
+    console.error('Error running markdown planning:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run markdown planning',
+      message: error.message
+    });
+  }
+});
+
+// Create a markdown plan for a product
+router.post('/', async (req, res) => {
+  try {
+    const { product_id, city = null } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'product_id is required'
+      });
+    }
+
+    const plan = await markdownService.createPlan(product_id, {
+      city,
+      created_by: getRequester(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      message: `Markdown plan created with ${plan.expected_waste_units} units of expected waste`
+    });
+
+  } catch (error) {
+    console.error('Error creating markdown plan:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to create markdown plan',
+      message: error.message
+    });
+  }
+});
+
+// Get a markdown plan
+router.get('/:planId', async (req, res) => {
+  try {
+    const plan = await MarkdownPlan.findById(req.params.planId)
+      .populate('schedule.recommendation_id', 'status recommended_price guardrails_applied');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Markdown plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Error fetching markdown plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch markdown plan',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a markdown plan
+router.post('/:planId/cancel', async (req, res) => {
+  try {
+    const plan = await markdownService.cancelPlan(req.params.planId);
+
+    res.json({
+      success: true,
+      data: plan,
+      message: 'Markdown plan cancelled'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling markdown plan:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to cancel markdown plan',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
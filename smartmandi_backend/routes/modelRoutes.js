@@ -0,0 +1,317 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const { ModelVersion } = require('../models');
+const modelRegistryService = require('../services/modelRegistryService');
+const modelTrainingService = require('../services/modelTrainingService');
+const modelWorkerPool = require('../services/modelWorkerPool');
+const { getRequester } = require('../utils/requestContext');
+
+const router = express.Router();
+
+// Model artifacts can be large, so uploads go to a temp file instead of memory
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 500 * 1024 * 1024 } // 500MB
+});
+
+/**
+ * Parse metrics sent as an object or, from a multipart form, as a JSON string
+ */
+function parseMetrics(metrics) {
+  if (metrics === undefined || metrics === '') return {};
+  if (typeof metrics === 'object') return metrics;
+  const parsed = JSON.parse(metrics);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+  return parsed;
+}
+
+// Get registered model versions
+router.get('/', async (req, res) => {
+  try {
+    const { model_type, status, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (model_type) filter.model_type = model_type;
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const versions = await ModelVersion.find(filter)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await ModelVersion.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: versions,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching model versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch model versions',
+      message: error.message
+    });
+  }
+});
+
+// Get the active version of each model type and what the workers have loaded
+router.get('/active', async (req, res) => {
+  try {
+    const active = await modelRegistryService.getActiveVersions();
+    const workers = modelWorkerPool.getStatus();
+
+    res.json({
+      success: true,
+      data: active,
+      workers: {
+        model_versions: workers.model_versions,
+        ready_workers: workers.ready_workers,
+        workers_current: workers.workers.filter(worker => worker.models_current).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching active models:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch active models',
+      message: error.message
+    });
+  }
+});
+
+// Register a model artifact already on the server's disk
+router.post('/', async (req, res) => {
+  try {
+    const { model_type, artifact_path } = req.body;
+
+    if (!model_type || !artifact_path) {
+      return res.status(400).json({
+        success: false,
+        error: 'model_type and artifact_path are required'
+      });
+    }
+
+    let metrics;
+    try {
+      metrics = parseMetrics(req.body.metrics);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'metrics must be a JSON object'
+      });
+    }
+
+    const version = await modelRegistryService.register(
+      { ...req.body, metrics },
+      { registered_by: getRequester(req) }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: version,
+      message: `Registered ${version.model_type} model version ${version.version} as a candidate`
+    });
+
+  } catch (error) {
+    console.error('Error registering model version:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to register model version',
+      message: error.message
+    });
+  }
+});
+
+// Upload a model artifact (field "model"; pricing models also "features" and optionally "schema")
+router.post('/upload', upload.fields([
+  { name: 'model', maxCount: 1 },
+  { name: 'features', maxCount: 1 },
+  { name: 'schema', maxCount: 1 }
+]), async (req, res) => {
+  const files = req.files || {};
+  const uploaded = {
+    model: files.model && files.model[0],
+    features: files.features && files.features[0],
+    schema: files.schema && files.schema[0]
+  };
+
+  try {
+    if (!uploaded.model) {
+      return res.status(400).json({
+        success: false,
+        error: 'Model file is required (form field "model")'
+      });
+    }
+
+    let metrics;
+    try {
+      metrics = parseMetrics(req.body.metrics);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'metrics must be a JSON object'
+      });
+    }
+
+    const version = await modelRegistryService.upload(
+      uploaded,
+      { ...req.body, metrics },
+      { registered_by: getRequester(req) }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: version,
+      file_name: uploaded.model.originalname,
+      message: `Uploaded ${version.model_type} model version ${version.version} as a candidate`
+    });
+
+  } catch (error) {
+    console.error('Error uploading model version:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to upload model version',
+      message: error.message
+    });
+  } finally {
+    Object.values(uploaded).filter(Boolean).forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
+
+// Retrain the pricing model and register it as a candidate version
+router.post('/pricing/train', async (req, res) => {
+  try {
+    const { version, description, lookback_days, include_feedback, holdout_fraction, seed, params } = req.body;
+
+    if (lookback_days !== undefined && (isNaN(Number(lookback_days)) || Number(lookback_days) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'lookback_days must be a positive number'
+      });
+    }
+    if (holdout_fraction !== undefined && !(Number(holdout_fraction) > 0 && Number(holdout_fraction) <= 0.5)) {
+      return res.status(400).json({
+        success: false,
+        error: 'holdout_fraction must be greater than 0 and at most 0.5'
+      });
+    }
+    if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+      return res.status(400).json({
+        success: false,
+        error: 'params must be an object of XGBoost parameters'
+      });
+    }
+
+    const { version: registered, training } = await modelTrainingService.trainPricingModel({
+      version,
+      description,
+      lookback_days: lookback_days !== undefined ? Number(lookback_days) : undefined,
+      include_feedback: include_feedback !== false,
+      holdout_fraction: holdout_fraction !== undefined ? Number(holdout_fraction) : undefined,
+      seed: seed !== undefined ? Number(seed) : undefined,
+      params
+    }, getRequester(req));
+
+    res.status(201).json({
+      success: true,
+      data: registered,
+      training,
+      message: `Trained pricing model version ${registered.version} (holdout MAE ${training.metrics.mae}); activate it to start using it`
+    });
+
+  } catch (error) {
+    console.error('Error training pricing model:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to train pricing model',
+      message: error.message
+    });
+  }
+});
+
+// Get a model version
+router.get('/:versionId', async (req, res) => {
+  try {
+    const version = await ModelVersion.findById(req.params.versionId)
+      .populate('previous_version_id', 'version status');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    console.error('Error fetching model version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch model version',
+      message: error.message
+    });
+  }
+});
+
+// Make a version the active one for its model type
+router.post('/:versionId/activate', async (req, res) => {
+  try {
+    const { activated, deactivated } = await modelRegistryService.activate(req.params.versionId, getRequester(req));
+
+    res.json({
+      success: true,
+      data: activated,
+      previous_version: deactivated ? deactivated.version : null,
+      message: `Activated ${activated.model_type} model version ${activated.version}`
+    });
+
+  } catch (error) {
+    console.error('Error activating model version:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to activate model version',
+      message: error.message
+    });
+  }
+});
+
+// Go back to the version that was active before the current one
+router.post('/:modelType/rollback', async (req, res) => {
+  try {
+    const { activated, deactivated } = await modelRegistryService.rollback(req.params.modelType, getRequester(req));
+
+    res.json({
+      success: true,
+      data: activated,
+      previous_version: deactivated ? deactivated.version : null,
+      message: `Rolled ${activated.model_type} model back to version ${activated.version}`
+    });
+
+  } catch (error) {
+    console.error('Error rolling back model version:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to roll back model version',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
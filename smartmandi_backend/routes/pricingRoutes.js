@@ -1,8 +1,11 @@
 const express = require('express');
-const { spawn } = require('child_process');
-const path = require('path');
-const { PriceRecommendation } = require('../models');
+const { PriceRecommendation, PriceElasticity } = require('../models');
 const productMappingService = require('../services/productMappingService');
+const pricingService = require('../services/pricingService');
+const elasticityService = require('../services/elasticityService');
+const simulationService = require('../services/simulationService');
+const seasonService = require('../services/seasonService');
+const { getRequester } = require('../utils/requestContext');
 
 const router = express.Router();
 
@@ -12,8 +15,10 @@ router.get('/', async (req, res) => {
     const {
       product_id,
       category,
+      city,
       start_date,
       end_date,
+      status,
       is_applied,
       limit = 100,
       page = 1
@@ -23,7 +28,12 @@ router.get('/', async (req, res) => {
     const filter = {};
     if (product_id) filter.product_id = product_id;
     if (category) filter.category = category;
-    if (is_applied !== undefined) filter.is_applied = is_applied === 'true';
+    if (city) filter.city = city;
+    if (status) filter.status = status;
+    // is_applied predates the status lifecycle and is still accepted
+    if (!status && is_applied !== undefined) {
+      filter.status = is_applied === 'true' ? 'applied' : { $ne: 'applied' };
+    }
     if (start_date || end_date) {
       filter.created_at = {};
       if (start_date) filter.created_at.$gte = new Date(start_date);
@@ -63,7 +73,7 @@ router.get('/', async (req, res) => {
 // Generate new price recommendations
 router.post('/recommend', async (req, res) => {
   try {
-    const { products } = req.body;
+    const { products, allow_unknown_categories = false } = req.body;
 
     if (!products || !Array.isArray(products) || products.length === 0) {
       return res.status(400).json({
@@ -72,6 +82,14 @@ router.post('/recommend', async (req, res) => {
       });
     }
 
+    const invalidSeason = products.map(product => seasonService.validateSeason(product.season)).find(Boolean);
+    if (invalidSeason) {
+      return res.status(400).json({
+        success: false,
+        error: invalidSeason
+      });
+    }
+
     // Map product names to IDs if needed
     const mappedProducts = await productMappingService.mapProductInputs(products);
 
@@ -82,182 +100,399 @@ router.post('/recommend', async (req, res) => {
       });
     }
 
-    // Add current date context to products
-    const enrichedProducts = mappedProducts.map(product => ({
-      ...product,
-      weekday: product.weekday || new Date().toLocaleDateString('en-US', { weekday: 'long' }),
-      season: product.season || getCurrentSeason()
-    }));
+    // Unknown categories (e.g. 'Unknown' for unmapped product names) would be
+    // priced as the model's baseline category; refuse them unless allowed
+    if (!allow_unknown_categories) {
+      let schema = null;
+      try {
+        schema = await pricingService.getFeatureSchema();
+      } catch (error) {
+        console.error('Pricing model schema unavailable, skipping category check:', error.message);
+      }
 
-    // Prepare input for Python model
-    const inputData = {
-      products: enrichedProducts
-    };
+      const unknown = schema ? pricingService.findUnknownCategories(mappedProducts, schema) : [];
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Pricing model has no category for ${unknown.length} product(s); pass allow_unknown_categories to price them as the baseline category`,
+          unknown_categories: unknown,
+          known_categories: schema.categorical.category.known_values
+        });
+      }
+    }
+
+    const { prediction, used_fallback } = await pricingService.generateRecommendations(mappedProducts);
 
-    console.log('Calling Python model service with data:', JSON.stringify(inputData, null, 2));
-
-    const pythonScript = path.join(__dirname, '../python/modelService.py');
-
-    console.log('Executing:', 'python', pythonScript);
-
-    // Add timeout to prevent hanging
-    const timeoutMs = 30000; // 30 seconds
-    let responseTimeout = false;
-    let timeoutHandle;
-
-    try {
-      let pythonExecutable = process.env.PYTHON_EXECUTABLE || 'python';
-      let pricingPythonScript = pythonScript;
-      
-      // Convert forward slashes to backslashes for Windows
-      pythonExecutable = pythonExecutable.replace(/\//g, '\\');
-      pricingPythonScript = pricingPythonScript.replace(/\//g, '\\');
-      
-      console.log('Executing python with:', pythonExecutable, pricingPythonScript);
-      
-      // Use spawn instead of exec to properly handle stdin on Windows
-      const pythonProcess = spawn(pythonExecutable, [pricingPythonScript, 'predict_pricing'], {
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+    if (used_fallback) {
+      return res.json({
+        success: true,
+        data: prediction,
+        message: `Generated ${prediction.total_recommendations} price recommendations using fallback logic`,
+        note: 'Generated using fallback pricing algorithm'
       });
+    }
 
-      // Write input data to stdin
-      pythonProcess.stdin.write(JSON.stringify(inputData));
-      pythonProcess.stdin.end();
+    res.json({
+      success: true,
+      data: prediction,
+      message: `Generated ${prediction.total_recommendations} price recommendations`
+    });
 
-      let outputData = '';
-      let errorData = '';
+  } catch (error) {
+    console.error('Error generating price recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate price recommendations',
+      message: error.message
+    });
+  }
+});
 
-      pythonProcess.stdout.on('data', (data) => {
-        outputData += data.toString();
-        console.log('Python stdout:', data.toString());
-      });
+// Price every product matching a filter (category, city, near expiry, stock) in one call
+router.post('/recommend/batch', async (req, res) => {
+  try {
+    const filter = req.body.filter || req.body;
+    const { category, city, product_ids, near_expiry_days, max_days_left, min_stock, max_stock, limit } = filter;
 
-      pythonProcess.stderr.on('data', (data) => {
-        errorData += data.toString();
-        console.error('Python stderr:', data.toString());
+    const numbers = { near_expiry_days, max_days_left, min_stock, max_stock, limit };
+    const invalid = Object.keys(numbers).find(key => numbers[key] !== undefined && (isNaN(Number(numbers[key])) || Number(numbers[key]) < 0));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalid} must be a non-negative number`
       });
+    }
 
-      timeoutHandle = setTimeout(() => {
-        console.error('Python script timeout after', timeoutMs, 'ms');
-        responseTimeout = true;
-        pythonProcess.kill('SIGTERM');
+    const criteria = {
+      category,
+      city,
+      product_ids,
+      // near_expiry_days is an alias for max_days_left
+      max_days_left: max_days_left !== undefined ? max_days_left : near_expiry_days,
+      min_stock,
+      max_stock,
+      limit
+    };
 
-        if (!res.headersSent) {
-          console.log('Using fallback pricing logic due to timeout');
-          return generateFallbackRecommendations(enrichedProducts, res);
-        }
-      }, timeoutMs);
+    const { prediction, used_fallback, summary } = await pricingService.generateBatchRecommendations(criteria);
 
-      pythonProcess.on('close', async (code) => {
-        clearTimeout(timeoutHandle);
+    res.json({
+      success: true,
+      data: {
+        ...prediction,
+        summary
+      },
+      filter: criteria,
+      message: `Generated ${prediction.total_recommendations} price recommendations${used_fallback ? ' using fallback logic' : ''}`,
+      ...(used_fallback && { note: 'Generated using fallback pricing algorithm' })
+    });
 
-        if (responseTimeout || res.headersSent) {
-          console.log('Response already sent due to timeout');
-          return;
-        }
+  } catch (error) {
+    console.error('Error generating batch price recommendations:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to generate batch price recommendations',
+      message: error.message
+    });
+  }
+});
 
-        console.log('Python process exited with code:', code);
+// Get the feature schema the pricing model is called with
+router.get('/model/features', async (req, res) => {
+  try {
+    const schema = await pricingService.getFeatureSchema();
 
-        if (code !== 0) {
-          console.error('Python script failed with code:', code);
-          console.error('Error output:', errorData);
-          console.log('Using fallback pricing logic');
-          return generateFallbackRecommendations(enrichedProducts, res);
-        }
+    res.json({
+      success: true,
+      data: {
+        features: schema.features,
+        numeric: schema.numeric,
+        categorical: schema.categorical,
+        model_info: schema.model_info
+      }
+    });
 
-        try {
-          const lines = outputData.trim().split('\n');
-          const lastLine = lines[lines.length - 1];
+  } catch (error) {
+    console.error('Error fetching pricing model features:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch pricing model features',
+      message: error.message
+    });
+  }
+});
 
-          console.log('Parsing Python output:', lastLine);
-          const prediction = JSON.parse(lastLine);
+// Get the season calendar and the current season, optionally for a city
+router.get('/seasons', (req, res) => {
+  try {
+    const { city } = req.query;
 
-          if (!prediction.success) {
-            console.log('Python prediction failed, using fallback');
-            return generateFallbackRecommendations(enrichedProducts, res);
-          }
+    res.json({
+      success: true,
+      data: {
+        current_season: seasonService.getSeason(new Date(), city || null),
+        city: city || null,
+        calendar: seasonService.loadConfig()
+      }
+    });
 
-          if (prediction.recommendations && prediction.recommendations.length > 0) {
-            try {
-              console.log('Attempting to save', prediction.recommendations.length, 'recommendations to database');
-              await PriceRecommendation.insertMany(prediction.recommendations);
-              console.log('Successfully saved recommendations to database');
-            } catch (dbError) {
-              console.log('Database not available, continuing without saving:', dbError.message);
-            }
-          }
+  } catch (error) {
+    console.error('Error fetching seasons:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch seasons',
+      message: error.message
+    });
+  }
+});
 
-          res.json({
-            success: true,
-            data: prediction,
-            message: `Generated ${prediction.total_recommendations} price recommendations`
-          });
-
-        } catch (parseError) {
-          console.error('Error parsing Python response:', parseError);
-          console.error('Raw output:', outputData);
-          console.log('Using fallback pricing logic');
-          generateFallbackRecommendations(enrichedProducts, res);
-        }
+// Simulate units, revenue, margin and leftover stock for candidate prices of a product
+router.post('/simulate', async (req, res) => {
+  try {
+    const { product_id } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'product_id is required'
       });
+    }
 
-      pythonProcess.on('error', (error) => {
-        clearTimeout(timeoutHandle);
+    const simulation = await simulationService.simulate(req.body);
 
-        if (responseTimeout || res.headersSent) {
-          return;
-        }
+    res.json({
+      success: true,
+      data: simulation
+    });
 
-        console.error('Failed to start Python process:', error);
-        console.log('Using fallback pricing logic');
-        generateFallbackRecommendations(enrichedProducts, res);
-      });
+  } catch (error) {
+    console.error('Error simulating prices:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to simulate prices',
+      message: error.message
+    });
+  }
+});
 
-    } catch (error) {
-      if (timeoutHandle) clearTimeout(timeoutHandle);
+// Get price elasticity estimates
+router.get('/elasticity', async (req, res) => {
+  try {
+    const { scope, product_id, category, city, is_reliable, limit = 50, page = 1 } = req.query;
 
-      console.error('Error spawning Python process:', error);
-      console.log('Using fallback pricing logic');
-      generateFallbackRecommendations(enrichedProducts, res);
-    }
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (product_id) filter.product_id = product_id;
+    if (category) filter.category = category;
+    if (city) filter.city = city === 'all' ? null : city;
+    if (is_reliable !== undefined) filter.is_reliable = is_reliable === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const estimates = await PriceElasticity.find(filter)
+      .sort({ scope: 1, category: 1, product_id: 1, city: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await PriceElasticity.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: estimates,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
 
   } catch (error) {
-    console.error('Error generating price recommendations:', error);
+    console.error('Error fetching price elasticities:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate price recommendations',
+      error: 'Failed to fetch price elasticities',
       message: error.message
     });
   }
 });
 
-// Apply price recommendation
-router.patch('/:recommendationId/apply', async (req, res) => {
+// Re-estimate price elasticities from price history and demand actuals
+router.post('/elasticity/estimate', async (req, res) => {
   try {
-    const { recommendationId } = req.params;
+    const { lookback_days = 180, product_id, category } = req.body;
 
-    const recommendation = await PriceRecommendation.findByIdAndUpdate(
-      recommendationId,
-      { is_applied: true },
-      { new: true }
-    );
+    if (isNaN(Number(lookback_days)) || Number(lookback_days) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'lookback_days must be a positive number'
+      });
+    }
+
+    const summary = await elasticityService.estimate({
+      lookback_days: Number(lookback_days),
+      product_id,
+      category
+    });
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Estimated ${summary.estimated} price elasticities (${summary.reliable} reliable)`
+    });
+
+  } catch (error) {
+    console.error('Error estimating price elasticities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate price elasticities',
+      message: error.message
+    });
+  }
+});
 
-    if (!recommendation) {
+// Get the elasticity used when pricing a product, with all its estimates
+router.get('/elasticity/:productId', async (req, res) => {
+  try {
+    const result = await elasticityService.getProductElasticity(req.params.productId, req.query.city || null);
+
+    if (!result) {
       return res.status(404).json({
         success: false,
-        error: 'Recommendation not found'
+        error: 'Product not found'
       });
     }
 
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching product elasticity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product elasticity',
+      message: error.message
+    });
+  }
+});
+
+// Get recommendations waiting for approval
+router.get('/pending', async (req, res) => {
+  try {
+    const { category, product_id, limit = 100, page = 1 } = req.query;
+
+    // Don't offer recommendations for review once they can no longer be applied
+    await pricingService.expireStaleRecommendations();
+
+    const filter = { status: 'pending_approval' };
+    if (category) filter.category = category;
+    if (product_id) filter.product_id = product_id;
+
+    const skip = (page - 1) * limit;
+
+    const recommendations = await PriceRecommendation.find(filter)
+      .sort({ created_at: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await PriceRecommendation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: recommendations,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching pending recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pending recommendations',
+      message: error.message
+    });
+  }
+});
+
+// Approve a pending recommendation
+router.patch('/:recommendationId/approve', async (req, res) => {
+  try {
+    const recommendation = await pricingService.reviewRecommendation(
+      req.params.recommendationId,
+      'approved',
+      getRequester(req),
+      req.body.comment
+    );
+
+    res.json({
+      success: true,
+      data: recommendation,
+      message: 'Price recommendation approved'
+    });
+
+  } catch (error) {
+    console.error('Error approving price recommendation:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to approve price recommendation',
+      message: error.message
+    });
+  }
+});
+
+// Reject a pending recommendation
+router.patch('/:recommendationId/reject', async (req, res) => {
+  try {
+    const recommendation = await pricingService.reviewRecommendation(
+      req.params.recommendationId,
+      'rejected',
+      getRequester(req),
+      req.body.comment
+    );
+
     res.json({
       success: true,
       data: recommendation,
-      message: 'Price recommendation applied successfully'
+      message: 'Price recommendation rejected'
+    });
+
+  } catch (error) {
+    console.error('Error rejecting price recommendation:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to reject price recommendation',
+      message: error.message
+    });
+  }
+});
+
+// Apply price recommendation to the product's current price
+router.patch('/:recommendationId/apply', async (req, res) => {
+  try {
+    const { recommendation, product, history } = await pricingService.applyRecommendation(
+      req.params.recommendationId,
+      getRequester(req)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recommendation,
+        product,
+        price_change: history
+      },
+      message: `Price of ${product.product_name} changed from ${history.old_price} to ${history.new_price}`
     });
 
   } catch (error) {
     console.error('Error applying price recommendation:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to apply price recommendation',
       message: error.message
@@ -265,6 +500,35 @@ router.patch('/:recommendationId/apply', async (req, res) => {
   }
 });
 
+// Revert an applied price recommendation
+router.patch('/:recommendationId/revert', async (req, res) => {
+  try {
+    const { recommendation, product, history } = await pricingService.revertRecommendation(
+      req.params.recommendationId,
+      getRequester(req),
+      { force: req.body.force === true }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recommendation,
+        product,
+        price_change: history
+      },
+      message: `Price of ${product.product_name} reverted from ${history.old_price} to ${history.new_price}`
+    });
+
+  } catch (error) {
+    console.error('Error reverting price recommendation:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to revert price recommendation',
+      message: error.message
+    });
+  }
+});
+
 // Get pricing analytics
 router.get('/analytics', async (req, res) => {
   try {
@@ -303,12 +567,19 @@ router.get('/analytics', async (req, res) => {
           _id: groupField,
           total_recommendations: { $sum: 1 },
           applied_recommendations: {
-            $sum: { $cond: ['$is_applied', 1, 0] }
+            $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] }
           },
           avg_price_change: { $avg: '$price_change_percentage' },
           avg_current_price: { $avg: '$current_price' },
           avg_recommended_price: { $avg: '$recommended_price' },
-          avg_confidence: { $avg: '$confidence_score' }
+          avg_confidence: { $avg: '$confidence_score' },
+          avg_cost_price: { $avg: '$cost_price' },
+          avg_current_margin_pct: { $avg: '$current_margin_pct' },
+          avg_recommended_margin_pct: { $avg: '$recommended_margin_pct' },
+          below_cost_recommendations: {
+            $sum: { $cond: ['$below_cost', 1, 0] }
+          },
+          projected_margin_impact: { $sum: '$projected_margin_impact' }
         }
       },
       {
@@ -344,6 +615,11 @@ router.get('/analytics', async (req, res) => {
         avg_current_price: 45.20,
         avg_recommended_price: 46.33,
         avg_confidence: 0.82,
+        avg_cost_price: 36.50,
+        avg_current_margin_pct: 19.25,
+        avg_recommended_margin_pct: 21.22,
+        below_cost_recommendations: 0,
+        projected_margin_impact: 1250.40,
         application_rate: 0.71
       },
       {
@@ -354,6 +630,11 @@ router.get('/analytics', async (req, res) => {
         avg_current_price: 28.50,
         avg_recommended_price: 28.16,
         avg_confidence: 0.79,
+        avg_cost_price: 22.10,
+        avg_current_margin_pct: 22.46,
+        avg_recommended_margin_pct: 21.52,
+        below_cost_recommendations: 1,
+        projected_margin_impact: -310.75,
         application_rate: 0.66
       }
     ];
@@ -400,8 +681,17 @@ router.get('/optimization-summary', async (req, res) => {
           max_price_increase: { $max: '$price_change_percentage' },
           max_price_decrease: { $min: '$price_change_percentage' },
           total_applied: {
-            $sum: { $cond: ['$is_applied', 1, 0] }
-          }
+            $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] }
+          },
+          products_with_cost: {
+            $sum: { $cond: [{ $ne: [{ $ifNull: ['$cost_price', null] }, null] }, 1, 0] }
+          },
+          products_below_cost: {
+            $sum: { $cond: ['$below_cost', 1, 0] }
+          },
+          avg_current_margin_pct: { $avg: '$current_margin_pct' },
+          avg_recommended_margin_pct: { $avg: '$recommended_margin_pct' },
+          projected_margin_impact: { $sum: '$projected_margin_impact' }
         }
       }
     ]);
@@ -414,7 +704,12 @@ router.get('/optimization-summary', async (req, res) => {
       avg_price_change: 0,
       max_price_increase: 0,
       max_price_decrease: 0,
-      total_applied: 0
+      total_applied: 0,
+      products_with_cost: 0,
+      products_below_cost: 0,
+      avg_current_margin_pct: null,
+      avg_recommended_margin_pct: null,
+      projected_margin_impact: 0
     };
 
     result.application_rate = result.total_products > 0 ? 
@@ -441,6 +736,11 @@ router.get('/optimization-summary', async (req, res) => {
         max_price_increase: 15.5,
         max_price_decrease: -12.3,
         total_applied: 89,
+        products_with_cost: 110,
+        products_below_cost: 3,
+        avg_current_margin_pct: 20.4,
+        avg_recommended_margin_pct: 21.1,
+        projected_margin_impact: 4820.5,
         application_rate: 0.71
       },
       period_days: parseInt(req.query.days || 7),
@@ -450,105 +750,4 @@ router.get('/optimization-summary', async (req, res) => {
   }
 });
 
-// Helper function to get current season
-function getCurrentSeason() {
-  const month = new Date().getMonth() + 1; // 1-12
-  if (month >= 3 && month <= 5) return 'Spring';
-  if (month >= 6 && month <= 8) return 'Summer';
-  if (month >= 9 && month <= 11) return 'Autumn';
-  return 'Winter';
-}
-
-// Fallback pricing logic when Python model fails
-async function generateFallbackRecommendations(products, res) {
-  try {
-    const recommendations = products.map(product => {
-      const currentPrice = product.current_price || 25.0;
-      const stockLevel = product.stock_level || 100;
-      const demandScore = product.demand_score || 50;
-      const daysLeft = product.days_left || 7;
-      
-      // Rule-based pricing logic
-      let priceMultiplier = 1.0;
-      let reason = 'Current price is optimal';
-      
-      // High demand adjustment
-      if (demandScore > 70) {
-        priceMultiplier *= 1.05; // 5% increase
-        reason = 'High demand detected - price increase recommended';
-      } else if (demandScore < 30) {
-        priceMultiplier *= 0.95; // 5% decrease
-        reason = 'Low demand - price reduction to boost sales';
-      }
-      
-      // Stock level adjustment
-      if (stockLevel < 50) {
-        priceMultiplier *= 1.03; // 3% increase for low stock
-        reason = 'Low stock levels - price increase to manage demand';
-      } else if (stockLevel > 200) {
-        priceMultiplier *= 0.97; // 3% decrease for high stock
-        reason = 'High inventory levels - price reduction to clear stock';
-      }
-      
-      // Expiry adjustment
-      if (daysLeft <= 2) {
-        priceMultiplier *= 0.80; // 20% decrease for near expiry
-        reason = 'Product nearing expiry - urgent price reduction';
-      } else if (daysLeft <= 5) {
-        priceMultiplier *= 0.90; // 10% decrease
-        reason = 'Product nearing expiry - price reduction to clear stock';
-      }
-      
-      const recommendedPrice = currentPrice * priceMultiplier;
-      const priceChange = ((recommendedPrice - currentPrice) / currentPrice * 100);
-      
-      return {
-        product_id: product.product_id,
-        product_name: product.product_name,
-        category: product.category,
-        current_price: currentPrice,
-        recommended_price: Math.round(recommendedPrice * 100) / 100,
-        price_change_percentage: Math.round(priceChange * 100) / 100,
-        demand_score: demandScore,
-        stock_level: stockLevel,
-        days_left: daysLeft,
-        weekday: product.weekday || new Date().toLocaleDateString('en-US', { weekday: 'long' }),
-        season: product.season || getCurrentSeason(),
-        confidence_score: 0.75, // Lower confidence for rule-based
-        recommendation_reason: reason,
-        model_version: 'fallback-1.0',
-        created_at: new Date(),
-        valid_until: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        is_applied: false
-      };
-    });
-    
-    // Try to save to database if available
-    try {
-      await PriceRecommendation.insertMany(recommendations);
-    } catch (dbError) {
-      console.log('Database not available, continuing without saving:', dbError.message);
-    }
-    
-    res.json({
-      success: true,
-      data: {
-        success: true,
-        recommendations: recommendations,
-        total_recommendations: recommendations.length
-      },
-      message: `Generated ${recommendations.length} price recommendations using fallback logic`,
-      note: 'Generated using fallback pricing algorithm'
-    });
-    
-  } catch (error) {
-    console.error('Error in fallback recommendations:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate fallback recommendations',
-      message: error.message
-    });
-  }
-}
-
 module.exports = router;
@@ -1,10 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { Product } = require('../models');
 const { City } = require('../models');
 const productMappingService = require('../services/productMappingService');
+const pricingService = require('../services/pricingService');
+const costService = require('../services/costService');
+const { getRequester } = require('../utils/requestContext');
 
 const router = express.Router();
 
+// Match a product by product_id, or by _id when the id is a valid ObjectId
+// (querying _id with an id like "P001" throws a CastError)
+function productIdFilter(productId) {
+  return mongoose.isValidObjectId(productId)
+    ? { $or: [{ _id: productId }, { product_id: productId }] }
+    : { product_id: productId };
+}
+
 // Get all products
 router.get('/', async (req, res) => {
   try {
@@ -404,12 +416,7 @@ router.get('/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
     
-    const product = await Product.findOne({
-      $or: [
-        { _id: productId },
-        { product_id: productId }
-      ]
-    });
+    const product = await Product.findOne(productIdFilter(productId));
 
     if (!product) {
       return res.status(404).json({
@@ -514,13 +521,12 @@ router.put('/:productId', async (req, res) => {
     delete updateData.created_at;
     updateData.updated_at = new Date();
 
+    const productFilter = productIdFilter(productId);
+
+    const previous = await Product.findOne(productFilter).select('current_price');
+
     const product = await Product.findOneAndUpdate(
-      {
-        $or: [
-          { _id: productId },
-          { product_id: productId }
-        ]
-      },
+      productFilter,
       updateData,
       { new: true, runValidators: true }
     );
@@ -532,6 +538,20 @@ router.put('/:productId', async (req, res) => {
       });
     }
 
+    // Batches can't hold more than the stock left
+    if (updateData.stock_level !== undefined || updateData.cities !== undefined || updateData.batches !== undefined) {
+      costService.reconcileBatches(product);
+      await product.save();
+    }
+
+    // Keep a record of manual price edits
+    if (previous && previous.current_price !== product.current_price) {
+      await pricingService.recordPriceChange(product, previous.current_price, product.current_price, {
+        source: 'manual',
+        changed_by: getRequester(req)
+      });
+    }
+
     res.json({
       success: true,
       data: product,
@@ -548,6 +568,161 @@ router.put('/:productId', async (req, res) => {
   }
 });
 
+// Set product price, product-wide or for a single city
+router.patch('/:productId/price', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { price, city, note = '' } = req.body;
+
+    if (price === undefined || isNaN(Number(price)) || Number(price) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid price is required'
+      });
+    }
+
+    const product = await Product.findOne(productIdFilter(productId));
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const history = await pricingService.changeProductPrice(product, Number(price), {
+      source: 'manual',
+      city: city || null,
+      changed_by: getRequester(req),
+      note
+    });
+
+    res.json({
+      success: true,
+      data: product,
+      price_change: history,
+      message: city ? `Price updated for ${city}` : 'Price updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating product price:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update product price',
+      message: error.message
+    });
+  }
+});
+
+// Receive a stock batch with its purchase cost
+router.post('/:productId/batches', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { batch_id, city = null, quantity, cost_price, received_at, expiry_date } = req.body;
+
+    if (!batch_id || quantity === undefined || cost_price === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'batch_id, quantity and cost_price are required'
+      });
+    }
+
+    const units = Number(quantity);
+    const unitCost = Number(cost_price);
+    if (quantity === '' || !Number.isInteger(units) || units < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a whole number of 0 or more'
+      });
+    }
+    if (cost_price === '' || !Number.isFinite(unitCost) || unitCost < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'cost_price must be a number of 0 or more'
+      });
+    }
+
+    const receivedAt = received_at ? new Date(received_at) : new Date();
+    const expiryDate = expiry_date ? new Date(expiry_date) : null;
+    if (isNaN(receivedAt.getTime()) || (expiryDate && isNaN(expiryDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'received_at and expiry_date must be valid dates'
+      });
+    }
+
+    const product = await Product.findOne(productIdFilter(productId));
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    if (product.batches.some(batch => batch.batch_id === batch_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Batch ID already exists for this product'
+      });
+    }
+
+    product.batches.push({
+      batch_id,
+      city,
+      quantity: units,
+      cost_price: unitCost,
+      received_at: receivedAt,
+      expiry_date: expiryDate
+    });
+    // Received units add to stock; a batch that has already expired is written off again
+    costService.addStock(product, units, city);
+    const reconciled = costService.reconcileBatches(product);
+    product.updated_at = new Date();
+
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      data: product,
+      effective_cost: costService.getEffectiveCost(product, city),
+      expired_units: reconciled.expired_units,
+      message: `Batch ${batch_id} received`
+    });
+
+  } catch (error) {
+    console.error('Error receiving product batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to receive product batch',
+      message: error.message
+    });
+  }
+});
+
+// Get price history timeline (optionally for one city)
+router.get('/:productId/price-history', async (req, res) => {
+  try {
+    const { city, start_date, end_date } = req.query;
+
+    const history = await pricingService.getPriceHistory(req.params.productId, { city, start_date, end_date });
+
+    res.json({
+      success: true,
+      data: history,
+      total_changes: history.timeline.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      message: error.message
+    });
+  }
+});
+
 // Update product stock for specific city
 router.patch('/:productId/stock/:cityName', async (req, res) => {
   try {
@@ -561,12 +736,7 @@ router.patch('/:productId/stock/:cityName', async (req, res) => {
       });
     }
 
-    const product = await Product.findOne({
-      $or: [
-        { _id: productId },
-        { product_id: productId }
-      ]
-    });
+    const product = await Product.findOne(productIdFilter(productId));
 
     if (!product) {
       return res.status(404).json({
@@ -591,6 +761,8 @@ router.patch('/:productId/stock/:cityName', async (req, res) => {
 
     // Update overall stock level (sum of all cities)
     product.stock_level = product.cities.reduce((total, city) => total + city.stock_level, 0);
+    // Stock that went down was sold, so it comes off the batches too
+    costService.reconcileBatches(product);
     product.updated_at = new Date();
 
     await product.save();
@@ -616,12 +788,7 @@ router.delete('/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
 
-    const product = await Product.findOneAndDelete({
-      $or: [
-        { _id: productId },
-        { product_id: productId }
-      ]
-    });
+    const product = await Product.findOneAndDelete(productIdFilter(productId));
 
     if (!product) {
       return res.status(404).json({
@@ -728,6 +895,47 @@ router.post('/cache/refresh', async (req, res) => {
   }
 });
 
+// Bulk price changes: [{ product_id, new_price | change_percentage, city?, note? }]
+router.post('/bulk/prices', async (req, res) => {
+  try {
+    const { changes, note = '' } = req.body;
+
+    if (!changes || !Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Changes array is required'
+      });
+    }
+
+    const invalid = changes.findIndex(change =>
+      !change.product_id || (change.new_price === undefined && change.change_percentage === undefined)
+    );
+    if (invalid >= 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Change ${invalid} needs product_id and new_price or change_percentage`
+      });
+    }
+
+    const { changed, failed } = await pricingService.bulkChangePrices(changes, getRequester(req), note);
+
+    res.status(failed.length > 0 ? 207 : 200).json({
+      success: true,
+      data: changed,
+      failed,
+      message: `${changed.length} prices changed, ${failed.length} failed`
+    });
+
+  } catch (error) {
+    console.error('Error bulk changing prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change prices',
+      message: error.message
+    });
+  }
+});
+
 // Bulk operations
 router.post('/bulk/create', async (req, res) => {
   try {
@@ -0,0 +1,300 @@
+const express = require('express');
+const { ScheduledTask, TaskRun, Alert } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const { getNextRun } = require('../utils/cron');
+
+const router = express.Router();
+
+// Get scheduled tasks
+router.get('/tasks', async (req, res) => {
+  try {
+    const tasks = await ScheduledTask.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: tasks,
+      task_types: schedulerService.getTaskTypes()
+    });
+
+  } catch (error) {
+    console.error('Error fetching scheduled tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled tasks',
+      message: error.message
+    });
+  }
+});
+
+// Create scheduled task
+router.post('/tasks', async (req, res) => {
+  try {
+    const { name, task_type, cron, enabled = true, options = {}, description = '' } = req.body;
+
+    if (!name || !task_type || !cron) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, task_type and cron are required'
+      });
+    }
+
+    if (!schedulerService.getTaskTypes().includes(task_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `task_type must be one of: ${schedulerService.getTaskTypes().join(', ')}`
+      });
+    }
+
+    if (!schedulerService.isValidCron(cron)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cron expression, or one that never fires'
+      });
+    }
+
+    const task = new ScheduledTask({
+      name,
+      task_type,
+      cron,
+      enabled,
+      options,
+      description,
+      next_run_at: enabled ? getNextRun(cron) : null
+    });
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      data: task,
+      message: 'Scheduled task created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating scheduled task:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A task with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create scheduled task',
+      message: error.message
+    });
+  }
+});
+
+// Update scheduled task (cron, enabled, options, description)
+router.put('/tasks/:name', async (req, res) => {
+  try {
+    const task = await ScheduledTask.findOne({ name: req.params.name });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheduled task not found'
+      });
+    }
+
+    const { cron, enabled, options, description } = req.body;
+
+    if (cron !== undefined && !schedulerService.isValidCron(cron)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cron expression, or one that never fires'
+      });
+    }
+
+    if (cron !== undefined) task.cron = cron;
+    if (enabled !== undefined) task.enabled = enabled;
+    if (options !== undefined) task.options = options;
+    if (description !== undefined) task.description = description;
+    task.next_run_at = task.enabled ? getNextRun(task.cron) : null;
+
+    await task.save();
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Scheduled task updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating scheduled task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scheduled task',
+      message: error.message
+    });
+  }
+});
+
+// Delete scheduled task
+router.delete('/tasks/:name', async (req, res) => {
+  try {
+    const task = await ScheduledTask.findOneAndDelete({ name: req.params.name });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheduled task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled task deleted successfully',
+      data: { name: task.name }
+    });
+
+  } catch (error) {
+    console.error('Error deleting scheduled task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete scheduled task',
+      message: error.message
+    });
+  }
+});
+
+// Run a task now
+router.post('/tasks/:name/run', async (req, res) => {
+  try {
+    const task = await ScheduledTask.findOne({ name: req.params.name });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheduled task not found'
+      });
+    }
+
+    const run = await schedulerService.runTask(task, 'manual');
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task is already running'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: run,
+      message: `Started ${task.name}`
+    });
+
+  } catch (error) {
+    console.error('Error running scheduled task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run scheduled task',
+      message: error.message
+    });
+  }
+});
+
+// Get task run history
+router.get('/runs', async (req, res) => {
+  try {
+    const { task_name, status, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (task_name) filter.task_name = task_name;
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const runs = await TaskRun.find(filter)
+      .sort({ started_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await TaskRun.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching task runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch task runs',
+      message: error.message
+    });
+  }
+});
+
+// Get alerts
+router.get('/alerts', async (req, res) => {
+  try {
+    const { acknowledged, severity, limit = 50 } = req.query;
+
+    const filter = {};
+    if (acknowledged !== undefined) filter.acknowledged = acknowledged === 'true';
+    if (severity) filter.severity = severity;
+
+    const alerts = await Alert.find(filter)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: alerts,
+      total_records: alerts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts',
+      message: error.message
+    });
+  }
+});
+
+// Acknowledge alert
+router.patch('/alerts/:alertId/acknowledge', async (req, res) => {
+  try {
+    const alert = await Alert.findByIdAndUpdate(
+      req.params.alertId,
+      { acknowledged: true, acknowledged_at: new Date() },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+      message: 'Alert acknowledged'
+    });
+
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge alert',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const multer = require('multer');
+const { WeatherObservation } = require('../models');
+const weatherService = require('../services/weatherService');
+const { parseCsv } = require('../utils/csvParser');
+
+const router = express.Router();
+
+// Weather CSV uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// Get stored weather observations
+router.get('/', async (req, res) => {
+  try {
+    const { city, start_date, end_date, source, limit = 100, page = 1 } = req.query;
+
+    const filter = {};
+    if (city) filter.city = city;
+    if (source) filter.source = source;
+    if (start_date || end_date) {
+      filter.date = {};
+      if (start_date) filter.date.$gte = new Date(start_date);
+      if (end_date) filter.date.$lte = new Date(end_date);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const observations = await WeatherObservation.find(filter)
+      .sort({ date: -1, city: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await WeatherObservation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: observations,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching weather:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch weather',
+      message: error.message
+    });
+  }
+});
+
+// Get the weather providers that can be synced from
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: weatherService.getProviders()
+  });
+});
+
+// Record daily weather (single object, array, or { observations: [...] })
+router.post('/', async (req, res) => {
+  try {
+    let rows;
+    if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (Array.isArray(req.body.observations)) {
+      rows = req.body.observations;
+    } else {
+      rows = [req.body];
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one weather observation is required'
+      });
+    }
+
+    const result = await weatherService.importObservations(rows, 'api');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      message: `Recorded ${result.recorded} weather observations`
+    });
+
+  } catch (error) {
+    console.error('Error recording weather:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record weather',
+      message: error.message
+    });
+  }
+});
+
+// Record daily weather from an uploaded CSV (field name: file)
+router.post('/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required (form field "file")'
+      });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file has no data rows'
+      });
+    }
+
+    const result = await weatherService.importObservations(rows, 'csv');
+
+    res.status(result.recorded > 0 ? 200 : 400).json({
+      success: result.recorded > 0,
+      data: result,
+      file_name: req.file.originalname,
+      message: `Recorded ${result.recorded} weather observations`
+    });
+
+  } catch (error) {
+    console.error('Error uploading weather:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload weather',
+      message: error.message
+    });
+  }
+});
+
+// Fetch and store daily weather from a provider
+router.post('/sync', async (req, res) => {
+  try {
+    const { provider, cities, start_date, days = 7 } = req.body;
+
+    if (isNaN(parseInt(days)) || parseInt(days) < 1 || parseInt(days) > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be between 1 and 90'
+      });
+    }
+
+    const result = await weatherService.syncFromProvider({ provider, cities, start_date, days });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Stored ${result.recorded} weather observations from ${result.provider}`
+    });
+
+  } catch (error) {
+    console.error('Error syncing weather:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to sync weather',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
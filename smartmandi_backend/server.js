@@ -5,11 +5,18 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 require('dotenv').config();
+const modelWorkerPool = require('./services/modelWorkerPool');
+const forecastJobService = require('./services/forecastJobService');
+const schedulerService = require('./services/schedulerService');
+const pricingService = require('./services/pricingService');
+const modelRegistryService = require('./services/modelRegistryService');
 
 // Set Python executable to virtual environment
 if (!process.env.PYTHON_EXECUTABLE) {
   // __dirname is smartmandi_backend, need to go to SmartMandis (parent of parent)
-  const pythonPath = path.join(__dirname, '..', '..', '.venv', 'Scripts', 'python.exe');
+  const pythonPath = process.platform === 'win32'
+    ? path.join(__dirname, '..', '..', '.venv', 'Scripts', 'python.exe')
+    : path.join(__dirname, '..', '..', '.venv', 'bin', 'python');
   process.env.PYTHON_EXECUTABLE = pythonPath;
   console.log('Using Python executable:', pythonPath);
 }
@@ -33,6 +40,29 @@ const connectDB = async () => {
     });
     console.log('✓ MongoDB connected successfully');
     console.log(`Connected to: ${mongoUri}`);
+
+    // Recommendations saved with the old is_applied flag get a status
+    pricingService.migrateLegacyStatus().catch(error => {
+      console.error('Failed to migrate price recommendation status:', error.message);
+    });
+
+    // Recommendations saved with Spring/Autumn/Rainy get a season from the season calendar
+    pricingService.migrateLegacySeasons().catch(error => {
+      console.error('Failed to migrate price recommendation seasons:', error.message);
+    });
+
+    // Workers load the active registry versions (the bundled models are registered as 1.0)
+    modelRegistryService.syncWorkers().catch(error => {
+      console.error('Failed to load active model versions:', error.message);
+    });
+
+    // Pick up async forecast jobs interrupted by the last shutdown
+    forecastJobService.resumeInterruptedJobs();
+
+    // Nightly forecasts and price refreshes; set SCHEDULER_ENABLED=false to turn off
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.start();
+    }
   } catch (error) {
     console.error('✗ MongoDB connection failed:', error.message);
     process.exit(1);
@@ -43,9 +73,16 @@ connectDB();
 
 // Routes
 app.use('/api/demand', require('./routes/demandRoutes'));
+app.use('/api/pricing/guardrails', require('./routes/guardrailRoutes'));
+app.use('/api/pricing/markdowns', require('./routes/markdownRoutes'));
+app.use('/api/pricing/competitors', require('./routes/competitorRoutes'));
 app.use('/api/pricing', require('./routes/pricingRoutes'));
 app.use('/api/dashboard', require('./routes/dashboardRoutes'));
 app.use('/api/products', require('./routes/productRoutes'));
+app.use('/api/holidays', require('./routes/holidayRoutes'));
+app.use('/api/weather', require('./routes/weatherRoutes'));
+app.use('/api/scheduler', require('./routes/schedulerRoutes'));
+app.use('/api/models', require('./routes/modelRoutes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -53,7 +90,8 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    model_workers: modelWorkerPool.getStatus()
   });
 });
 
@@ -65,8 +103,15 @@ app.get('/', (req, res) => {
     endpoints: {
       demand_forecasting: '/api/demand',
       dynamic_pricing: '/api/pricing',
+      pricing_guardrails: '/api/pricing/guardrails',
+      markdowns: '/api/pricing/markdowns',
+      competitor_prices: '/api/pricing/competitors',
       dashboard: '/api/dashboard',
       products: '/api/products',
+      holidays: '/api/holidays',
+      weather: '/api/weather',
+      scheduler: '/api/scheduler',
+      models: '/api/models',
       health: '/health'
     },
     timestamp: new Date().toISOString()
@@ -90,10 +135,25 @@ app.use('*', (req, res) => {
   });
 });
 
+// Load the models once up front instead of on the first request
+modelWorkerPool.start();
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Graceful shutdown so python workers don't outlive the server
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close();
+  schedulerService.stop();
+  await modelWorkerPool.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 module.exports = app;
@@ -0,0 +1,157 @@
+const { DemandActual, DemandForecast } = require('../models');
+const productMappingService = require('./productMappingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ActualsService {
+  /**
+   * Parse a date into the UTC midnight of that day, or null if invalid
+   */
+  toSaleDay(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Key identifying one product/city/day
+   */
+  matchKey(productId, city, day) {
+    return `${productId}|${city}|${day.toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Validate one incoming sales row and normalize its field names.
+   * Accepts the column names of demand_forecasting_data.csv
+   * (date, product_id, product, city, units_sold) as well as the API names.
+   */
+  async normalizeRow(row) {
+    let productId = row.product_id;
+    let productName = row.product_name || row.product;
+    let category = row.category;
+    const city = row.city;
+    const saleDay = this.toSaleDay(row.date || row.sale_date || row.forecast_date);
+    const unitsValue = row.units_sold !== undefined ? row.units_sold : row.actual_units;
+    const units = Number(unitsValue);
+
+    if (!productId && productName) {
+      const product = await productMappingService.getProductByName(productName);
+      if (product) {
+        productId = product.product_id;
+        productName = product.product_name;
+        category = category || product.category;
+      }
+    }
+
+    if (!productId) return { error: 'product_id or a known product name is required' };
+    if (!city) return { error: 'city is required' };
+    if (!saleDay) return { error: 'A valid date is required' };
+    if (unitsValue === undefined || unitsValue === '' || isNaN(units) || units < 0) {
+      return { error: 'units_sold must be a non-negative number' };
+    }
+
+    return {
+      actual: {
+        product_id: productId,
+        product_name: productName,
+        category,
+        city,
+        sale_date: saleDay,
+        units_sold: units
+      }
+    };
+  }
+
+  /**
+   * Upsert sold units and copy them onto matching forecasts.
+   *
+   * Rows are matched to forecasts by product_id, city and day. Rows without a
+   * forecast are still stored and reported as unmatched; invalid rows are
+   * skipped and reported with the reason.
+   */
+  async recordActuals(rows, source = 'api') {
+    const invalid = [];
+    const actuals = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const { actual, error } = await this.normalizeRow(rows[index]);
+      if (error) {
+        invalid.push({ index, row: rows[index], reason: error });
+      } else {
+        actuals.push({ index, actual });
+      }
+    }
+
+    if (actuals.length === 0) {
+      return { received: rows.length, recorded: 0, matched: 0, unmatched: [], invalid };
+    }
+
+    // Find which product/city/days have forecasts with a single query
+    const days = actuals.map(({ actual }) => actual.sale_date.getTime());
+    const forecasts = await DemandForecast.find({
+      product_id: { $in: [...new Set(actuals.map(({ actual }) => actual.product_id))] },
+      city: { $in: [...new Set(actuals.map(({ actual }) => actual.city))] },
+      forecast_date: { $gte: new Date(Math.min(...days)), $lt: new Date(Math.max(...days) + DAY_MS) }
+    }).select('product_id city forecast_date');
+
+    const forecastKeys = new Set(forecasts.map(forecast =>
+      this.matchKey(forecast.product_id, forecast.city, this.toSaleDay(forecast.forecast_date))
+    ));
+
+    const now = new Date();
+    const actualOps = [];
+    const forecastOps = [];
+    const unmatched = [];
+
+    actuals.forEach(({ index, actual }) => {
+      actualOps.push({
+        updateOne: {
+          filter: { product_id: actual.product_id, city: actual.city, sale_date: actual.sale_date },
+          update: {
+            $set: { ...actual, source, updated_at: now },
+            $setOnInsert: { created_at: now }
+          },
+          upsert: true
+        }
+      });
+
+      if (forecastKeys.has(this.matchKey(actual.product_id, actual.city, actual.sale_date))) {
+        forecastOps.push({
+          updateMany: {
+            filter: {
+              product_id: actual.product_id,
+              city: actual.city,
+              forecast_date: { $gte: actual.sale_date, $lt: new Date(actual.sale_date.getTime() + DAY_MS) }
+            },
+            update: { $set: { actual_units: actual.units_sold } }
+          }
+        });
+      } else {
+        unmatched.push({
+          index,
+          product_id: actual.product_id,
+          city: actual.city,
+          date: actual.sale_date.toISOString().slice(0, 10),
+          reason: 'No forecast found for this product, city and date'
+        });
+      }
+    });
+
+    await DemandActual.bulkWrite(actualOps, { ordered: false });
+    if (forecastOps.length > 0) {
+      await DemandForecast.bulkWrite(forecastOps, { ordered: false });
+    }
+
+    return {
+      received: rows.length,
+      recorded: actuals.length,
+      matched: forecastOps.length,
+      unmatched,
+      invalid
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ActualsService();
@@ -0,0 +1,176 @@
+const { CompetitorPrice, Product } = require('../models');
+const productMappingService = require('./productMappingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Competitor prices older than this are ignored when pricing
+const MAX_AGE_DAYS = process.env.COMPETITOR_PRICE_MAX_AGE_DAYS !== undefined
+  ? parseInt(process.env.COMPETITOR_PRICE_MAX_AGE_DAYS)
+  : 7;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class CompetitorService {
+  /**
+   * Look up the products named by rows without a product_id in one query,
+   * keyed by normalized name. Names match ignoring case and extra spaces.
+   */
+  async findProductsByName(rows) {
+    const names = [...new Set(rows
+      .filter(row => !row.product_id && (row.product_name || row.product))
+      .map(row => String(row.product_name || row.product).trim().replace(/\s+/g, ' ')))];
+    if (names.length === 0) return new Map();
+
+    const products = await Product.find({ product_name: { $in: names } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('product_id product_name category')
+      .lean();
+    return new Map(products.map(product => [productMappingService.normalizeProductName(product.product_name), product]));
+  }
+
+  /**
+   * Validate one incoming competitor price and normalize its field names.
+   * A product can be given by product_id or by name (product_name/product),
+   * resolved from the products found by findProductsByName.
+   */
+  normalizeRow(row, productsByName) {
+    let productId = row.product_id;
+    let productName = row.product_name || row.product;
+    let category = row.category;
+    const competitor = row.competitor || row.competitor_name;
+    const priceValue = row.price !== undefined ? row.price : row.competitor_price;
+    const price = Number(priceValue);
+    const observedValue = row.observed_at || row.date;
+    const observedAt = observedValue ? new Date(observedValue) : new Date();
+
+    if (!productId && productName) {
+      const product = productsByName.get(productMappingService.normalizeProductName(String(productName)));
+      if (product) {
+        productId = product.product_id;
+        productName = product.product_name;
+        category = category || product.category;
+      }
+    }
+
+    if (!productId) return { error: 'product_id or a known product name is required' };
+    if (!competitor) return { error: 'competitor is required' };
+    if (priceValue === undefined || priceValue === '' || isNaN(price) || price <= 0) {
+      return { error: 'price must be a positive number' };
+    }
+    if (isNaN(observedAt.getTime())) return { error: 'observed_at must be a valid date' };
+
+    return {
+      price: {
+        product_id: productId,
+        product_name: productName,
+        category,
+        competitor: String(competitor).trim(),
+        city: row.city || null,
+        price,
+        observed_at: observedAt
+      }
+    };
+  }
+
+  /**
+   * Store competitor prices. Re-importing the same product, competitor,
+   * city and time updates the price; invalid rows are skipped and reported.
+   */
+  async importPrices(rows, source = 'api') {
+    const productsByName = await this.findProductsByName(rows);
+    const invalid = [];
+    const ops = [];
+
+    rows.forEach((row, index) => {
+      const { price, error } = this.normalizeRow(row, productsByName);
+      if (error) {
+        invalid.push({ index, row, reason: error });
+        return;
+      }
+
+      ops.push({
+        updateOne: {
+          filter: {
+            product_id: price.product_id,
+            competitor: price.competitor,
+            city: price.city,
+            observed_at: price.observed_at
+          },
+          update: { $set: { ...price, source }, $setOnInsert: { created_at: new Date() } },
+          upsert: true
+        }
+      });
+    });
+
+    if (ops.length > 0) {
+      await CompetitorPrice.bulkWrite(ops, { ordered: false });
+    }
+
+    return { received: rows.length, recorded: ops.length, invalid };
+  }
+
+  /**
+   * Min, median and max of the latest price of each competitor. With a
+   * city, only that city's prices and prices for all cities are used.
+   */
+  summarize(prices, city = null) {
+    const latest = new Map();
+    prices
+      .filter(price => !city || price.city === null || price.city === city)
+      .forEach(price => {
+        const key = `${price.competitor}|${price.city}`;
+        const current = latest.get(key);
+        if (!current || price.observed_at > current.observed_at) latest.set(key, price);
+      });
+
+    if (latest.size === 0) return null;
+
+    const values = [...latest.values()].map(price => price.price).sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+
+    return {
+      min_price: values[0],
+      median_price: round2(values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle]),
+      max_price: values[values.length - 1],
+      competitors: new Set([...latest.values()].map(price => price.competitor)).size,
+      observed_at: new Date(Math.max(...[...latest.values()].map(price => price.observed_at.getTime())))
+    };
+  }
+
+  /**
+   * Recent competitor prices of several products, grouped by product
+   */
+  async getRecentPrices(productIds) {
+    const prices = await CompetitorPrice.find({
+      product_id: { $in: productIds },
+      observed_at: { $gte: new Date(Date.now() - MAX_AGE_DAYS * DAY_MS) }
+    }).lean();
+
+    const byProduct = new Map();
+    prices.forEach(price => {
+      if (!byProduct.has(price.product_id)) byProduct.set(price.product_id, []);
+      byProduct.get(price.product_id).push(price);
+    });
+    return byProduct;
+  }
+
+  /**
+   * Competitor summary of one product, with the prices it is based on
+   */
+  async getProductSummary(productId, city = null) {
+    const byProduct = await this.getRecentPrices([productId]);
+    const prices = (byProduct.get(productId) || [])
+      .filter(price => !city || price.city === null || price.city === city);
+
+    return {
+      product_id: productId,
+      city,
+      max_age_days: MAX_AGE_DAYS,
+      summary: this.summarize(prices, city),
+      prices: prices.sort((a, b) => b.observed_at - a.observed_at)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CompetitorService();
@@ -0,0 +1,159 @@
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earliest expiry first (batches without one last), then earliest received
+const byExpiry = (a, b) => {
+  const expiryA = a.expiry_date ? new Date(a.expiry_date).getTime() : Infinity;
+  const expiryB = b.expiry_date ? new Date(b.expiry_date).getTime() : Infinity;
+  if (expiryA !== expiryB) return expiryA < expiryB ? -1 : 1;
+  return new Date(a.received_at) - new Date(b.received_at);
+};
+
+/**
+ * Take up to `units` off batches in order, returning the units taken
+ */
+function consumeBatches(batches, units) {
+  let taken = 0;
+  batches.slice().sort(byExpiry).forEach(batch => {
+    const take = Math.min(batch.quantity, units - taken);
+    if (take > 0) {
+      batch.quantity -= take;
+      taken += take;
+    }
+  });
+  return taken;
+}
+
+class CostService {
+  /**
+   * Unit cost of a product, optionally in one city.
+   *
+   * Batches with stock left give a quantity-weighted average cost (city
+   * batches only when a city is given). Otherwise the city's cost_price,
+   * then the product's cost_price, are used. Returns null if unknown.
+   */
+  getEffectiveCost(product, city = null) {
+    if (!product) return null;
+
+    const batches = (product.batches || []).filter(batch =>
+      batch.quantity > 0 && (!city || batch.city === city)
+    );
+
+    if (batches.length > 0) {
+      const quantity = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+      const cost = batches.reduce((sum, batch) => sum + batch.quantity * batch.cost_price, 0);
+      return round2(cost / quantity);
+    }
+
+    if (city) {
+      const cityEntry = (product.cities || []).find(entry => entry.city_name === city);
+      if (cityEntry && cityEntry.cost_price !== null && cityEntry.cost_price !== undefined) {
+        return cityEntry.cost_price;
+      }
+    }
+
+    return product.cost_price !== null && product.cost_price !== undefined ? product.cost_price : null;
+  }
+
+  /**
+   * Gross margin of a price over a cost, in percent of the price
+   */
+  marginPct(price, cost) {
+    if (cost === null || cost === undefined || !(price > 0)) return null;
+    return round2((price - cost) / price * 100);
+  }
+
+  /**
+   * Lowest price giving at least the given gross margin over a cost, the
+   * inverse of marginPct
+   */
+  minPriceForMargin(cost, marginPct) {
+    return cost / (1 - marginPct / 100);
+  }
+
+  /**
+   * Add a received batch's units to the product's stock and, for a city
+   * batch, to that city's stock
+   */
+  addStock(product, quantity, city = null) {
+    if (city) {
+      const cityEntry = product.cities.find(entry => entry.city_name === city);
+      if (cityEntry) {
+        cityEntry.stock_level = (cityEntry.stock_level || 0) + quantity;
+        cityEntry.last_updated = new Date();
+      } else {
+        product.cities.push({ city_name: city, stock_level: quantity, last_updated: new Date() });
+      }
+    }
+    product.stock_level = (product.stock_level || 0) + quantity;
+  }
+
+  /**
+   * Keep batch quantities in line with stock. Batches past their expiry
+   * day are written off and their units taken off stock. Where batches
+   * then hold more units than are in stock (in their city, then in total)
+   * the difference was sold, and comes off the earliest-expiring batches.
+   *
+   * @returns {Object} { expired_units, sold_units }
+   */
+  reconcileBatches(product, now = new Date()) {
+    const batches = (product.batches || []).filter(batch => batch.quantity > 0);
+    let expiredUnits = 0;
+    let soldUnits = 0;
+
+    batches.forEach(batch => {
+      if (!batch.expiry_date) return;
+      const expiry = new Date(batch.expiry_date);
+      expiry.setUTCHours(0, 0, 0, 0);
+      if (expiry.getTime() + DAY_MS > now.getTime()) return;
+
+      const cityEntry = batch.city ? product.cities.find(entry => entry.city_name === batch.city) : null;
+      if (cityEntry) cityEntry.stock_level = Math.max(0, (cityEntry.stock_level || 0) - batch.quantity);
+      product.stock_level = Math.max(0, (product.stock_level || 0) - batch.quantity);
+      expiredUnits += batch.quantity;
+      batch.quantity = 0;
+    });
+
+    const remaining = batches.filter(batch => batch.quantity > 0);
+    (product.cities || []).forEach(cityEntry => {
+      const cityBatches = remaining.filter(batch => batch.city === cityEntry.city_name);
+      const excess = cityBatches.reduce((sum, batch) => sum + batch.quantity, 0) - (cityEntry.stock_level || 0);
+      if (excess > 0) soldUnits += consumeBatches(cityBatches, excess);
+    });
+
+    const excess = remaining.reduce((sum, batch) => sum + batch.quantity, 0) - (product.stock_level || 0);
+    if (excess > 0) soldUnits += consumeBatches(remaining, excess);
+
+    return { expired_units: expiredUnits, sold_units: soldUnits };
+  }
+
+  /**
+   * Margin fields for a recommendation. The projected impact is the change
+   * in margin per unit multiplied by the stock on hand.
+   */
+  computeMargins(recommendation, cost) {
+    if (cost === null || cost === undefined) {
+      return {
+        cost_price: null,
+        current_margin_pct: null,
+        recommended_margin_pct: null,
+        margin_per_unit: null,
+        projected_margin_impact: null,
+        below_cost: false
+      };
+    }
+
+    return {
+      cost_price: cost,
+      current_margin_pct: this.marginPct(recommendation.current_price, cost),
+      recommended_margin_pct: this.marginPct(recommendation.recommended_price, cost),
+      margin_per_unit: round2(recommendation.recommended_price - cost),
+      projected_margin_impact: round2((recommendation.recommended_price - recommendation.current_price) * (recommendation.stock_level || 0)),
+      below_cost: recommendation.recommended_price < cost
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CostService();
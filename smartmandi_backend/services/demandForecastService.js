@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { DemandForecast, DemandActual, ForecastRun } = require('../models');
+const modelWorkerPool = require('./modelWorkerPool');
+const holidayService = require('./holidayService');
+const weatherService = require('./weatherService');
+const { codedError } = require('../utils/errors');
+
+// Forecasts saved before runs existed have no is_current field and count as current
+const CURRENT_FORECAST = { $ne: false };
+
+const PREDICTION_TIMEOUT_MS = 60000; // 60 seconds
+
+const MAX_SEED = 2147483647;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of recorded actuals before the forecast window sent to extend the model's history
+const ACTUALS_LOOKBACK_DAYS = 365;
+
+class DemandForecastService {
+  /**
+   * Generate a new forecast run ID
+   */
+  createRunId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * First forecast date for a run started at the given time: the next day,
+   * as a server-local YYYY-MM-DD date
+   */
+  getDefaultStartDate(from = new Date()) {
+    const start = new Date(from);
+    start.setDate(start.getDate() + 1);
+    const month = String(start.getMonth() + 1).padStart(2, '0');
+    const day = String(start.getDate()).padStart(2, '0');
+    return `${start.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Fix the start date and seed of a forecast before it runs, so the run
+   * records them even if it fails and a re-run forecasts the same days
+   * with the same seed
+   */
+  resolveParameters(params) {
+    return {
+      ...params,
+      start_date: params.start_date || this.getDefaultStartDate(),
+      seed: params.seed !== null && params.seed !== undefined ? params.seed : crypto.randomInt(0, MAX_SEED)
+    };
+  }
+
+  /**
+   * Recorded daily sales of the forecast's products (and cities, when
+   * given) before its start date, as the model's history rows
+   */
+  async getHistoryActuals(params) {
+    const windowStart = new Date(`${params.start_date}T00:00:00Z`);
+    const filter = {
+      product_id: { $in: params.products.map(product => product.product_id) },
+      sale_date: { $gte: new Date(windowStart.getTime() - ACTUALS_LOOKBACK_DAYS * DAY_MS), $lt: windowStart }
+    };
+    if (params.cities && params.cities.length > 0) filter.city = { $in: params.cities };
+
+    const actuals = await DemandActual.find(filter).lean();
+    return actuals.map(actual => ({
+      product_id: actual.product_id,
+      city: actual.city,
+      category: actual.category,
+      date: actual.sale_date.toISOString().slice(0, 10),
+      units_sold: actual.units_sold
+    }));
+  }
+
+  /**
+   * Restrict a forecast filter to current forecasts unless history is requested
+   */
+  applyCurrentFilter(filter, includeHistory = false) {
+    if (includeHistory !== true && includeHistory !== 'true') {
+      filter.is_current = CURRENT_FORECAST;
+    }
+    return filter;
+  }
+
+  /**
+   * Save the predictions of one forecast run.
+   *
+   * The new forecasts are inserted as current, then every older forecast for
+   * the same product/city/date is kept as history (is_current: false).
+   */
+  async saveForecasts(predictions, runId) {
+    const docs = predictions.map(pred => ({
+      ...pred,
+      forecast_date: new Date(pred.forecast_date),
+      run_id: runId,
+      is_current: true
+    }));
+
+    const inserted = await DemandForecast.insertMany(docs);
+
+    const seen = new Set();
+    const supersedeOps = [];
+    docs.forEach(doc => {
+      const key = `${doc.product_id}|${doc.city}|${doc.forecast_date.getTime()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      supersedeOps.push({
+        updateMany: {
+          filter: {
+            product_id: doc.product_id,
+            city: doc.city,
+            forecast_date: doc.forecast_date,
+            run_id: { $ne: runId },
+            is_current: CURRENT_FORECAST
+          },
+          update: { $set: { is_current: false } }
+        }
+      });
+    });
+
+    const result = supersedeOps.length > 0
+      ? await DemandForecast.bulkWrite(supersedeOps, { ordered: false })
+      : { modifiedCount: 0 };
+
+    return {
+      inserted: inserted.length,
+      superseded: result.modifiedCount
+    };
+  }
+
+  /**
+   * Record the start of a forecast run. Returns null if the database is not
+   * available so forecasting still works without an audit record.
+   */
+  async startRun(runId, params, context) {
+    try {
+      return await ForecastRun.create({
+        run_id: runId,
+        status: 'running',
+        requested_by: context.requested_by || 'anonymous',
+        source: context.source || 'api',
+        rerun_of: context.rerun_of || null,
+        parameters: {
+          forecast_days: params.forecast_days,
+          start_date: params.start_date,
+          seed: params.seed,
+          cities: params.cities
+        },
+        products: params.products.map(({ product_id, product_name, category }) => ({ product_id, product_name, category })),
+        started_at: new Date()
+      });
+    } catch (error) {
+      console.log('Database not available, forecast run will not be recorded:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a forecast run
+   */
+  async finishRun(run, update) {
+    if (!run) return;
+
+    const finishedAt = new Date();
+    Object.assign(run, update, {
+      finished_at: finishedAt,
+      duration_ms: finishedAt - run.started_at
+    });
+
+    try {
+      await run.save();
+    } catch (error) {
+      console.error('Failed to update forecast run:', error.message);
+    }
+  }
+
+  /**
+   * Call the model for one batch of products and save the predictions under
+   * the given run. Non-fatal problems are appended to runErrors.
+   *
+   * @returns {Object} { prediction, saved }
+   */
+  async predictAndSave(params, runId, runErrors) {
+    // Holiday calendar for the forecast window; the model works without it
+    let holidayCalendar = {};
+    try {
+      holidayCalendar = await holidayService.getCalendarForForecast(params.forecast_days, params.start_date);
+
+      const coverageEnd = await holidayService.getCoverageEnd();
+      const windowEnd = new Date(new Date(`${params.start_date}T00:00:00Z`).getTime() + (params.forecast_days - 1) * DAY_MS)
+        .toISOString().slice(0, 10);
+      if (coverageEnd && windowEnd > coverageEnd) {
+        console.warn(`Holiday calendar ends ${coverageEnd}, before the forecast window ends ${windowEnd}`);
+        runErrors.push(`Holiday calendar ends ${coverageEnd}; no holidays applied after it`);
+      }
+    } catch (error) {
+      console.error('Failed to load holiday calendar:', error.message);
+      runErrors.push(`Holiday calendar unavailable: ${error.message}`);
+    }
+
+    // Daily weather per city, also optional
+    let weather = {};
+    try {
+      weather = await weatherService.getWeatherForForecast(params.cities, params.forecast_days, params.start_date);
+    } catch (error) {
+      console.error('Failed to load weather:', error.message);
+      runErrors.push(`Weather unavailable: ${error.message}`);
+    }
+
+    // Recorded actuals extend the bundled sales history up to the forecast window
+    let actuals = [];
+    try {
+      actuals = await this.getHistoryActuals(params);
+    } catch (error) {
+      console.error('Failed to load demand actuals:', error.message);
+      runErrors.push(`Demand actuals unavailable: ${error.message}`);
+    }
+
+    const inputData = {
+      products: params.products,
+      forecast_days: params.forecast_days,
+      start_date: params.start_date,
+      // Stored runs and jobs keep missing cities as []; leave them out so the model uses its defaults
+      cities: params.cities && params.cities.length > 0 ? params.cities : undefined,
+      seed: params.seed,
+      ...holidayCalendar,
+      weather,
+      actuals
+    };
+
+    console.log('Calling Python model service with', params.products.length, 'products and', actuals.length, 'recorded actuals');
+
+    const prediction = await modelWorkerPool.request('predict_demand', inputData, {
+      timeout: PREDICTION_TIMEOUT_MS
+    });
+
+    if (!prediction.success) {
+      throw codedError('MODEL_PREDICTION_FAILED', prediction.error);
+    }
+
+    // Save predictions to database (if MongoDB is connected)
+    let saved = 0;
+    if (prediction.predictions && prediction.predictions.length > 0) {
+      try {
+        const result = await this.saveForecasts(prediction.predictions, runId);
+        saved = result.inserted;
+        console.log('Saved', result.inserted, 'predictions to database,', result.superseded, 'older forecasts kept as history');
+      } catch (dbError) {
+        console.error('Failed to save the demand forecasts:', dbError);
+        runErrors.push(`Failed to save forecasts: ${dbError.message}`);
+      }
+    }
+
+    return { prediction, saved };
+  }
+
+  /**
+   * Run a forecast end to end: call the model, save the forecasts as a new
+   * run and record the run (inputs, model file hash, timing, errors).
+   *
+   * @param {Object} params - { products (already mapped), forecast_days, cities, seed, start_date }
+   * @param {Object} context - { requested_by, source, rerun_of }
+   * @returns {Object} { run_id, run, prediction }
+   */
+  async runForecast(requestParams, context = {}) {
+    const params = this.resolveParameters(requestParams);
+    const runId = this.createRunId();
+    const run = await this.startRun(runId, params, context);
+    const runErrors = [];
+
+    try {
+      const { prediction, saved } = await this.predictAndSave(params, runId, runErrors);
+
+      await this.finishRun(run, {
+        status: 'completed',
+        model_file_hash: prediction.model_info ? prediction.model_info.sha256 : null,
+        model_version: prediction.model_version || '1.0',
+        forecast_methods: prediction.forecast_methods || null,
+        total_predictions: prediction.total_predictions,
+        saved_predictions: saved,
+        run_errors: runErrors
+      });
+
+      return { run_id: runId, run, prediction };
+
+    } catch (error) {
+      await this.finishRun(run, {
+        status: 'failed',
+        run_errors: [...runErrors, error.message]
+      });
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DemandForecastService();
@@ -0,0 +1,351 @@
+const { PriceElasticity, PriceHistory, DemandActual, Product } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Estimates need at least this many days of sales before they adjust prices
+const MIN_OBSERVATIONS = process.env.ELASTICITY_MIN_OBSERVATIONS !== undefined
+  ? parseInt(process.env.ELASTICITY_MIN_OBSERVATIONS)
+  : 14;
+
+// Price cuts on products this close to expiry are never damped
+const NEAR_EXPIRY_DAYS = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+class ElasticityService {
+  /**
+   * Price of a product in a city at a point in time, rebuilt from its price
+   * history. A city's own price wins over the product-wide price; before the
+   * first change the old price of that change is used.
+   */
+  priceAt(entries, city, time, fallbackPrice) {
+    let cityPrice = null;
+    let productPrice = null;
+    let nextChange = null;
+
+    for (const entry of entries) {
+      if (entry.city !== null && entry.city !== city) continue;
+
+      if (entry.changed_at <= time) {
+        if (entry.city === null) productPrice = entry.new_price;
+        else cityPrice = entry.new_price;
+      } else if (!nextChange) {
+        nextChange = entry;
+      }
+    }
+
+    if (cityPrice !== null) return cityPrice;
+    if (productPrice !== null) return productPrice;
+    return nextChange ? nextChange.old_price : fallbackPrice;
+  }
+
+  /**
+   * Fit ln(units) = a + e * ln(price) by least squares. Each group (a
+   * product/city series) gets its own intercept, so pooled estimates compare
+   * price changes within a series rather than price levels across products.
+   *
+   * @param {Array} groups - Arrays of { price, units } observations
+   * @returns {Object|null} Fit, or null if prices never changed
+   */
+  fitLogLog(groups) {
+    const points = [];
+    const prices = new Set();
+
+    groups.filter(group => group.length > 0).forEach(group => {
+      const xs = group.map(point => Math.log(point.price));
+      const ys = group.map(point => Math.log(point.units));
+      const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+      const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+      xs.forEach((x, index) => points.push({ dx: x - meanX, dy: ys[index] - meanY }));
+      group.forEach(point => prices.add(point.price));
+    });
+
+    const sxx = points.reduce((sum, point) => sum + point.dx * point.dx, 0);
+    if (points.length < 2 || sxx === 0) return null;
+
+    const sxy = points.reduce((sum, point) => sum + point.dx * point.dy, 0);
+    const slope = sxy / sxx;
+
+    const sst = points.reduce((sum, point) => sum + point.dy * point.dy, 0);
+    const sse = points.reduce((sum, point) => sum + Math.pow(point.dy - slope * point.dx, 2), 0);
+    const degreesOfFreedom = points.length - groups.filter(group => group.length > 0).length - 1;
+
+    return {
+      elasticity: round4(slope),
+      standard_error: degreesOfFreedom > 0 ? round4(Math.sqrt(sse / degreesOfFreedom / sxx)) : null,
+      r_squared: sst > 0 ? round4(1 - sse / sst) : null,
+      observations: points.length,
+      distinct_prices: prices.size
+    };
+  }
+
+  /**
+   * An estimate adjusts prices when it has enough days of data, more than
+   * one price, a negative slope and is larger than its standard error
+   */
+  isReliable(fit) {
+    return fit.observations >= MIN_OBSERVATIONS &&
+      fit.distinct_prices >= 2 &&
+      fit.elasticity < 0 &&
+      (fit.standard_error === null || fit.standard_error < Math.abs(fit.elasticity));
+  }
+
+  /**
+   * Estimate elasticities from price history and demand actuals, per product
+   * and city, per product, per category and city, and per category, and
+   * store them. Days without sales are skipped since log(0) is undefined.
+   *
+   * @param {Object} options - { lookback_days, product_id, category }
+   * @returns {Object} Summary of the estimates stored
+   */
+  async estimate({ lookback_days = 180, product_id, category } = {}) {
+    const periodEnd = new Date();
+    const periodStart = new Date(periodEnd.getTime() - lookback_days * DAY_MS);
+
+    const productFilter = {};
+    if (product_id) productFilter.product_id = product_id;
+    if (category) productFilter.category = category;
+
+    const products = await Product.find(productFilter).select('product_id category current_price cities');
+    const productIds = products.map(product => product.product_id);
+
+    const [history, actuals] = await Promise.all([
+      PriceHistory.find({ product_id: { $in: productIds } }).sort({ changed_at: 1 }).lean(),
+      DemandActual.find({
+        product_id: { $in: productIds },
+        sale_date: { $gte: periodStart, $lte: periodEnd },
+        units_sold: { $gt: 0 }
+      }).select('product_id city sale_date units_sold').lean()
+    ]);
+
+    const historyByProduct = new Map();
+    history.forEach(entry => {
+      if (!historyByProduct.has(entry.product_id)) historyByProduct.set(entry.product_id, []);
+      historyByProduct.get(entry.product_id).push(entry);
+    });
+
+    // Observations per product and city, priced at midday of the sale date
+    const productsById = new Map(products.map(product => [product.product_id, product]));
+    const series = new Map();
+    actuals.forEach(actual => {
+      const product = productsById.get(actual.product_id);
+      const cityEntry = product.cities.find(entry => entry.city_name === actual.city);
+      const currentPrice = cityEntry && cityEntry.price !== null && cityEntry.price !== undefined
+        ? cityEntry.price
+        : product.current_price;
+
+      const price = this.priceAt(
+        historyByProduct.get(actual.product_id) || [],
+        actual.city,
+        new Date(actual.sale_date.getTime() + DAY_MS / 2),
+        currentPrice
+      );
+      if (!(price > 0)) return;
+
+      const key = `${actual.product_id}|${actual.city}`;
+      if (!series.has(key)) {
+        series.set(key, { product_id: actual.product_id, category: product.category, city: actual.city, points: [] });
+      }
+      series.get(key).points.push({ price, units: actual.units_sold });
+    });
+
+    // Each estimate pools the series that belong to it
+    const targets = new Map();
+    const addTo = (scope, productId, categoryName, city, item) => {
+      const key = `${scope}|${productId}|${categoryName}|${city}`;
+      if (!targets.has(key)) {
+        targets.set(key, { scope, product_id: productId, category: categoryName, city, groups: [] });
+      }
+      targets.get(key).groups.push(item.points);
+    };
+    series.forEach(item => {
+      addTo('product', item.product_id, null, item.city, item);
+      addTo('product', item.product_id, null, null, item);
+      addTo('category', null, item.category, item.city, item);
+      addTo('category', null, item.category, null, item);
+    });
+
+    const estimates = [];
+    for (const target of targets.values()) {
+      const fit = this.fitLogLog(target.groups);
+      if (!fit) continue;
+
+      const estimate = await PriceElasticity.findOneAndUpdate(
+        { scope: target.scope, product_id: target.product_id, category: target.category, city: target.city },
+        {
+          ...fit,
+          is_reliable: this.isReliable(fit),
+          period_start: periodStart,
+          period_end: periodEnd,
+          estimated_at: new Date()
+        },
+        { upsert: true, new: true }
+      );
+      estimates.push(estimate);
+    }
+
+    return {
+      products: products.length,
+      series: series.size,
+      estimated: estimates.length,
+      reliable: estimates.filter(estimate => estimate.is_reliable).length,
+      by_scope: {
+        product: estimates.filter(estimate => estimate.scope === 'product').length,
+        category: estimates.filter(estimate => estimate.scope === 'category').length
+      },
+      period_start: periodStart,
+      period_end: periodEnd
+    };
+  }
+
+  /**
+   * Most specific reliable estimate for a product: product in the city,
+   * product overall, category in the city, then category overall
+   */
+  resolveElasticity(estimates, productId, category, city = null) {
+    const candidates = [
+      e => e.scope === 'product' && e.product_id === productId && city && e.city === city,
+      e => e.scope === 'product' && e.product_id === productId && e.city === null,
+      e => e.scope === 'category' && e.category === category && city && e.city === city,
+      e => e.scope === 'category' && e.category === category && e.city === null
+    ];
+
+    for (const matches of candidates) {
+      const estimate = estimates.find(matches);
+      if (estimate) return estimate;
+    }
+    return null;
+  }
+
+  /**
+   * Load the reliable estimates that could apply to the given products
+   */
+  getReliableEstimates(productIds, categories) {
+    return PriceElasticity.find({
+      is_reliable: true,
+      $or: [
+        { scope: 'product', product_id: { $in: productIds } },
+        { scope: 'category', category: { $in: categories } }
+      ]
+    }).lean();
+  }
+
+  /**
+   * Get the elasticity used for a product, with every estimate on record
+   */
+  async getProductElasticity(productId, city = null) {
+    const product = await Product.findOne({ product_id: productId }).select('product_id product_name category');
+    if (!product) return null;
+
+    const estimates = await PriceElasticity.find({
+      $or: [
+        { scope: 'product', product_id: productId },
+        { scope: 'category', category: product.category }
+      ]
+    }).sort({ scope: -1, city: 1 });
+
+    const resolved = this.resolveElasticity(
+      estimates.filter(estimate => estimate.is_reliable),
+      productId,
+      product.category,
+      city
+    );
+
+    return {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      category: product.category,
+      city,
+      elasticity: resolved,
+      estimates
+    };
+  }
+
+  /**
+   * Attach elasticities to recommendations and damp price moves that the
+   * estimate says will lose revenue: increases on elastic products
+   * (e < -1) are divided by |e|, and cuts on inelastic products (-1 < e < 0)
+   * are scaled by |e| unless the product is close to expiry.
+   *
+   * @param {Array} recommendations - Recommendations to adjust in place
+   * @param {Array} products - Request products, used for the city
+   */
+  async applyElasticity(recommendations, products = []) {
+    if (!recommendations || recommendations.length === 0) return recommendations;
+
+    let estimates;
+    try {
+      estimates = await this.getReliableEstimates(
+        [...new Set(recommendations.map(rec => rec.product_id))],
+        [...new Set(recommendations.map(rec => rec.category))]
+      );
+    } catch (error) {
+      console.error('Elasticities unavailable, recommendations are not adjusted:', error.message);
+      return recommendations;
+    }
+
+    const inputsById = new Map(products.map(product => [product.product_id, product]));
+
+    recommendations.forEach(rec => {
+      const input = inputsById.get(rec.product_id) || {};
+      const estimate = this.resolveElasticity(estimates, rec.product_id, rec.category, input.city || null);
+
+      rec.elasticity_adjustment = null;
+      if (!estimate) {
+        rec.elasticity = null;
+        return;
+      }
+
+      const elasticity = estimate.elasticity;
+      rec.elasticity = {
+        value: elasticity,
+        scope: estimate.scope,
+        city: estimate.city,
+        observations: estimate.observations
+      };
+
+      if (!(rec.current_price > 0)) return;
+
+      const change = rec.recommended_price / rec.current_price - 1;
+      let dampedChange = change;
+      if (change > 0 && elasticity < -1) {
+        dampedChange = change / Math.abs(elasticity);
+      } else if (change < 0 && elasticity > -1 && rec.days_left > NEAR_EXPIRY_DAYS) {
+        dampedChange = change * Math.abs(elasticity);
+      }
+
+      if (dampedChange !== change) {
+        const price = round2(rec.current_price * (1 + dampedChange));
+        if (rec.raw_recommended_price === undefined || rec.raw_recommended_price === null) {
+          rec.raw_recommended_price = rec.recommended_price;
+        }
+        rec.elasticity_adjustment = { price_before: rec.recommended_price, price_after: price };
+        rec.recommended_price = price;
+        rec.price_change_percentage = round2(dampedChange * 100);
+        rec.recommendation_reason = `${rec.recommendation_reason} (adjusted for price elasticity ${elasticity.toFixed(2)})`;
+      }
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Demand and revenue change expected from moving to the recommended price
+   */
+  projectImpact(recommendation) {
+    const elasticity = recommendation.elasticity ? recommendation.elasticity.value : null;
+    if (elasticity === null || !(recommendation.current_price > 0)) {
+      return { expected_demand_change_pct: null, expected_revenue_change_pct: null };
+    }
+
+    const ratio = recommendation.recommended_price / recommendation.current_price;
+    return {
+      expected_demand_change_pct: round2((Math.pow(ratio, elasticity) - 1) * 100),
+      expected_revenue_change_pct: round2((Math.pow(ratio, 1 + elasticity) - 1) * 100)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ElasticityService();
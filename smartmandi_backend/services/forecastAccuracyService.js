@@ -0,0 +1,155 @@
+const { DemandForecast } = require('../models');
+const demandForecastService = require('./demandForecastService');
+const { httpError } = require('../utils/errors');
+
+// Dimensions accuracy can be sliced by, mapped to forecast fields
+const GROUP_FIELDS = {
+  product: '$product_id',
+  category: '$category',
+  city: '$city',
+  model_version: '$model_version',
+  horizon: '$horizon_days'
+};
+
+const round = (value, digits = 4) => (value === null || value === undefined ? null : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits));
+
+class ForecastAccuracyService {
+  /**
+   * Parse a comma separated group_by value, rejecting unknown dimensions
+   */
+  parseGroupBy(groupBy) {
+    if (!groupBy) return [];
+
+    const dimensions = (Array.isArray(groupBy) ? groupBy : String(groupBy).split(','))
+      .map(dimension => dimension.trim())
+      .filter(Boolean);
+
+    const unknown = dimensions.filter(dimension => !GROUP_FIELDS[dimension]);
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown group_by dimension(s): ${unknown.join(', ')}. Allowed: ${Object.keys(GROUP_FIELDS).join(', ')}`);
+    }
+
+    return dimensions;
+  }
+
+  /**
+   * Build the $match stage for forecasts that have actuals
+   */
+  buildMatch({ start_date, end_date, product_id, category, city, model_version, include_history }) {
+    const match = demandForecastService.applyCurrentFilter({ actual_units: { $ne: null } }, include_history);
+    if (product_id) match.product_id = product_id;
+    if (category) match.category = category;
+    if (city) match.city = city;
+    if (model_version) match.model_version = model_version;
+    if (start_date || end_date) {
+      match.forecast_date = {};
+      if (start_date) match.forecast_date.$gte = new Date(start_date);
+      if (end_date) match.forecast_date.$lte = new Date(end_date);
+    }
+    return match;
+  }
+
+  /**
+   * Turn the raw sums of a group into accuracy metrics.
+   *
+   * - MAPE: mean of |error| / actual over rows with actual > 0
+   * - WAPE: sum |error| / sum actual
+   * - RMSE: square root of the mean squared error, in units
+   * - bias: sum error / sum actual; positive means over-forecasting
+   */
+  toMetrics(group) {
+    const wape = group.sum_actual > 0 ? group.sum_abs_error / group.sum_actual : null;
+
+    return {
+      forecasts: group.count,
+      total_actual_units: group.sum_actual,
+      total_predicted_units: group.sum_predicted,
+      mape: round(group.mape),
+      wape: round(wape),
+      rmse: round(Math.sqrt(group.sum_squared_error / group.count), 2),
+      bias: group.sum_actual > 0 ? round(group.sum_error / group.sum_actual) : null,
+      mean_error: round(group.sum_error / group.count, 2),
+      accuracy: wape === null ? null : round(Math.max(0, 1 - wape))
+    };
+  }
+
+  /**
+   * Compute MAPE, WAPE, RMSE and bias, overall and per requested segment.
+   * Segments are sorted worst first (highest WAPE).
+   */
+  async computeAccuracy(options = {}) {
+    const dimensions = this.parseGroupBy(options.group_by);
+    const groupId = dimensions.length > 0
+      ? Object.fromEntries(dimensions.map(dimension => [dimension, GROUP_FIELDS[dimension]]))
+      : null;
+
+    const pipeline = [
+      { $match: this.buildMatch(options) },
+      {
+        $addFields: {
+          // Older forecasts don't store their horizon; derive it from when they were made
+          horizon_days: {
+            $ifNull: [
+              '$horizon_days',
+              { $max: [0, { $dateDiff: { startDate: '$created_at', endDate: '$forecast_date', unit: 'day' } }] }
+            ]
+          },
+          error: { $subtract: ['$predicted_units', '$actual_units'] }
+        }
+      },
+      {
+        $addFields: {
+          abs_error: { $abs: '$error' },
+          squared_error: { $multiply: ['$error', '$error'] },
+          ape: {
+            $cond: [
+              { $gt: ['$actual_units', 0] },
+              { $divide: [{ $abs: '$error' }, '$actual_units'] },
+              null
+            ]
+          }
+        }
+      }
+    ];
+
+    if (options.horizon) {
+      pipeline.push({ $match: { horizon_days: parseInt(options.horizon) } });
+    }
+
+    const groupStage = {
+      count: { $sum: 1 },
+      sum_actual: { $sum: '$actual_units' },
+      sum_predicted: { $sum: '$predicted_units' },
+      sum_error: { $sum: '$error' },
+      sum_abs_error: { $sum: '$abs_error' },
+      sum_squared_error: { $sum: '$squared_error' },
+      mape: { $avg: '$ape' }
+    };
+
+    const [overall] = await DemandForecast.aggregate([
+      ...pipeline,
+      { $group: { _id: null, ...groupStage } }
+    ]);
+
+    let segments = [];
+    if (groupId) {
+      const groups = await DemandForecast.aggregate([
+        ...pipeline,
+        { $group: { _id: groupId, ...groupStage } }
+      ]);
+
+      segments = groups
+        .map(group => ({ ...group._id, ...this.toMetrics(group) }))
+        .sort((a, b) => (b.wape || 0) - (a.wape || 0));
+    }
+
+    return {
+      overall: overall ? this.toMetrics(overall) : null,
+      group_by: dimensions,
+      segments
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ForecastAccuracyService();
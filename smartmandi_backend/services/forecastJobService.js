@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { ForecastJob, ForecastRun, DemandForecast } = require('../models');
+const demandForecastService = require('./demandForecastService');
+
+// Products sent to the model per call; progress is reported after each chunk
+const CHUNK_SIZE = parseInt(process.env.FORECAST_JOB_CHUNK_SIZE) || 5;
+
+class ForecastJobService {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+    this.waiters = new Map();
+  }
+
+  /**
+   * Split the job's products into model calls
+   */
+  chunkProducts(products, chunkSize) {
+    const chunks = [];
+    for (let i = 0; i < products.length; i += chunkSize) {
+      chunks.push(products.slice(i, i + chunkSize));
+    }
+    return chunks;
+  }
+
+  /**
+   * Persist a new job and queue it for processing.
+   *
+   * The start date and seed are fixed up front so every chunk (and any
+   * resumed chunk) forecasts the same days with the same seed.
+   */
+  async enqueue(requestParams, context = {}) {
+    const params = demandForecastService.resolveParameters(requestParams);
+
+    const job = await ForecastJob.create({
+      job_id: crypto.randomUUID(),
+      requested_by: context.requested_by || 'anonymous',
+      parameters: {
+        forecast_days: params.forecast_days,
+        start_date: params.start_date,
+        seed: params.seed,
+        cities: params.cities,
+        chunk_size: CHUNK_SIZE
+      },
+      products: params.products.map(({ product_id, product_name, category }) => ({ product_id, product_name, category })),
+      progress: {
+        total_chunks: Math.ceil(params.products.length / CHUNK_SIZE)
+      }
+    });
+
+    this.queue.push(job.job_id);
+    this.processQueue();
+
+    return job;
+  }
+
+  /**
+   * Run queued jobs one at a time so async jobs don't starve the model workers
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        try {
+          await this.runJob(jobId);
+        } catch (error) {
+          console.error(`Forecast job ${jobId} failed:`, error.message);
+          await ForecastJob.updateOne(
+            { job_id: jobId },
+            { $set: { status: 'failed', finished_at: new Date() }, $push: { job_errors: error.message } }
+          ).catch(() => {});
+        }
+        await this.notifyWaiters(jobId);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Process a job chunk by chunk, saving predictions and progress after each
+   * chunk. Resumes from the last completed chunk if the job was interrupted.
+   */
+  async runJob(jobId) {
+    const job = await ForecastJob.findOne({ job_id: jobId });
+    if (!job || !['queued', 'running'].includes(job.status)) return;
+
+    const params = {
+      forecast_days: job.parameters.forecast_days,
+      // Jobs queued before start dates were stored forecast from the day after they were created
+      start_date: job.parameters.start_date || demandForecastService.getDefaultStartDate(job.created_at),
+      seed: job.parameters.seed,
+      cities: job.parameters.cities,
+      products: job.products.map(product => product.toObject())
+    };
+
+    let run = job.run_id ? await ForecastRun.findOne({ run_id: job.run_id }) : null;
+    if (!run) {
+      job.run_id = job.run_id || demandForecastService.createRunId();
+      run = await demandForecastService.startRun(job.run_id, params, {
+        requested_by: job.requested_by,
+        source: 'job'
+      });
+    }
+
+    job.status = 'running';
+    job.started_at = job.started_at || new Date();
+    await job.save();
+
+    const chunks = this.chunkProducts(params.products, job.parameters.chunk_size || CHUNK_SIZE);
+    const runErrors = [...(run ? run.run_errors : [])];
+    const forecastMethods = { ...(run && run.forecast_methods ? run.forecast_methods : {}) };
+    let modelFileHash = run ? run.model_file_hash : null;
+    let modelVersion = run ? run.model_version : null;
+    let { completed_chunks: completed, failed_chunks: failed, total_predictions: totalPredictions } = job.progress;
+
+    for (let index = completed + failed; index < chunks.length; index++) {
+      const { cancel_requested: cancelRequested } = await ForecastJob.findOne({ job_id: jobId }).select('cancel_requested');
+      if (cancelRequested) {
+        await this.finishJob(job, run, 'cancelled', { runErrors, forecastMethods, modelFileHash, modelVersion, totalPredictions });
+        return;
+      }
+
+      try {
+        // A chunk interrupted mid-save is re-run from scratch
+        await DemandForecast.deleteMany({
+          run_id: job.run_id,
+          product_id: { $in: chunks[index].map(product => product.product_id) }
+        });
+
+        const { prediction, saved } = await demandForecastService.predictAndSave(
+          { ...params, products: chunks[index] },
+          job.run_id,
+          runErrors
+        );
+
+        completed += 1;
+        totalPredictions += saved;
+        modelFileHash = modelFileHash || (prediction.model_info ? prediction.model_info.sha256 : null);
+        modelVersion = modelVersion || prediction.model_version || null;
+        Object.entries(prediction.forecast_methods || {}).forEach(([method, count]) => {
+          forecastMethods[method] = (forecastMethods[method] || 0) + count;
+        });
+
+      } catch (error) {
+        failed += 1;
+        const message = `Chunk ${index + 1}/${chunks.length} failed: ${error.message}`;
+        console.error(`Forecast job ${jobId}:`, message);
+        runErrors.push(message);
+        job.job_errors.push(message);
+      }
+
+      job.progress = {
+        total_chunks: chunks.length,
+        completed_chunks: completed,
+        failed_chunks: failed,
+        total_predictions: totalPredictions,
+        percent: Math.round(((completed + failed) / chunks.length) * 100)
+      };
+      await job.save();
+    }
+
+    const status = completed === 0 && failed > 0 ? 'failed' : 'completed';
+    await this.finishJob(job, run, status, { runErrors, forecastMethods, modelFileHash, modelVersion, totalPredictions });
+  }
+
+  /**
+   * Mark a job and its forecast run as finished
+   */
+  async finishJob(job, run, status, { runErrors, forecastMethods, modelFileHash, modelVersion, totalPredictions }) {
+    job.status = status;
+    job.finished_at = new Date();
+    await job.save();
+
+    await demandForecastService.finishRun(run, {
+      status,
+      model_file_hash: modelFileHash,
+      model_version: modelVersion || '1.0',
+      forecast_methods: forecastMethods,
+      total_predictions: totalPredictions,
+      saved_predictions: totalPredictions,
+      run_errors: runErrors
+    });
+
+    console.log(`Forecast job ${job.job_id} ${status}: ${totalPredictions} predictions`);
+  }
+
+  /**
+   * Resolve once a job has finished processing, with its final state
+   */
+  waitForJob(jobId) {
+    return new Promise(resolve => {
+      const waiters = this.waiters.get(jobId) || [];
+      waiters.push(resolve);
+      this.waiters.set(jobId, waiters);
+    });
+  }
+
+  /**
+   * Hand the final job document to everyone waiting on it
+   */
+  async notifyWaiters(jobId) {
+    const waiters = this.waiters.get(jobId);
+    if (!waiters) return;
+    this.waiters.delete(jobId);
+
+    const job = await ForecastJob.findOne({ job_id: jobId }).catch(() => null);
+    waiters.forEach(resolve => resolve(job));
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs stop before
+   * their next chunk and keep the predictions saved so far.
+   */
+  async cancel(jobId) {
+    const job = await ForecastJob.findOne({ job_id: jobId });
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      job.status = 'cancelled';
+      job.cancel_requested = true;
+      job.finished_at = new Date();
+      await job.save();
+      await this.notifyWaiters(jobId);
+    } else if (job.status === 'running') {
+      job.cancel_requested = true;
+      await job.save();
+    }
+
+    return job;
+  }
+
+  /**
+   * Re-queue jobs left queued or running when the server last stopped
+   */
+  async resumeInterruptedJobs() {
+    try {
+      const jobs = await ForecastJob.find({ status: { $in: ['queued', 'running'] } })
+        .sort({ created_at: 1 })
+        .select('job_id');
+
+      jobs.forEach(job => {
+        if (!this.queue.includes(job.job_id)) this.queue.push(job.job_id);
+      });
+
+      if (jobs.length > 0) {
+        console.log(`Resuming ${jobs.length} interrupted forecast job(s)`);
+        this.processQueue();
+      }
+    } catch (error) {
+      console.error('Failed to resume forecast jobs:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ForecastJobService();
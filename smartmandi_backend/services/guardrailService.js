@@ -0,0 +1,241 @@
+const { PricingGuardrail, PriceHistory, Product } = require('../models');
+const costService = require('./costService');
+const competitorService = require('./competitorService');
+
+const POLICY_FIELDS = [
+  'min_margin_pct', 'floor_price', 'ceiling_price', 'max_daily_change_pct', 'enforce_mrp', 'approval_threshold_pct',
+  'competitor_strategy', 'competitor_undercut_pct', 'competitor_band_pct'
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Key of a product's price, product-wide or in one city
+const priceKey = (productId, city) => `${productId}|${city || ''}`;
+
+/**
+ * Current price of a product in a city, or product-wide when the city
+ * has no price of its own
+ */
+function currentPrice(product, city) {
+  const cityEntry = city ? (product.cities || []).find(entry => entry.city_name === city) : null;
+  return cityEntry && cityEntry.price !== null && cityEntry.price !== undefined
+    ? cityEntry.price
+    : product.current_price;
+}
+
+class GuardrailService {
+  /**
+   * Merge the active policies that apply to a product, most specific last
+   * so product settings override category settings, which override global ones
+   */
+  resolvePolicy(guardrails, productId, category) {
+    const applicable = [
+      guardrails.find(g => g.scope === 'global'),
+      guardrails.find(g => g.scope === 'category' && g.category === category),
+      guardrails.find(g => g.scope === 'product' && g.product_id === productId)
+    ].filter(Boolean);
+
+    const policy = { sources: applicable.map(g => (g.scope === 'global' ? 'global' : `${g.scope}:${g.category || g.product_id}`)) };
+    POLICY_FIELDS.forEach(field => {
+      policy[field] = null;
+      applicable.forEach(g => {
+        if (g[field] !== null && g[field] !== undefined) policy[field] = g[field];
+      });
+    });
+
+    return policy;
+  }
+
+  /**
+   * Get the resolved policy for one product
+   */
+  async getEffectivePolicy(productId) {
+    const product = await Product.findOne({ product_id: productId });
+    const guardrails = await PricingGuardrail.find({ is_active: true });
+
+    const competitor = await competitorService.getProductSummary(productId);
+
+    return {
+      product_id: productId,
+      category: product ? product.category : null,
+      cost_price: costService.getEffectiveCost(product),
+      mrp: product ? product.mrp : null,
+      competitor: competitor.summary,
+      policy: this.resolvePolicy(guardrails, productId, product ? product.category : null)
+    };
+  }
+
+  /**
+   * Clip a raw price to a policy. Rules run in order, later ones winning:
+   * competitor positioning, daily change limit, floor/ceiling, minimum
+   * margin, then the MRP cap (a legal limit that always wins).
+   *
+   * @param {number} rawPrice - Price proposed by the model or fallback
+   * @param {Object} policy - Resolved policy
+   * @param {Object} context - { base_price, cost_price, mrp, competitor }
+   * @returns {Object} { price, applied }
+   */
+  clampPrice(rawPrice, policy, { base_price, cost_price, mrp, competitor = null }) {
+    let price = rawPrice;
+    const applied = [];
+
+    const clip = (rule, limit, shouldClip) => {
+      if (shouldClip) {
+        const clipped = round2(limit);
+        applied.push({ rule, limit: clipped, price_before: price, price_after: clipped });
+        price = clipped;
+      }
+    };
+
+    if (policy.competitor_strategy && competitor) {
+      if (policy.competitor_strategy === 'match') {
+        clip('competitor_match', competitor.min_price, price !== competitor.min_price);
+      } else if (policy.competitor_strategy === 'undercut') {
+        const target = competitor.min_price * (1 - (policy.competitor_undercut_pct || 0) / 100);
+        clip('competitor_undercut', target, price !== round2(target));
+      } else if (policy.competitor_strategy === 'band' && policy.competitor_band_pct !== null) {
+        const band = competitor.median_price * policy.competitor_band_pct / 100;
+        clip('competitor_band_high', competitor.median_price + band, price > competitor.median_price + band);
+        clip('competitor_band_low', competitor.median_price - band, price < competitor.median_price - band);
+      }
+    }
+
+    if (policy.max_daily_change_pct !== null && base_price > 0) {
+      const maxMove = base_price * policy.max_daily_change_pct / 100;
+      clip('max_daily_change_increase', base_price + maxMove, price > base_price + maxMove);
+      clip('max_daily_change_decrease', base_price - maxMove, price < base_price - maxMove);
+    }
+
+    if (policy.floor_price !== null) {
+      clip('floor_price', policy.floor_price, price < policy.floor_price);
+    }
+    if (policy.ceiling_price !== null) {
+      clip('ceiling_price', policy.ceiling_price, price > policy.ceiling_price);
+    }
+
+    if (policy.min_margin_pct !== null && cost_price !== null && cost_price !== undefined) {
+      const minPrice = costService.minPriceForMargin(cost_price, policy.min_margin_pct);
+      clip('min_margin', minPrice, price < minPrice);
+    }
+
+    // MRP applies unless a policy explicitly turns it off
+    if (policy.enforce_mrp !== false && mrp !== null && mrp !== undefined) {
+      clip('mrp_cap', mrp, price > mrp);
+    }
+
+    return { price: Math.max(0, price), applied };
+  }
+
+  /**
+   * Price each product had at the start of today, product-wide and per city:
+   * the old price of its first change today, keyed by priceKey. Prices that
+   * haven't changed today are left out; their current price is the base.
+   */
+  async getStartOfDayPrices(productIds) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const firstChanges = await PriceHistory.aggregate([
+      { $match: { product_id: { $in: productIds }, changed_at: { $gte: startOfDay } } },
+      { $sort: { changed_at: 1 } },
+      { $group: { _id: { product_id: '$product_id', city: '$city' }, old_price: { $first: '$old_price' } } }
+    ]);
+
+    return new Map(firstChanges.map(change => [priceKey(change._id.product_id, change._id.city), change.old_price]));
+  }
+
+  /**
+   * Price the daily change limit of a product applies to, in a city or
+   * product-wide: its start-of-day price, or its current price if it
+   * hasn't changed today
+   */
+  async getBasePrice(product, city = null) {
+    const startPrices = await this.getStartOfDayPrices([product.product_id]);
+    const startKey = priceKey(product.product_id, city);
+    return startPrices.has(startKey) ? startPrices.get(startKey) : currentPrice(product, city);
+  }
+
+  /**
+   * Enforce guardrails on recommendations from either the model or the
+   * fallback. Each recommendation keeps its raw price and lists the rules
+   * that clipped it; the change percentage is recomputed. If the policies
+   * can't be loaded, recommendations are flagged guardrails_unavailable.
+   *
+   * @param {Array} recommendations - Recommendations to clip in place
+   * @param {Array} products - Request products, used for cost_price/mrp not stored on the product
+   * @param {Array} productDocs - Stored Product documents of the recommendations
+   */
+  async applyGuardrails(recommendations, products = [], productDocs = []) {
+    if (!recommendations || recommendations.length === 0) return recommendations;
+
+    const productIds = recommendations.map(rec => rec.product_id);
+    let guardrails;
+    let startPrices;
+    let competitorPrices;
+    try {
+      [guardrails, startPrices, competitorPrices] = await Promise.all([
+        PricingGuardrail.find({ is_active: true }),
+        this.getStartOfDayPrices(productIds),
+        competitorService.getRecentPrices(productIds)
+      ]);
+    } catch (error) {
+      // Unchecked prices must not be applied automatically, so they all go for approval
+      console.error('Guardrails unavailable, recommendations need approval:', error.message);
+      recommendations.forEach(rec => {
+        rec.raw_recommended_price = rec.raw_recommended_price || rec.recommended_price;
+        rec.guardrails_applied = [];
+        rec.guardrails_unavailable = true;
+        rec.recommendation_reason = `${rec.recommendation_reason} (guardrails unavailable, needs approval)`;
+      });
+      return recommendations;
+    }
+
+    const productsById = new Map(productDocs.map(product => [product.product_id, product]));
+    const inputsById = new Map(products.map(product => [product.product_id, product]));
+
+    recommendations.forEach(rec => {
+      const product = productsById.get(rec.product_id);
+      const input = inputsById.get(rec.product_id) || {};
+      const policy = this.resolvePolicy(guardrails, rec.product_id, rec.category);
+
+      // City recommendations are limited against the city's own price
+      const city = input.city || null;
+      const startKey = priceKey(rec.product_id, city);
+      const basePrice = startPrices.has(startKey)
+        ? startPrices.get(startKey)
+        : (product ? currentPrice(product, city) : rec.current_price);
+
+      const storedCost = costService.getEffectiveCost(product, city);
+      const competitor = competitorService.summarize(competitorPrices.get(rec.product_id) || [], city);
+      const { price, applied } = this.clampPrice(rec.recommended_price, policy, {
+        base_price: basePrice,
+        cost_price: storedCost !== null ? storedCost : input.cost_price,
+        mrp: product && product.mrp !== null ? product.mrp : input.mrp,
+        competitor
+      });
+
+      // Keep the model's price if elasticity already moved it
+      rec.raw_recommended_price = rec.raw_recommended_price || rec.recommended_price;
+      rec.guardrails_applied = applied;
+      rec.approval_threshold_pct = policy.approval_threshold_pct;
+
+      if (applied.length > 0) {
+        rec.recommended_price = price;
+        rec.price_change_percentage = rec.current_price > 0
+          ? round2((price - rec.current_price) / rec.current_price * 100)
+          : 0;
+        rec.recommendation_reason = `${rec.recommendation_reason} (limited by ${applied.map(a => a.rule).join(', ')})`;
+      }
+
+      rec.competitor_prices = competitor;
+      rec.competitor_position_pct = competitor
+        ? round2((rec.recommended_price - competitor.min_price) / competitor.min_price * 100)
+        : null;
+    });
+
+    return recommendations;
+  }
+}
+
+// Export singleton instance
+module.exports = new GuardrailService();
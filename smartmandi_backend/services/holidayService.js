@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { Holiday, City } = require('../models');
+
+const HOLIDAY_FILE = process.env.HOLIDAY_CALENDAR_FILE || path.join(__dirname, '../data/holidays.json');
+
+// Days after the forecast window still sent to the model so it can see upcoming festivals
+const LOOKAHEAD_DAYS = 7;
+
+class HolidayService {
+  constructor() {
+    this.fileCalendar = null;
+  }
+
+  /**
+   * Read the bundled holiday calendar file (cached after first read)
+   */
+  loadFileCalendar() {
+    if (!this.fileCalendar) {
+      const raw = JSON.parse(fs.readFileSync(HOLIDAY_FILE, 'utf8'));
+      this.fileCalendar = {
+        city_states: raw.city_states || {},
+        holidays: raw.holidays || []
+      };
+    }
+    return this.fileCalendar;
+  }
+
+  /**
+   * Convert a holiday document or file entry to the shape sent to clients and the model
+   */
+  formatHoliday(holiday, source) {
+    return {
+      _id: holiday._id,
+      name: holiday.name,
+      date: new Date(holiday.date).toISOString().slice(0, 10),
+      scope: holiday.scope || 'national',
+      states: holiday.states || [],
+      cities: holiday.cities || [],
+      source
+    };
+  }
+
+  /**
+   * Map city names to their state, preferring City documents over the file mapping
+   */
+  async getCityStates() {
+    const cityStates = { ...this.loadFileCalendar().city_states };
+
+    try {
+      const cities = await City.find({ state: { $exists: true, $ne: null } }).select('name state');
+      cities.forEach(city => {
+        cityStates[city.name] = city.state;
+      });
+    } catch (error) {
+      console.log('Database not available, using file city/state mapping:', error.message);
+    }
+
+    return cityStates;
+  }
+
+  /**
+   * Check whether a holiday applies to a given city
+   */
+  appliesTo(holiday, city, state) {
+    if (holiday.scope !== 'regional') return true;
+    return holiday.cities.includes(city) || (state && holiday.states.includes(state));
+  }
+
+  /**
+   * Get holidays from the collection, falling back to the calendar file
+   * when the collection is empty or the database is not available
+   */
+  async getHolidays({ start_date, end_date, city, state, scope } = {}) {
+    const start = start_date ? new Date(start_date) : null;
+    const end = end_date ? new Date(end_date) : null;
+    const cityStates = city ? await this.getCityStates() : {};
+    const cityState = state || (city ? cityStates[city] : null);
+
+    let holidays = null;
+
+    try {
+      const filter = { is_active: true };
+      if (scope) filter.scope = scope;
+      if (start || end) {
+        filter.date = {};
+        if (start) filter.date.$gte = start;
+        if (end) filter.date.$lte = end;
+      }
+
+      const count = await Holiday.estimatedDocumentCount();
+      if (count > 0) {
+        const docs = await Holiday.find(filter).sort({ date: 1 });
+        holidays = docs.map(doc => this.formatHoliday(doc, 'database'));
+      }
+    } catch (error) {
+      console.log('Database not available, using holiday calendar file:', error.message);
+    }
+
+    if (holidays === null) {
+      holidays = this.loadFileCalendar().holidays
+        .map(holiday => this.formatHoliday(holiday, 'file'))
+        .filter(holiday => {
+          const date = new Date(holiday.date);
+          if (start && date < start) return false;
+          if (end && date > end) return false;
+          if (scope && holiday.scope !== scope) return false;
+          return true;
+        });
+    }
+
+    if (city || state) {
+      holidays = holidays.filter(holiday => this.appliesTo(holiday, city, cityState));
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Last day the calendar covers ('YYYY-MM-DD'): the end of the year of its
+   * latest holiday, from the collection or else the calendar file
+   */
+  async getCoverageEnd() {
+    let latest = null;
+
+    try {
+      const doc = await Holiday.findOne({ is_active: true }).sort({ date: -1 }).select('date');
+      if (doc) latest = new Date(doc.date).toISOString().slice(0, 10);
+    } catch (error) {
+      console.log('Database not available, using holiday calendar file:', error.message);
+    }
+
+    if (!latest) {
+      latest = this.loadFileCalendar().holidays.reduce((max, holiday) => (holiday.date > max ? holiday.date : max), '');
+    }
+
+    return latest ? `${latest.slice(0, 4)}-12-31` : null;
+  }
+
+  /**
+   * Holiday calendar payload for the model covering the forecast window
+   * from startDate (today when not given)
+   */
+  async getCalendarForForecast(forecastDays, startDate = null) {
+    const start = startDate ? new Date(startDate) : new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + parseInt(forecastDays) + LOOKAHEAD_DAYS);
+
+    const [holidays, cityStates] = await Promise.all([
+      this.getHolidays({ start_date: start, end_date: end }),
+      this.getCityStates()
+    ]);
+
+    return {
+      holidays: holidays.map(({ name, date, scope, states, cities }) => ({ name, date, scope, states, cities })),
+      city_states: cityStates
+    };
+  }
+
+  /**
+   * Upsert every holiday from the calendar file into the collection
+   */
+  async importFromFile() {
+    const { holidays } = this.loadFileCalendar();
+
+    const result = await Holiday.bulkWrite(holidays.map(holiday => ({
+      updateOne: {
+        filter: { name: holiday.name, date: new Date(holiday.date) },
+        update: {
+          $set: {
+            scope: holiday.scope || 'national',
+            states: holiday.states || [],
+            cities: holiday.cities || [],
+            is_active: true
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    return {
+      total: holidays.length,
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new HolidayService();
@@ -0,0 +1,385 @@
+const { MarkdownPlan, Product } = require('../models');
+const pricingService = require('./pricingService');
+const simulationService = require('./simulationService');
+const costService = require('./costService');
+const seasonService = require('./seasonService');
+const { httpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Perishable categories that get markdown plans
+const MARKDOWN_CATEGORIES = ['Dairy', 'Bakery', 'Produce', 'Meat'];
+
+// Discounts the planner can choose from, in percent of the base price
+const DISCOUNT_STEP_PCT = 5;
+const MAX_DISCOUNT_PCT = 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Today as a UTC midnight, like forecast dates
+ */
+function startOfToday() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * UTC midnight of a date
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+class MarkdownService {
+  /**
+   * Categories markdown plans are made for
+   */
+  getCategories() {
+    return MARKDOWN_CATEGORIES;
+  }
+
+  /**
+   * When a product's stock expires, as the UTC midnight after its last
+   * sellable day (like MarkdownPlan.expiry_date).
+   *
+   * Batches with stock left and an expiry date give the earliest expiry
+   * still ahead (city batches only when a city is given). Otherwise
+   * days_left is used; it is a static field, so while it is unchanged it
+   * is counted from the last plan made for the product rather than from
+   * today, and a product whose plan ran out stays expired.
+   */
+  async getExpiryDate(product, city = null) {
+    const today = startOfToday();
+    const batchExpiries = (product.batches || [])
+      .filter(batch => batch.quantity > 0 && batch.expiry_date && (!city || batch.city === city))
+      .map(batch => new Date(startOfDay(batch.expiry_date).getTime() + DAY_MS))
+      .sort((a, b) => a - b);
+
+    if (batchExpiries.length > 0) {
+      return batchExpiries.find(expiry => expiry > today) || batchExpiries[batchExpiries.length - 1];
+    }
+
+    const lastPlan = await MarkdownPlan.findOne({ product_id: product.product_id, city }).sort({ created_at: -1 });
+    if (lastPlan) {
+      const plannedDaysLeft = lastPlan.product_days_left !== null && lastPlan.product_days_left !== undefined
+        ? lastPlan.product_days_left
+        : Math.round((lastPlan.expiry_date - lastPlan.start_date) / DAY_MS);
+      if (plannedDaysLeft === product.days_left) return lastPlan.expiry_date;
+    }
+
+    return new Date(today.getTime() + (product.days_left || 0) * DAY_MS);
+  }
+
+  /**
+   * Plan discounts day by day so the stock sells before expiry.
+   *
+   * Each day takes the smallest discount (never below the previous day's)
+   * that, if held until expiry, is expected to sell the remaining stock.
+   * If even the largest discount can't, it is used to keep waste down.
+   *
+   * @param {Object} params - { base_price, stock, baseline, elasticity, min_discount_pct, start_day }
+   * @returns {Object} { schedule, expected_waste_units, expected_revenue }
+   */
+  buildSchedule({ base_price, stock, baseline, elasticity, min_discount_pct = 0, start_day = 1 }) {
+    const ladder = [];
+    for (let discount = 0; discount <= MAX_DISCOUNT_PCT; discount += DISCOUNT_STEP_PCT) {
+      if (discount >= min_discount_pct) ladder.push(discount);
+    }
+    if (ladder.length === 0) ladder.push(min_discount_pct);
+
+    const demandFactor = (discount) => Math.pow(1 - discount / 100, elasticity);
+
+    let remaining = stock;
+    let discount = ladder[0];
+    let revenue = 0;
+    const schedule = baseline.map((units, index) => {
+      const demandLeft = baseline.slice(index).reduce((sum, dayUnits) => sum + dayUnits, 0);
+      discount = ladder.find(step => step >= discount && demandLeft * demandFactor(step) >= remaining);
+      if (discount === undefined) discount = ladder[ladder.length - 1];
+
+      const price = round2(base_price * (1 - discount / 100));
+      const sold = Math.min(remaining, units * demandFactor(discount));
+      const stockAtStart = remaining;
+      remaining -= sold;
+      revenue += sold * price;
+
+      return {
+        day: start_day + index,
+        discount_pct: discount,
+        price,
+        stock_at_start: round2(stockAtStart),
+        expected_units: round2(sold),
+        expected_leftover: round2(remaining)
+      };
+    });
+
+    return {
+      schedule,
+      expected_waste_units: round2(remaining),
+      expected_revenue: round2(revenue)
+    };
+  }
+
+  /**
+   * Build the rest of a plan's schedule from today using current stock and
+   * demand. Days already past are kept as they were.
+   */
+  async replan(plan, product) {
+    const today = startOfToday();
+    const daysLeft = Math.round((plan.expiry_date - today) / DAY_MS);
+    const input = pricingService.toPricingInput(product, plan.city);
+
+    const baseline = await simulationService.getBaselineDemand(product.product_id, plan.city, daysLeft);
+    if (!baseline) {
+      throw httpError(422, `No demand forecasts or recent actuals for ${product.product_id}`);
+    }
+
+    const past = plan.schedule.filter(entry => entry.date < today);
+    const startDay = Math.round((today - plan.start_date) / DAY_MS) + 1;
+    const { schedule, expected_waste_units } = this.buildSchedule({
+      base_price: plan.base_price,
+      stock: input.stock_level || 0,
+      baseline: baseline.daily,
+      elasticity: plan.elasticity,
+      min_discount_pct: past.length > 0 ? past[past.length - 1].discount_pct : 0,
+      start_day: startDay
+    });
+
+    plan.schedule = [
+      ...past,
+      ...schedule.map((entry, index) => ({ ...entry, date: new Date(today.getTime() + index * DAY_MS) }))
+    ];
+    plan.expected_waste_units = expected_waste_units;
+    plan.expected_revenue = round2(plan.schedule.reduce((sum, entry) => sum + entry.expected_units * entry.price, 0));
+    plan.replanned_at = new Date();
+
+    return plan;
+  }
+
+  /**
+   * Create a markdown plan for a perishable product and generate today's
+   * recommendation. An active plan for the same product and city is superseded.
+   */
+  async createPlan(productId, { city = null, created_by = 'anonymous' } = {}) {
+    const product = await Product.findOne({ product_id: productId });
+    if (!product) {
+      throw httpError(404, 'Product not found');
+    }
+    if (!MARKDOWN_CATEGORIES.includes(product.category)) {
+      throw httpError(400, `Markdown plans are only made for ${MARKDOWN_CATEGORIES.join(', ')} products`);
+    }
+
+    const today = startOfToday();
+    const expiryDate = await this.getExpiryDate(product, city);
+    if (!(expiryDate > today)) {
+      throw httpError(400, 'Product has already expired');
+    }
+
+    const input = pricingService.toPricingInput(product, city);
+    if (!(input.current_price > 0)) {
+      throw httpError(400, 'Product has no current price to mark down from');
+    }
+
+    const elasticity = await simulationService.getElasticity(product, city);
+
+    const plan = new MarkdownPlan({
+      product_id: product.product_id,
+      product_name: product.product_name,
+      category: product.category,
+      city,
+      base_price: input.current_price,
+      cost_price: costService.getEffectiveCost(product, city),
+      initial_stock: input.stock_level || 0,
+      elasticity: elasticity.value,
+      elasticity_source: elasticity.source,
+      start_date: today,
+      expiry_date: expiryDate,
+      product_days_left: product.days_left,
+      created_by
+    });
+    await this.replan(plan, product);
+
+    await MarkdownPlan.updateMany(
+      { product_id: product.product_id, city, status: 'active' },
+      { $set: { status: 'superseded', finished_at: new Date() } }
+    );
+    await plan.save();
+
+    await this.generateTodayRecommendation(plan, product);
+    return plan;
+  }
+
+  /**
+   * Turn today's schedule entry into a PriceRecommendation valid until the
+   * end of the day. Guardrails apply as for any other recommendation; a day
+   * the guardrails leave unchanged is not held for approval, however deep
+   * the discount. Does nothing if today's recommendation already exists.
+   */
+  async generateTodayRecommendation(plan, product) {
+    const today = startOfToday();
+    const entry = plan.schedule.find(item => item.date.getTime() === today.getTime());
+    if (!entry || entry.recommendation_id) return null;
+
+    const input = pricingService.toPricingInput(product, plan.city);
+    const currentPrice = input.current_price;
+    const daysToExpiry = Math.round((plan.expiry_date - today) / DAY_MS);
+
+    const recommendation = {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      category: product.category,
+      // A city plan marks down that city's price only
+      city: plan.city,
+      current_price: currentPrice,
+      recommended_price: entry.price,
+      price_change_percentage: currentPrice > 0 ? round2((entry.price - currentPrice) / currentPrice * 100) : 0,
+      demand_score: product.demand_score,
+      stock_level: input.stock_level,
+      days_left: daysToExpiry,
+      weekday: new Date().toLocaleDateString('en-US', { weekday: 'long' }),
+      season: seasonService.getSeason(new Date(), plan.city),
+      confidence_score: 0.75,
+      recommendation_reason: `Markdown day ${entry.day}: ${entry.discount_pct}% off to sell ${Math.round(entry.stock_at_start)} units in ${daysToExpiry} days (expected waste ${plan.expected_waste_units} units)`,
+      model_version: 'markdown-1.0',
+      created_at: new Date(),
+      valid_until: new Date(today.getTime() + DAY_MS)
+    };
+
+    await pricingService.finalizeRecommendations([recommendation], [input], { planned: true });
+    const [saved] = await pricingService.saveRecommendations([recommendation]);
+
+    if (saved) {
+      entry.recommendation_id = saved._id;
+      plan.markModified('schedule');
+      await plan.save();
+    }
+
+    return saved || recommendation;
+  }
+
+  /**
+   * Daily run: write off expired batches, close finished plans, create plans for perishable products
+   * within window_days of expiry, re-plan the rest from current stock and
+   * generate each plan's recommendation for today
+   *
+   * @returns {Object} { summary, errors }
+   */
+  async runDaily({ window_days = 5 } = {}) {
+    const today = startOfToday();
+    const errors = [];
+    let completed = 0;
+    let created = 0;
+    let recommendations = 0;
+
+    // Write off batches whose expiry day has passed before looking at stock
+    let expiredUnits = 0;
+    const withExpired = await Product.find({
+      batches: { $elemMatch: { quantity: { $gt: 0 }, expiry_date: { $lt: today } } }
+    });
+    for (const product of withExpired) {
+      try {
+        expiredUnits += costService.reconcileBatches(product).expired_units;
+        await product.save();
+      } catch (error) {
+        errors.push(`${product.product_id}: ${error.message}`);
+      }
+    }
+
+    const activePlans = await MarkdownPlan.find({ status: 'active' });
+    const planned = new Set();
+
+    for (const plan of activePlans) {
+      try {
+        const product = await Product.findOne({ product_id: plan.product_id });
+        const stock = product ? pricingService.toPricingInput(product, plan.city).stock_level : 0;
+
+        if (!product || !product.is_active) {
+          plan.status = 'cancelled';
+          plan.finished_at = new Date();
+          await plan.save();
+          continue;
+        }
+        if (plan.expiry_date <= today || !(stock > 0)) {
+          plan.status = 'completed';
+          plan.finished_at = new Date();
+          await plan.save();
+          completed++;
+          continue;
+        }
+
+        planned.add(`${plan.product_id}|${plan.city}`);
+        const todayEntry = plan.schedule.find(item => item.date.getTime() === today.getTime());
+        if (todayEntry && todayEntry.recommendation_id) continue;
+
+        await this.replan(plan, product);
+        await plan.save();
+        if (await this.generateTodayRecommendation(plan, product)) recommendations++;
+      } catch (error) {
+        errors.push(`${plan.product_id}: ${error.message}`);
+      }
+    }
+
+    const windowEnd = new Date(today.getTime() + (window_days + 1) * DAY_MS);
+    const candidates = await Product.find({
+      is_active: true,
+      category: { $in: MARKDOWN_CATEGORIES },
+      stock_level: { $gt: 0 },
+      $or: [
+        { days_left: { $gt: 0, $lte: window_days } },
+        { 'batches.expiry_date': { $lt: windowEnd } }
+      ]
+    });
+
+    for (const product of candidates) {
+      if (planned.has(`${product.product_id}|null`)) continue;
+
+      try {
+        // Products whose stock has expired, or whose plan already ran to expiry, aren't planned again
+        const daysLeft = Math.round((await this.getExpiryDate(product) - today) / DAY_MS);
+        if (!(daysLeft > 0 && daysLeft <= window_days)) continue;
+
+        await this.createPlan(product.product_id, { created_by: 'scheduler' });
+        created++;
+        recommendations++;
+      } catch (error) {
+        errors.push(`${product.product_id}: ${error.message}`);
+      }
+    }
+
+    return {
+      summary: {
+        active_plans: planned.size + created,
+        created,
+        completed,
+        recommendations,
+        expired_units: expiredUnits
+      },
+      errors
+    };
+  }
+
+  /**
+   * Cancel an active plan; recommendations already generated are left as they are
+   */
+  async cancelPlan(planId) {
+    const plan = await MarkdownPlan.findById(planId);
+    if (!plan) {
+      throw httpError(404, 'Markdown plan not found');
+    }
+    if (plan.status !== 'active') {
+      throw httpError(400, `Markdown plan is ${plan.status}`);
+    }
+
+    plan.status = 'cancelled';
+    plan.finished_at = new Date();
+    await plan.save();
+    return plan;
+  }
+}
+
+// Export singleton instance
+module.exports = new MarkdownService();
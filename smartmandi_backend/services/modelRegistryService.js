@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ModelVersion } = require('../models');
+const modelWorkerPool = require('./modelWorkerPool');
+const { httpError } = require('../utils/errors');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+// Uploaded artifacts are stored under <dir>/<model_type>/<version>/
+const REGISTRY_DIR = process.env.MODEL_REGISTRY_DIR || path.join(__dirname, '../model_registry');
+
+// Time a worker gets to load a version before activation gives up
+const LOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+const MODEL_TYPES = ['demand', 'pricing'];
+
+// Model files shipped with the repo, registered as version 1.0 on first start
+const BUILTIN_MODELS = {
+  demand: {
+    artifact_path: path.join(PROJECT_ROOT, 'Model_for_Demand_Forecasting', 'autos_model.pkl')
+  },
+  pricing: {
+    artifact_path: path.join(PROJECT_ROOT, 'Model_for_Dynamic_Pricing', 'xgb_model.pkl'),
+    features_path: path.join(PROJECT_ROOT, 'Model_for_Dynamic_Pricing', 'model_features.json'),
+    schema_path: path.join(PROJECT_ROOT, 'Model_for_Dynamic_Pricing', 'model_schema.json')
+  }
+};
+
+const BUILTIN_VERSION = '1.0';
+
+// Registered model files must live under one of these directories
+const ALLOWED_DIRS = [
+  REGISTRY_DIR,
+  path.join(PROJECT_ROOT, 'Model_for_Demand_Forecasting'),
+  path.join(PROJECT_ROOT, 'Model_for_Dynamic_Pricing')
+];
+
+/**
+ * Real path of a file or directory, following symlinks where it exists
+ */
+function realPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (error) {
+    return path.resolve(filePath);
+  }
+}
+
+/**
+ * Whether a path is one of the allowed directories or inside one
+ */
+function isAllowedPath(filePath) {
+  return ALLOWED_DIRS.flatMap(dir => [path.resolve(dir), realPath(dir)]).some(dir => {
+    const relative = path.relative(dir, filePath);
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  });
+}
+
+class ModelRegistryService {
+  /**
+   * Model types that can be registered
+   */
+  getModelTypes() {
+    return MODEL_TYPES;
+  }
+
+  /**
+   * Version name for a registration that doesn't give one, e.g. pricing-20261019T1530
+   */
+  createVersionName(modelType) {
+    return `${modelType}-${new Date().toISOString().replace(/[-:]/g, '').slice(0, 13)}`;
+  }
+
+  /**
+   * Registry directory for a new version's files; refuses names that
+   * aren't safe as a directory name or are already taken
+   */
+  getVersionDir(modelType, version) {
+    if (!/^[\w.-]+$/.test(version)) {
+      throw httpError(400, 'version may only contain letters, digits, dots, dashes and underscores');
+    }
+
+    const dir = path.join(REGISTRY_DIR, modelType, version);
+    if (fs.existsSync(dir)) {
+      throw httpError(409, `${modelType} model version ${version} already exists`);
+    }
+    return dir;
+  }
+
+  /**
+   * SHA-256 of a file, matching the hash the model service reports
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Absolute path of a file given absolute or relative to the project root,
+   * or null if it doesn't exist. Refuses files outside the model registry
+   * and the shipped model directories, including through symlinks.
+   */
+  resolveFile(filePath) {
+    if (!filePath) return null;
+    const resolved = path.resolve(PROJECT_ROOT, filePath);
+    if (!isAllowedPath(realPath(resolved))) {
+      throw httpError(400, `Model files must be inside the model registry or a shipped model directory: ${filePath}`);
+    }
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  /**
+   * Register a model artifact already on disk as a candidate version.
+   * Pricing models need their model_features.json, taken from next to the
+   * artifact unless features_path is given.
+   *
+   * @param {Object} details - { model_type, version, artifact_path, features_path, schema_path,
+   *                             trained_at, dataset_hash, metrics, description }
+   * @param {Object} context - { source, registered_by }
+   */
+  async register(details, { source = 'register', registered_by = 'anonymous' } = {}) {
+    const { model_type, artifact_path, trained_at, dataset_hash, metrics, description } = details;
+
+    if (!MODEL_TYPES.includes(model_type)) {
+      throw httpError(400, `model_type must be one of: ${MODEL_TYPES.join(', ')}`);
+    }
+
+    const artifactPath = this.resolveFile(artifact_path);
+    if (!artifactPath) {
+      throw httpError(400, `Model artifact not found: ${artifact_path}`);
+    }
+
+    let featuresPath = null;
+    let schemaPath = null;
+    if (model_type === 'pricing') {
+      const modelDir = path.dirname(artifactPath);
+      featuresPath = this.resolveFile(details.features_path || path.join(modelDir, 'model_features.json'));
+      if (!featuresPath) {
+        throw httpError(400, 'Pricing models need a model_features.json (features_path or next to the artifact)');
+      }
+      schemaPath = this.resolveFile(details.schema_path || path.join(modelDir, 'model_schema.json'));
+      if (details.schema_path && !schemaPath) {
+        throw httpError(400, `Model schema not found: ${details.schema_path}`);
+      }
+    }
+
+    const trainedAt = trained_at ? new Date(trained_at) : null;
+    if (trainedAt && isNaN(trainedAt.getTime())) {
+      throw httpError(400, 'trained_at must be a valid date');
+    }
+
+    const version = details.version || this.createVersionName(model_type);
+    if (await ModelVersion.exists({ model_type, version })) {
+      throw httpError(409, `${model_type} model version ${version} already exists`);
+    }
+
+    return ModelVersion.create({
+      model_type,
+      version,
+      status: 'candidate',
+      artifact_path: artifactPath,
+      artifact_sha256: await this.hashFile(artifactPath),
+      features_path: featuresPath,
+      schema_path: schemaPath,
+      trained_at: trainedAt,
+      dataset_hash: dataset_hash || null,
+      metrics: metrics || {},
+      description: description || '',
+      source,
+      registered_by
+    });
+  }
+
+  /**
+   * Copy uploaded files into the registry directory and register them.
+   *
+   * @param {Object} files - { model, features, schema } uploaded file paths and names
+   */
+  async upload(files, details, context = {}) {
+    if (!MODEL_TYPES.includes(details.model_type)) {
+      throw httpError(400, `model_type must be one of: ${MODEL_TYPES.join(', ')}`);
+    }
+
+    const version = details.version || this.createVersionName(details.model_type);
+    const dir = this.getVersionDir(details.model_type, version);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+      const artifactPath = path.join(dir, path.basename(files.model.originalname));
+      await fs.promises.copyFile(files.model.path, artifactPath);
+
+      let featuresPath = null;
+      let schemaPath = null;
+      if (files.features) {
+        featuresPath = path.join(dir, 'model_features.json');
+        await fs.promises.copyFile(files.features.path, featuresPath);
+      }
+      if (files.schema) {
+        schemaPath = path.join(dir, 'model_schema.json');
+        await fs.promises.copyFile(files.schema.path, schemaPath);
+      }
+
+      return await this.register({
+        ...details,
+        version,
+        artifact_path: artifactPath,
+        features_path: featuresPath,
+        schema_path: schemaPath
+      }, { ...context, source: 'upload' });
+
+    } catch (error) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Register the model files shipped with the repo as active version 1.0
+   * for model types that have no versions yet
+   */
+  async ensureBuiltinVersions() {
+    for (const modelType of MODEL_TYPES) {
+      if (await ModelVersion.exists({ model_type: modelType })) continue;
+
+      const builtin = BUILTIN_MODELS[modelType];
+      if (!fs.existsSync(builtin.artifact_path)) continue;
+
+      await ModelVersion.create({
+        model_type: modelType,
+        version: BUILTIN_VERSION,
+        status: 'active',
+        artifact_path: builtin.artifact_path,
+        artifact_sha256: await this.hashFile(builtin.artifact_path),
+        features_path: builtin.features_path || null,
+        schema_path: builtin.schema_path && fs.existsSync(builtin.schema_path) ? builtin.schema_path : null,
+        description: 'Model shipped with the repository',
+        source: 'builtin',
+        registered_by: 'system',
+        activated_at: new Date(),
+        activated_by: 'system'
+      });
+      console.log(`Registered bundled ${modelType} model as version ${BUILTIN_VERSION}`);
+    }
+  }
+
+  /**
+   * Active version of each model type ({ demand, pricing }, null when none)
+   */
+  async getActiveVersions() {
+    const active = await ModelVersion.find({ status: 'active' });
+    return Object.fromEntries(MODEL_TYPES.map(type => [type, active.find(version => version.model_type === type) || null]));
+  }
+
+  /**
+   * Model config the workers load: the given versions, null for the bundled files
+   */
+  toWorkerConfig(versions) {
+    const toEntry = (version) => version && {
+      version: version.version,
+      path: version.artifact_path,
+      features_path: version.features_path,
+      schema_path: version.schema_path
+    };
+
+    return Object.fromEntries(MODEL_TYPES.map(type => [type, toEntry(versions[type]) || null]));
+  }
+
+  /**
+   * Register the bundled models if needed and have the workers load the active versions
+   */
+  async syncWorkers() {
+    await this.ensureBuiltinVersions();
+    const active = await this.getActiveVersions();
+    modelWorkerPool.setModelConfig(this.toWorkerConfig(active));
+    return active;
+  }
+
+  /**
+   * Make a version the active one for its model type. A worker loads it
+   * first, so a broken artifact is refused before anything changes; the
+   * other workers then switch over as they become idle.
+   *
+   * @param {Object} options - { rollback } keeps the version's own previous
+   *   version so repeated rollbacks keep walking back
+   */
+  async activate(versionId, activatedBy = 'anonymous', { rollback = false } = {}) {
+    const target = await ModelVersion.findById(versionId);
+    if (!target) {
+      throw httpError(404, 'Model version not found');
+    }
+    if (target.status === 'active') {
+      throw httpError(400, `${target.model_type} model version ${target.version} is already active`);
+    }
+
+    const active = await this.getActiveVersions();
+    const current = active[target.model_type];
+    const config = this.toWorkerConfig({ ...active, [target.model_type]: target });
+
+    try {
+      await modelWorkerPool.request('load_models', config, { timeout: LOAD_TIMEOUT_MS });
+    } catch (error) {
+      throw httpError(422, `${target.model_type} model version ${target.version} failed to load: ${error.message}`);
+    }
+
+    const now = new Date();
+    if (current) {
+      current.status = 'retired';
+      current.retired_at = now;
+      await current.save();
+    }
+
+    target.status = 'active';
+    target.activated_at = now;
+    target.activated_by = activatedBy;
+    target.retired_at = null;
+    if (!rollback) {
+      target.previous_version_id = current ? current._id : null;
+    }
+    await target.save();
+
+    modelWorkerPool.setModelConfig(config);
+    console.log(`Activated ${target.model_type} model version ${target.version}${current ? ` (was ${current.version})` : ''}`);
+
+    return { activated: target, deactivated: current };
+  }
+
+  /**
+   * Reactivate the version that was active before the current one
+   */
+  async rollback(modelType, activatedBy = 'anonymous') {
+    if (!MODEL_TYPES.includes(modelType)) {
+      throw httpError(400, `model_type must be one of: ${MODEL_TYPES.join(', ')}`);
+    }
+
+    const current = await ModelVersion.findOne({ model_type: modelType, status: 'active' });
+    if (!current) {
+      throw httpError(404, `No active ${modelType} model version`);
+    }
+    if (!current.previous_version_id) {
+      throw httpError(400, `${modelType} model version ${current.version} has no previous version to roll back to`);
+    }
+
+    return this.activate(current.previous_version_id, activatedBy, { rollback: true });
+  }
+}
+
+// Export singleton instance
+module.exports = new ModelRegistryService();
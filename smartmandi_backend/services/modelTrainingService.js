@@ -0,0 +1,214 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { PriceRecommendation, DemandActual, ModelVersion } = require('../models');
+const modelRegistryService = require('./modelRegistryService');
+const modelWorkerPool = require('./modelWorkerPool');
+const { httpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRAINING_SCRIPT = path.join(__dirname, '../python/trainPricingModel.py');
+
+// Longest a training run may take before it is killed
+const TRAINING_TIMEOUT_MS = process.env.MODEL_TRAINING_TIMEOUT_MS !== undefined
+  ? parseInt(process.env.MODEL_TRAINING_TIMEOUT_MS)
+  : 10 * 60 * 1000;
+
+// Days after a price was applied over which its sales are observed
+const OUTCOME_WINDOW_DAYS = 3;
+
+class ModelTrainingService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Training rows from applied recommendations whose price sold at least
+   * as well as expected. Each row is the recommendation's inputs with the
+   * applied price as the target. The expectation is the units sold in the
+   * OUTCOME_WINDOW_DAYS before the price was applied, moved by the
+   * recommendation's expected_demand_change_pct. Prices that sold less in
+   * the OUTCOME_WINDOW_DAYS after, or lack actuals on either side to
+   * compare, are left out so the model doesn't learn its own misses.
+   *
+   * @returns {Object} { rows, summary }
+   */
+  async buildFeedbackRows({ lookback_days = 180 } = {}) {
+    const since = new Date(Date.now() - lookback_days * DAY_MS);
+    const applied = await PriceRecommendation.find({
+      status: 'applied',
+      reverted_at: null,
+      applied_at: { $gte: since }
+    }).lean();
+
+    const summary = { applied: applied.length, met_forecast: 0, below_forecast: 0, unobserved: 0 };
+    if (applied.length === 0) return { rows: [], summary };
+
+    const actuals = await DemandActual.find({
+      product_id: { $in: [...new Set(applied.map(rec => rec.product_id))] },
+      sale_date: { $gte: new Date(since.getTime() - (OUTCOME_WINDOW_DAYS + 1) * DAY_MS) }
+    }).lean();
+
+    const rows = [];
+    applied.forEach(rec => {
+      const start = new Date(Date.UTC(rec.applied_at.getUTCFullYear(), rec.applied_at.getUTCMonth(), rec.applied_at.getUTCDate()));
+      const window = OUTCOME_WINDOW_DAYS * DAY_MS;
+      // A city recommendation is judged on that city's sales
+      const salesBetween = (from, to) => actuals.filter(actual =>
+        actual.product_id === rec.product_id && (!rec.city || actual.city === rec.city) &&
+        actual.sale_date >= from && actual.sale_date < to
+      );
+      const before = salesBetween(new Date(start.getTime() - window), start);
+      const after = salesBetween(start, new Date(start.getTime() + window));
+
+      if (before.length === 0 || after.length === 0) {
+        summary.unobserved += 1;
+        return;
+      }
+
+      const unitsBefore = before.reduce((sum, actual) => sum + actual.units_sold, 0);
+      const unitsSold = after.reduce((sum, actual) => sum + actual.units_sold, 0);
+      const expectedUnits = unitsBefore * (1 + (rec.expected_demand_change_pct || 0) / 100);
+      if (unitsSold === 0 || unitsSold < expectedUnits) {
+        summary.below_forecast += 1;
+        return;
+      }
+
+      summary.met_forecast += 1;
+      rows.push({
+        category: rec.category,
+        season: rec.season,
+        weekday: rec.weekday,
+        days_left: rec.days_left,
+        stock: rec.stock_level,
+        demand_score: rec.demand_score,
+        current_price: rec.recommended_price
+      });
+    });
+
+    return { rows, summary };
+  }
+
+  /**
+   * Run python/trainPricingModel.py, resolving with its result line
+   */
+  runScript(outputDir, options) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(modelWorkerPool.getPythonExecutable(), [TRAINING_SCRIPT, outputDir], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let lastError = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(httpError(504, `Training exceeded time limit (${TRAINING_TIMEOUT_MS}ms)`));
+      }, TRAINING_TIMEOUT_MS);
+
+      child.stdout.on('data', data => {
+        stdout += data.toString();
+      });
+      child.stderr.on('data', data => {
+        const text = data.toString().trim();
+        if (text) lastError = text.split('\n').pop();
+        console.log('Pricing model training:', text);
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        const lines = stdout.trim().split('\n');
+        try {
+          resolve(JSON.parse(lines[lines.length - 1]));
+        } catch (error) {
+          reject(new Error(`Training script exited with code ${code} without a result${lastError ? `: ${lastError}` : ''}`));
+        }
+      });
+
+      child.stdin.write(JSON.stringify(options));
+      child.stdin.end();
+    });
+  }
+
+  /**
+   * Retrain the pricing model on the bundled dataset plus feedback from
+   * applied recommendations, evaluate it on a holdout next to the active
+   * model and register it as a candidate version. Activating it is left
+   * to POST /api/models/:versionId/activate.
+   *
+   * @param {Object} params - { version, description, lookback_days, include_feedback,
+   *                            holdout_fraction, seed, params }
+   * @returns {Object} { version, training }
+   */
+  async trainPricingModel(params = {}, requestedBy = 'anonymous') {
+    if (this.running) {
+      throw httpError(409, 'Pricing model training is already running');
+    }
+
+    this.running = true;
+    let outputDir = null;
+    try {
+      const version = params.version || modelRegistryService.createVersionName('pricing');
+      if (await ModelVersion.exists({ model_type: 'pricing', version })) {
+        throw httpError(409, `pricing model version ${version} already exists`);
+      }
+      outputDir = modelRegistryService.getVersionDir('pricing', version);
+
+      const feedback = params.include_feedback === false
+        ? { rows: [], summary: null }
+        : await this.buildFeedbackRows({ lookback_days: params.lookback_days });
+
+      const active = await ModelVersion.findOne({ model_type: 'pricing', status: 'active' });
+
+      const result = await this.runScript(outputDir, {
+        feedback: feedback.rows,
+        holdout_fraction: params.holdout_fraction,
+        seed: params.seed,
+        params: params.params,
+        baseline: active ? { path: active.artifact_path, features_path: active.features_path } : null
+      });
+
+      if (!result.success) {
+        throw httpError(500, `Training failed: ${result.error}`);
+      }
+
+      const registered = await modelRegistryService.register({
+        model_type: 'pricing',
+        version,
+        artifact_path: result.artifact_path,
+        features_path: result.features_path,
+        schema_path: result.schema_path,
+        trained_at: result.trained_at,
+        dataset_hash: result.dataset_hash,
+        metrics: {
+          ...result.metrics,
+          baseline_version: active ? active.version : null,
+          rows: result.rows
+        },
+        description: params.description || `Retrained on ${result.rows.dataset} dataset rows and ${result.rows.feedback} applied recommendations`
+      }, { source: 'training', registered_by: requestedBy });
+
+      return {
+        version: registered,
+        training: {
+          rows: result.rows,
+          feedback: feedback.summary,
+          params: result.params,
+          metrics: result.metrics
+        }
+      };
+
+    } catch (error) {
+      if (outputDir) await fs.promises.rm(outputDir, { recursive: true, force: true });
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ModelTrainingService();
@@ -0,0 +1,465 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+const { codedError } = require('../utils/errors');
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_REQUEST_TIMEOUT = 60 * 1000; // 60 seconds
+const DEFAULT_STARTUP_TIMEOUT = 2 * 60 * 1000; // 2 minutes, unpickling can be slow
+const DEFAULT_HEALTH_INTERVAL = 30 * 1000; // 30 seconds
+const HEALTH_PROBE_TIMEOUT = 5 * 1000;
+const MAX_RESTART_DELAY = 30 * 1000;
+
+/**
+ * Pool of long-lived python/modelService.py workers.
+ *
+ * Each worker loads the models once and then answers line-delimited JSON
+ * requests over stdin/stdout. A worker handles one request at a time; extra
+ * requests wait in a FIFO queue until a worker becomes idle.
+ */
+class ModelWorkerPool {
+  constructor(options = {}) {
+    this.scriptPath = options.scriptPath || path.join(__dirname, '../python/modelService.py');
+    this.poolSize = options.poolSize || parseInt(process.env.MODEL_WORKER_POOL_SIZE) || DEFAULT_POOL_SIZE;
+    this.requestTimeout = options.requestTimeout || parseInt(process.env.MODEL_WORKER_TIMEOUT_MS) || DEFAULT_REQUEST_TIMEOUT;
+    this.startupTimeout = options.startupTimeout || parseInt(process.env.MODEL_WORKER_STARTUP_TIMEOUT_MS) || DEFAULT_STARTUP_TIMEOUT;
+    this.healthInterval = options.healthInterval || parseInt(process.env.MODEL_WORKER_HEALTH_INTERVAL_MS) || DEFAULT_HEALTH_INTERVAL;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextWorkerId = 1;
+    this.nextRequestId = 1;
+    this.started = false;
+    this.stopping = false;
+    this.healthTimer = null;
+    this.lastError = null;
+    // Model versions workers should have loaded (see setModelConfig)
+    this.modelConfig = null;
+    this.modelConfigVersion = 0;
+  }
+
+  /**
+   * Resolve the python executable, normalizing separators for the current platform
+   */
+  getPythonExecutable() {
+    const executable = process.env.PYTHON_EXECUTABLE || 'python';
+    return executable.includes('/') || executable.includes('\\') ? path.normalize(executable) : executable;
+  }
+
+  /**
+   * Spawn the configured number of workers and start health probing
+   */
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.stopping = false;
+
+    for (let i = 0; i < this.poolSize; i++) {
+      this.spawnWorker();
+    }
+
+    this.healthTimer = setInterval(() => this.probeHealth(), this.healthInterval);
+    this.healthTimer.unref();
+
+    console.log(`Model worker pool started with ${this.poolSize} workers`);
+  }
+
+  /**
+   * Shut down all workers and reject any queued requests
+   */
+  async stop() {
+    if (!this.started) return;
+
+    this.stopping = true;
+    this.started = false;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    this.queue.splice(0).forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(codedError('MODEL_WORKER_STOPPED', 'Model worker pool is shutting down'));
+    });
+
+    await Promise.all(this.workers.map(worker => new Promise(resolve => {
+      if (worker.exited) return resolve();
+
+      worker.process.once('close', resolve);
+      try {
+        worker.process.stdin.write(JSON.stringify({ id: 0, operation: 'shutdown' }) + '\n');
+        worker.process.stdin.end();
+      } catch (error) {
+        // stdin already closed, the kill below takes care of it
+      }
+      setTimeout(() => {
+        worker.process.kill('SIGKILL');
+        resolve();
+      }, 5000).unref();
+    })));
+
+    this.workers = [];
+    console.log('Model worker pool stopped');
+  }
+
+  /**
+   * Start a single worker process and wire up its protocol handlers
+   */
+  spawnWorker(restarts = 0) {
+    const worker = {
+      id: this.nextWorkerId++,
+      state: 'starting',
+      process: null,
+      current: null,
+      restarts,
+      exited: false,
+      startedAt: new Date(),
+      readyAt: null,
+      lastHealthAt: null,
+      lastError: null,
+      modelConfigVersion: 0
+    };
+
+    try {
+      worker.process = spawn(this.getPythonExecutable(), [this.scriptPath, 'serve'], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      console.error(`Failed to spawn model worker ${worker.id}:`, error.message);
+      this.lastError = error.message;
+      this.scheduleRestart(worker);
+      return worker;
+    }
+
+    this.workers.push(worker);
+
+    worker.startupTimer = setTimeout(() => {
+      if (worker.state === 'starting') {
+        console.error(`Model worker ${worker.id} did not become ready within ${this.startupTimeout}ms`);
+        worker.lastError = 'Startup timeout';
+        worker.process.kill('SIGKILL');
+      }
+    }, this.startupTimeout);
+
+    readline.createInterface({ input: worker.process.stdout }).on('line', line => this.handleLine(worker, line));
+
+    worker.process.stderr.on('data', data => {
+      console.log(`Model worker ${worker.id} stderr:`, data.toString().trim());
+    });
+
+    worker.process.on('error', error => {
+      console.error(`Model worker ${worker.id} process error:`, error.message);
+      worker.lastError = error.message;
+      this.lastError = error.message;
+    });
+
+    // A worker that dies mid-write fails the write with EPIPE; the exit is handled below
+    worker.process.stdin.on('error', error => {
+      worker.lastError = `stdin: ${error.message}`;
+    });
+
+    // 'close' also follows a failed spawn (e.g. ENOENT), which never emits 'exit'
+    worker.process.on('close', (code, signal) => this.handleExit(worker, code, signal));
+
+    return worker;
+  }
+
+  /**
+   * Handle one protocol line written by a worker
+   */
+  handleLine(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.log(`Model worker ${worker.id} stdout (non-protocol):`, line);
+      return;
+    }
+
+    if (message.type === 'ready') {
+      clearTimeout(worker.startupTimer);
+      worker.state = 'ready';
+      worker.readyAt = new Date();
+      worker.lastHealthAt = new Date();
+      console.log(`Model worker ${worker.id} ready (pid ${message.pid})`);
+      this.dispatch();
+      return;
+    }
+
+    if (message.type === 'fatal') {
+      console.error(`Model worker ${worker.id} failed to load models:`, message.error);
+      worker.lastError = message.error;
+      this.lastError = message.error;
+      return;
+    }
+
+    const request = worker.current;
+    if (!request || request.id !== message.id) {
+      console.warn(`Model worker ${worker.id} sent a response for unknown request ${message.id}`);
+      return;
+    }
+
+    clearTimeout(request.timer);
+    worker.current = null;
+    worker.state = 'ready';
+    worker.lastHealthAt = new Date();
+
+    if (message.error) {
+      request.reject(codedError('MODEL_WORKER_ERROR', message.error));
+    } else {
+      request.resolve(message.result);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Clean up after a worker process exits and restart it
+   */
+  handleExit(worker, code, signal) {
+    if (worker.exited) return;
+    worker.exited = true;
+    worker.state = 'stopped';
+    clearTimeout(worker.startupTimer);
+    this.workers = this.workers.filter(w => w !== worker);
+
+    const wasReady = worker.readyAt !== null;
+
+    if (worker.current) {
+      clearTimeout(worker.current.timer);
+      worker.current.reject(codedError(
+        'MODEL_WORKER_EXITED',
+        `Model worker exited (code ${code}, signal ${signal})${worker.lastError ? `: ${worker.lastError}` : ''}`
+      ));
+      worker.current = null;
+    }
+
+    if (this.stopping) return;
+
+    console.error(`Model worker ${worker.id} exited with code ${code}, signal ${signal}`);
+
+    // Nothing can serve the queue right now, so fail fast instead of letting requests time out
+    if (!wasReady && !this.workers.some(w => w.state !== 'starting')) {
+      this.rejectQueued(codedError(
+        'MODEL_WORKER_UNAVAILABLE',
+        `No model worker available${worker.lastError ? `: ${worker.lastError}` : ''}`
+      ));
+    }
+
+    this.scheduleRestart(worker, wasReady);
+  }
+
+  /**
+   * Respawn a worker with exponential backoff on repeated failures
+   */
+  scheduleRestart(worker, wasReady = false) {
+    if (this.stopping || !this.started) return;
+
+    const restarts = wasReady ? 0 : worker.restarts + 1;
+    const delay = Math.min(1000 * Math.pow(2, restarts), MAX_RESTART_DELAY);
+
+    setTimeout(() => {
+      if (!this.stopping && this.started) {
+        this.spawnWorker(restarts);
+      }
+    }, delay).unref();
+  }
+
+  /**
+   * Reject every queued request with the given error
+   */
+  rejectQueued(error) {
+    this.queue.splice(0).forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+  }
+
+  /**
+   * Hand queued requests to idle workers
+   */
+  dispatch() {
+    for (const worker of this.workers) {
+      if (worker.state !== 'ready' || worker.current) continue;
+
+      // Bring the worker onto the current model versions before it takes requests
+      if (this.modelConfig && worker.modelConfigVersion !== this.modelConfigVersion) {
+        this.reloadModels(worker);
+        continue;
+      }
+
+      if (this.queue.length === 0) return;
+      this.send(worker, this.queue.shift());
+    }
+  }
+
+  /**
+   * Set the model versions every worker should load, as
+   * { demand: { version, path }, pricing: { version, path, features_path, schema_path } }.
+   * Idle workers reload right away, busy ones once their current request
+   * finishes, and restarted workers before their first request.
+   */
+  setModelConfig(config) {
+    this.modelConfig = config;
+    this.modelConfigVersion += 1;
+    if (this.started) this.dispatch();
+  }
+
+  /**
+   * Send the current model config to one idle worker
+   */
+  reloadModels(worker) {
+    const configVersion = this.modelConfigVersion;
+    const request = {
+      id: this.nextRequestId++,
+      operation: 'load_models',
+      payload: this.modelConfig,
+      resolve: () => {
+        worker.modelConfigVersion = configVersion;
+      },
+      reject: error => {
+        // The worker keeps its previous models; don't retry the same config forever
+        worker.modelConfigVersion = configVersion;
+        worker.lastError = `Failed to load models: ${error.message}`;
+        console.error(`Model worker ${worker.id} failed to load models:`, error.message);
+      }
+    };
+
+    request.timer = setTimeout(() => {
+      if (worker.current === request) {
+        worker.current = null;
+        worker.lastError = 'Model reload timeout';
+        worker.process.kill('SIGKILL');
+      }
+    }, this.startupTimeout);
+
+    this.send(worker, request);
+  }
+
+  /**
+   * Write a request to a specific worker
+   */
+  send(worker, request) {
+    worker.current = request;
+    worker.state = 'busy';
+    request.startedAt = Date.now();
+
+    try {
+      worker.process.stdin.write(JSON.stringify({
+        id: request.id,
+        operation: request.operation,
+        payload: request.payload
+      }) + '\n');
+    } catch (error) {
+      worker.current = null;
+      clearTimeout(request.timer);
+      request.reject(codedError('MODEL_WORKER_ERROR', `Failed to write to model worker: ${error.message}`));
+      worker.process.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Send an operation to the next idle worker.
+   * Resolves with the worker's result object.
+   */
+  request(operation, payload = {}, options = {}) {
+    if (!this.started) this.start();
+
+    const timeout = options.timeout || this.requestTimeout;
+
+    // Every worker died and is waiting to be restarted
+    if (this.workers.length === 0) {
+      return Promise.reject(codedError(
+        'MODEL_WORKER_UNAVAILABLE',
+        `No model worker available${this.lastError ? `: ${this.lastError}` : ''}`
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        id: this.nextRequestId++,
+        operation,
+        payload,
+        resolve,
+        reject,
+        enqueuedAt: Date.now()
+      };
+
+      request.timer = setTimeout(() => {
+        const queueIndex = this.queue.indexOf(request);
+        if (queueIndex >= 0) {
+          this.queue.splice(queueIndex, 1);
+        } else {
+          // The worker is stuck on this request; replace it rather than wait
+          const worker = this.workers.find(w => w.current === request);
+          if (worker) {
+            worker.current = null;
+            worker.lastError = `Request ${request.id} timed out`;
+            worker.process.kill('SIGKILL');
+          }
+        }
+        reject(codedError('MODEL_WORKER_TIMEOUT', `Model operation '${operation}' exceeded time limit (${timeout}ms)`));
+      }, timeout);
+
+      this.queue.push(request);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Ping idle workers and replace the ones that do not answer
+   */
+  probeHealth() {
+    for (const worker of this.workers) {
+      if (worker.state !== 'ready' || worker.current) continue;
+
+      const request = {
+        id: this.nextRequestId++,
+        operation: 'ping',
+        payload: {},
+        resolve: () => {},
+        reject: error => console.error(`Model worker ${worker.id} health probe failed:`, error.message)
+      };
+
+      request.timer = setTimeout(() => {
+        if (worker.current === request) {
+          worker.current = null;
+          worker.lastError = 'Health probe timeout';
+          worker.process.kill('SIGKILL');
+        }
+      }, HEALTH_PROBE_TIMEOUT);
+
+      this.send(worker, request);
+    }
+  }
+
+  /**
+   * Snapshot of the pool for health endpoints
+   */
+  getStatus() {
+    return {
+      started: this.started,
+      pool_size: this.poolSize,
+      ready_workers: this.workers.filter(w => w.state === 'ready').length,
+      busy_workers: this.workers.filter(w => w.state === 'busy').length,
+      queued_requests: this.queue.length,
+      last_error: this.lastError,
+      model_versions: this.modelConfig
+        ? Object.fromEntries(Object.entries(this.modelConfig).map(([type, config]) => [type, config ? config.version : null]))
+        : null,
+      workers: this.workers.map(worker => ({
+        id: worker.id,
+        pid: worker.process ? worker.process.pid : null,
+        state: worker.state,
+        restarts: worker.restarts,
+        started_at: worker.startedAt,
+        ready_at: worker.readyAt,
+        last_health_at: worker.lastHealthAt,
+        last_error: worker.lastError,
+        models_current: worker.modelConfigVersion === this.modelConfigVersion
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ModelWorkerPool();
@@ -0,0 +1,711 @@
+const { PriceRecommendation, PriceHistory, Product } = require('../models');
+const modelWorkerPool = require('./modelWorkerPool');
+const guardrailService = require('./guardrailService');
+const costService = require('./costService');
+const elasticityService = require('./elasticityService');
+const weatherService = require('./weatherService');
+const seasonService = require('./seasonService');
+const { httpError } = require('../utils/errors');
+
+const PREDICTION_TIMEOUT_MS = 30000; // 30 seconds
+
+// Price changes larger than this (percent) need approval unless a guardrail sets its own threshold
+const DEFAULT_APPROVAL_THRESHOLD_PCT = process.env.PRICE_APPROVAL_THRESHOLD_PCT !== undefined
+  ? parseFloat(process.env.PRICE_APPROVAL_THRESHOLD_PCT)
+  : 10;
+
+// Statuses a recommendation can still be applied or reviewed from
+const OPEN_STATUSES = ['generated', 'pending_approval', 'approved'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+  /**
+   * Current season for a product: its given season in canonical form, or
+   * today's season in its city
+   */
+  getProductSeason(product) {
+    return seasonService.normalizeSeason(product.season) || seasonService.getSeason(new Date(), product.city);
+  }
+
+  /**
+   * Feature schema of the loaded pricing model: its feature columns in
+   * order, the numeric inputs and the known values of each categorical field
+   */
+  async getFeatureSchema() {
+    const schema = await modelWorkerPool.request('describe_pricing_features', {}, {
+      timeout: PREDICTION_TIMEOUT_MS
+    });
+    if (!schema || !schema.success) {
+      throw httpError(503, (schema && schema.error) || 'Pricing model schema unavailable');
+    }
+    return schema;
+  }
+
+  /**
+   * Products whose category the pricing model was not trained on and
+   * would encode as its baseline category
+   */
+  findUnknownCategories(products, schema) {
+    const category = schema.categorical && schema.categorical.category;
+    if (!category) return [];
+
+    return products
+      .filter(product => !category.known_values.includes(product.category))
+      .map(product => ({ product_id: product.product_id, product_name: product.product_name, category: product.category }));
+  }
+
+  /**
+   * Add current date context to products
+   */
+  enrichProducts(products) {
+    return products.map(product => ({
+      ...product,
+      weekday: product.weekday || new Date().toLocaleDateString('en-US', { weekday: 'long' }),
+      season: this.getProductSeason(product)
+    }));
+  }
+
+  /**
+   * Save recommendations, continuing without them if the database is not available
+   *
+   * @returns {Array} The saved documents, empty if nothing was saved
+   */
+  async saveRecommendations(recommendations) {
+    if (!recommendations || recommendations.length === 0) return [];
+
+    try {
+      console.log('Attempting to save', recommendations.length, 'recommendations to database');
+      const saved = await PriceRecommendation.insertMany(recommendations);
+      console.log('Successfully saved recommendations to database');
+      return saved;
+    } catch (dbError) {
+      console.log('Database not available, continuing without saving:', dbError.message);
+      return [];
+    }
+  }
+
+  /**
+   * Current price of a stored product in a city, or its product-wide price
+   * when no city is given or the city has no price of its own
+   */
+  getCurrentPrice(product, city = null) {
+    const cityEntry = city ? product.cities.find(entry => entry.city_name === city) : null;
+    return cityEntry && cityEntry.price !== null && cityEntry.price !== undefined
+      ? cityEntry.price
+      : product.current_price;
+  }
+
+  /**
+   * Build the model input for a stored product, using a city's stock when given
+   */
+  toPricingInput(product, city = null) {
+    const cityEntry = city ? product.cities.find(entry => entry.city_name === city) : null;
+
+    const input = {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      category: product.category,
+      current_price: this.getCurrentPrice(product, city),
+      stock_level: cityEntry ? cityEntry.stock_level : product.stock_level,
+      days_left: product.days_left,
+      demand_score: product.demand_score
+    };
+    if (city) input.city = city;
+
+    return input;
+  }
+
+  /**
+   * Build the Product query for a batch pricing filter
+   */
+  buildBatchFilter({ category, city, product_ids, max_days_left, min_stock, max_stock }) {
+    const filter = { is_active: true };
+    if (category) filter.category = category;
+    if (Array.isArray(product_ids) && product_ids.length > 0) filter.product_id = { $in: product_ids };
+    if (max_days_left !== undefined) filter.days_left = { $lte: Number(max_days_left) };
+
+    if (city) {
+      // Stock thresholds apply to the city's stock
+      const cityMatch = { city_name: city };
+      if (min_stock !== undefined || max_stock !== undefined) {
+        cityMatch.stock_level = {};
+        if (min_stock !== undefined) cityMatch.stock_level.$gte = Number(min_stock);
+        if (max_stock !== undefined) cityMatch.stock_level.$lte = Number(max_stock);
+      }
+      filter.cities = { $elemMatch: cityMatch };
+    } else if (min_stock !== undefined || max_stock !== undefined) {
+      filter.stock_level = {};
+      if (min_stock !== undefined) filter.stock_level.$gte = Number(min_stock);
+      if (max_stock !== undefined) filter.stock_level.$lte = Number(max_stock);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Summarize a set of recommendations
+   */
+  summarizeRecommendations(recommendations) {
+    const changes = recommendations.map(rec => rec.price_change_percentage);
+    const count = recommendations.length;
+
+    return {
+      total_products: count,
+      products_with_increase: changes.filter(change => change > 0).length,
+      products_with_decrease: changes.filter(change => change < 0).length,
+      products_no_change: changes.filter(change => change === 0).length,
+      avg_price_change: count > 0 ? round2(changes.reduce((sum, change) => sum + change, 0) / count) : 0,
+      max_price_increase: count > 0 ? Math.max(...changes) : 0,
+      max_price_decrease: count > 0 ? Math.min(...changes) : 0,
+      pending_approval: recommendations.filter(rec => rec.status === 'pending_approval').length,
+      clipped_by_guardrails: recommendations.filter(rec => rec.guardrails_applied && rec.guardrails_applied.length > 0).length,
+      guardrails_unavailable: recommendations.filter(rec => rec.guardrails_unavailable).length,
+      below_cost: recommendations.filter(rec => rec.below_cost).length,
+      projected_margin_impact: round2(recommendations.reduce((sum, rec) => sum + (rec.projected_margin_impact || 0), 0))
+    };
+  }
+
+  /**
+   * Price every active product matching a filter in one model call
+   *
+   * @param {Object} criteria - { category, city, product_ids, max_days_left, min_stock, max_stock, limit }
+   * @returns {Object} { prediction, used_fallback, summary }
+   */
+  async generateBatchRecommendations(criteria) {
+    const limit = Math.min(parseInt(criteria.limit) || 500, 1000);
+    const products = await Product.find(this.buildBatchFilter(criteria))
+      .sort({ product_id: 1 })
+      .limit(limit);
+
+    if (products.length === 0) {
+      throw httpError(404, 'No active products match the filter');
+    }
+
+    const { prediction, used_fallback } = await this.generateRecommendations(
+      products.map(product => this.toPricingInput(product, criteria.city || null))
+    );
+
+    return {
+      prediction,
+      used_fallback,
+      summary: this.summarizeRecommendations(prediction.recommendations || [])
+    };
+  }
+
+  /**
+   * Damp prices for elasticity and enforce guardrails, then add cost and
+   * margin figures, the expected demand impact and the initial status
+   * (pending_approval when the change exceeds the approval threshold or
+   * the guardrails could not be checked). Planned changes, such as markdown
+   * schedule days, skip the threshold when the guardrails left them unchanged.
+   */
+  async finalizeRecommendations(recommendations, products, { planned = false } = {}) {
+    if (!recommendations || recommendations.length === 0) return recommendations;
+
+    let productDocs = [];
+    try {
+      productDocs = await Product.find({ product_id: { $in: recommendations.map(rec => rec.product_id) } });
+    } catch (error) {
+      console.log('Database not available, using request costs only:', error.message);
+    }
+
+    await elasticityService.applyElasticity(recommendations, products);
+    await guardrailService.applyGuardrails(recommendations, products, productDocs);
+
+    const productsById = new Map(productDocs.map(product => [product.product_id, product]));
+    const inputsById = new Map(products.map(product => [product.product_id, product]));
+
+    recommendations.forEach(rec => {
+      const input = inputsById.get(rec.product_id) || {};
+      // Applying or reverting a city recommendation changes that city's price
+      rec.city = input.city || null;
+      const storedCost = costService.getEffectiveCost(productsById.get(rec.product_id), input.city);
+      const cost = storedCost !== null ? storedCost : (input.cost_price !== undefined ? input.cost_price : null);
+      Object.assign(rec, costService.computeMargins(rec, cost));
+      Object.assign(rec, elasticityService.projectImpact(rec));
+
+      // Large changes go to a manager before they can be applied
+      const threshold = rec.approval_threshold_pct !== null && rec.approval_threshold_pct !== undefined
+        ? rec.approval_threshold_pct
+        : DEFAULT_APPROVAL_THRESHOLD_PCT;
+      rec.approval_threshold_pct = threshold;
+      const overThreshold = Math.abs(rec.price_change_percentage) > threshold;
+      const plannedWithinGuardrails = planned && (rec.guardrails_applied || []).length === 0;
+      rec.status = rec.guardrails_unavailable || (overThreshold && !plannedWithinGuardrails)
+        ? 'pending_approval'
+        : 'generated';
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Generate and save price recommendations for already mapped products,
+   * falling back to rule-based pricing when the model is unavailable.
+   * Guardrails are enforced on both paths before saving.
+   *
+   * @returns {Object} { prediction, used_fallback }
+   */
+  async generateRecommendations(products) {
+    const enrichedProducts = this.enrichProducts(products);
+
+    // Today's weather for each product's city; pricing works without it
+    try {
+      const weatherFor = await weatherService.getWeatherForPricing(enrichedProducts);
+      enrichedProducts.forEach(product => {
+        product.weather = product.weather || weatherFor(product);
+      });
+    } catch (error) {
+      console.error('Weather unavailable for pricing:', error.message);
+    }
+
+    // Prepare input for Python model
+    const inputData = {
+      products: enrichedProducts
+    };
+
+    console.log('Calling Python model service with', enrichedProducts.length, 'products');
+
+    let prediction;
+    try {
+      prediction = await modelWorkerPool.request('predict_pricing', inputData, {
+        timeout: PREDICTION_TIMEOUT_MS
+      });
+    } catch (error) {
+      console.error('Model worker request failed:', error.message);
+      prediction = null;
+    }
+
+    if (!prediction || !prediction.success) {
+      console.log('Using fallback pricing logic');
+      const recommendations = this.buildFallbackRecommendations(enrichedProducts);
+      await this.finalizeRecommendations(recommendations, enrichedProducts);
+      await this.saveRecommendations(recommendations);
+
+      return {
+        prediction: {
+          success: true,
+          recommendations,
+          total_recommendations: recommendations.length
+        },
+        used_fallback: true
+      };
+    }
+
+    // Inputs the model never saw are priced as its baseline; surface them
+    prediction.recommendations
+      .filter(rec => rec.encoding_warnings && rec.encoding_warnings.length > 0)
+      .forEach(rec => console.warn(`Pricing ${rec.product_id}: ${rec.encoding_warnings.join('; ')}`));
+
+    await this.finalizeRecommendations(prediction.recommendations, enrichedProducts);
+    await this.saveRecommendations(prediction.recommendations);
+
+    return { prediction, used_fallback: false };
+  }
+
+  /**
+   * Record a price change in the product's price history
+   */
+  recordPriceChange(product, oldPrice, newPrice, { source, city = null, recommendation_id = null, reverts = null, changed_by, note = '' }) {
+    return PriceHistory.create({
+      product_id: product.product_id,
+      product_name: product.product_name,
+      city,
+      old_price: oldPrice,
+      new_price: newPrice,
+      change_percentage: oldPrice > 0 ? round2((newPrice - oldPrice) / oldPrice * 100) : 0,
+      source,
+      recommendation_id,
+      reverts,
+      changed_by,
+      note
+    });
+  }
+
+  /**
+   * Set a product's price (product-wide, or for one city when options.city
+   * is given) and record the change in its price history
+   */
+  async changeProductPrice(product, newPrice, options) {
+    let oldPrice;
+
+    if (options.city) {
+      const cityEntry = product.cities.find(city => city.city_name === options.city);
+      oldPrice = cityEntry && cityEntry.price !== null && cityEntry.price !== undefined
+        ? cityEntry.price
+        : product.current_price;
+
+      if (cityEntry) {
+        cityEntry.price = newPrice;
+        cityEntry.last_updated = new Date();
+      } else {
+        product.cities.push({ city_name: options.city, stock_level: 0, price: newPrice, last_updated: new Date() });
+      }
+    } else {
+      oldPrice = product.current_price;
+      product.current_price = newPrice;
+    }
+
+    await product.save();
+
+    return this.recordPriceChange(product, oldPrice, newPrice, options);
+  }
+
+  /**
+   * Change the price of several products at once. Each change gives either
+   * new_price or change_percentage, and optionally a city.
+   *
+   * @returns {Object} { changed, failed }
+   */
+  async bulkChangePrices(changes, changedBy, note = '') {
+    const changed = [];
+    const failed = [];
+
+    for (let index = 0; index < changes.length; index++) {
+      const change = changes[index];
+      try {
+        const product = await Product.findOne({ product_id: change.product_id });
+        if (!product) {
+          throw new Error(`Product ${change.product_id} not found`);
+        }
+
+        const basePrice = this.getCurrentPrice(product, change.city);
+
+        const newPrice = change.new_price !== undefined
+          ? Number(change.new_price)
+          : round2(basePrice * (1 + Number(change.change_percentage) / 100));
+
+        if (isNaN(newPrice) || newPrice < 0) {
+          throw new Error('new_price or change_percentage must give a non-negative price');
+        }
+
+        const history = await this.changeProductPrice(product, newPrice, {
+          source: 'bulk',
+          city: change.city || null,
+          changed_by: changedBy,
+          note: change.note || note
+        });
+        changed.push(history);
+
+      } catch (error) {
+        failed.push({ index, product_id: change.product_id, reason: error.message });
+      }
+    }
+
+    return { changed, failed };
+  }
+
+  /**
+   * Price timeline of a product. With a city, that city's changes are
+   * merged with the product-wide ones.
+   *
+   * @returns {Object} { product_id, product_name, city, current_price, timeline, series }
+   */
+  async getPriceHistory(productId, { city, start_date, end_date } = {}) {
+    const product = await Product.findOne({ product_id: productId });
+    if (!product) {
+      throw httpError(404, 'Product not found');
+    }
+
+    const filter = { product_id: product.product_id };
+    filter.city = city ? { $in: [city, null] } : null;
+    if (start_date || end_date) {
+      filter.changed_at = {};
+      if (start_date) filter.changed_at.$gte = new Date(start_date);
+      if (end_date) filter.changed_at.$lte = new Date(end_date);
+    }
+
+    const timeline = await PriceHistory.find(filter).sort({ changed_at: 1 });
+
+    const currentPrice = this.getCurrentPrice(product, city);
+
+    // Step series for charting: the starting price, each change, then today
+    const series = [];
+    if (timeline.length > 0) {
+      series.push({ date: start_date ? new Date(start_date) : product.created_at, price: timeline[0].old_price, source: 'initial' });
+      timeline.forEach(entry => series.push({ date: entry.changed_at, price: entry.new_price, source: entry.source }));
+    } else {
+      series.push({ date: start_date ? new Date(start_date) : product.created_at, price: currentPrice, source: 'initial' });
+    }
+    if (!end_date) {
+      series.push({ date: new Date(), price: currentPrice, source: 'current' });
+    }
+
+    return {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      city: city || null,
+      current_price: currentPrice,
+      timeline,
+      series
+    };
+  }
+
+  /**
+   * Apply a recommendation: update the product's price, record the change
+   * and mark the recommendation applied. Expired recommendations are rejected.
+   *
+   * @returns {Object} { recommendation, product, history }
+   */
+  async applyRecommendation(recommendationId, appliedBy) {
+    const recommendation = await PriceRecommendation.findById(recommendationId);
+    if (!recommendation) {
+      throw httpError(404, 'Recommendation not found');
+    }
+
+    await this.expireIfStale(recommendation);
+
+    if (recommendation.status === 'pending_approval') {
+      throw httpError(400, 'Recommendation is waiting for approval');
+    }
+
+    if (!['generated', 'approved'].includes(recommendation.status)) {
+      throw httpError(400, recommendation.status === 'expired'
+        ? `Recommendation expired at ${recommendation.valid_until.toISOString()}`
+        : `Recommendation is ${recommendation.status} and cannot be applied`);
+    }
+
+    const product = await Product.findOne({ product_id: recommendation.product_id });
+    if (!product) {
+      throw httpError(404, `Product ${recommendation.product_id} not found`);
+    }
+
+    const history = await this.changeProductPrice(product, recommendation.recommended_price, {
+      source: 'recommendation',
+      city: recommendation.city || null,
+      recommendation_id: recommendation._id,
+      changed_by: appliedBy,
+      note: recommendation.recommendation_reason
+    });
+
+    recommendation.status = 'applied';
+    recommendation.applied_at = history.changed_at;
+    recommendation.applied_by = appliedBy;
+    recommendation.price_history_id = history._id;
+    recommendation.reverted_at = null;
+    recommendation.reverted_by = null;
+    await recommendation.save();
+
+    return { recommendation, product, history };
+  }
+
+  /**
+   * Mark a recommendation expired if it is still open past valid_until
+   */
+  async expireIfStale(recommendation) {
+    if (OPEN_STATUSES.includes(recommendation.status) && recommendation.valid_until < new Date()) {
+      recommendation.status = 'expired';
+      await recommendation.save();
+    }
+    return recommendation;
+  }
+
+  /**
+   * Expire every open recommendation past valid_until
+   */
+  async expireStaleRecommendations() {
+    const result = await PriceRecommendation.updateMany(
+      { status: { $in: OPEN_STATUSES }, valid_until: { $lt: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Approve or reject a recommendation waiting for approval
+   *
+   * @param {string} decision - 'approved' or 'rejected'
+   */
+  async reviewRecommendation(recommendationId, decision, reviewer, comment = '') {
+    const recommendation = await PriceRecommendation.findById(recommendationId);
+    if (!recommendation) {
+      throw httpError(404, 'Recommendation not found');
+    }
+
+    await this.expireIfStale(recommendation);
+
+    if (recommendation.status !== 'pending_approval') {
+      throw httpError(400, `Recommendation is ${recommendation.status}, only pending recommendations can be reviewed`);
+    }
+
+    recommendation.status = decision;
+    recommendation.reviewed_by = reviewer;
+    recommendation.reviewed_at = new Date();
+    recommendation.review_comment = comment;
+    await recommendation.save();
+
+    return recommendation;
+  }
+
+  /**
+   * Convert recommendations saved before the status lifecycle (is_applied flag)
+   */
+  async migrateLegacyStatus() {
+    const collection = PriceRecommendation.collection;
+    const legacy = { status: { $exists: false } };
+
+    const applied = await collection.updateMany(
+      { ...legacy, is_applied: true },
+      { $set: { status: 'applied' }, $unset: { is_applied: '' } }
+    );
+    const open = await collection.updateMany(
+      legacy,
+      { $set: { status: 'generated' }, $unset: { is_applied: '' } }
+    );
+
+    const migrated = applied.modifiedCount + open.modifiedCount;
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} price recommendations to status lifecycle`);
+      await this.expireStaleRecommendations();
+    }
+    return migrated;
+  }
+
+  /**
+   * Move recommendations saved with seasons outside the season calendar
+   * (Spring, Autumn, Rainy) onto it, using their creation date
+   */
+  async migrateLegacySeasons() {
+    const collection = PriceRecommendation.collection;
+    const legacy = await collection.find(
+      { season: { $nin: seasonService.getSeasons() } },
+      { projection: { season: 1, created_at: 1 } }
+    ).toArray();
+
+    if (legacy.length === 0) return 0;
+
+    await collection.bulkWrite(legacy.map(rec => ({
+      updateOne: {
+        filter: { _id: rec._id },
+        update: {
+          $set: {
+            season: seasonService.normalizeSeason(rec.season)
+              || seasonService.getSeason(rec.created_at || new Date())
+          }
+        }
+      }
+    })), { ordered: false });
+
+    console.log(`Migrated ${legacy.length} price recommendations to the season calendar`);
+    return legacy.length;
+  }
+
+  /**
+   * Revert an applied recommendation, restoring the price it replaced.
+   * Refuses if the price has changed since, unless forced.
+   *
+   * @returns {Object} { recommendation, product, history }
+   */
+  async revertRecommendation(recommendationId, revertedBy, { force = false } = {}) {
+    const recommendation = await PriceRecommendation.findById(recommendationId);
+    if (!recommendation) {
+      throw httpError(404, 'Recommendation not found');
+    }
+
+    if (recommendation.status !== 'applied' || !recommendation.price_history_id) {
+      throw httpError(400, 'Recommendation has not been applied');
+    }
+
+    const [applied, product] = await Promise.all([
+      PriceHistory.findById(recommendation.price_history_id),
+      Product.findOne({ product_id: recommendation.product_id })
+    ]);
+
+    if (!applied) {
+      throw httpError(404, 'Price history for this recommendation not found');
+    }
+    if (!product) {
+      throw httpError(404, `Product ${recommendation.product_id} not found`);
+    }
+
+    const currentPrice = this.getCurrentPrice(product, recommendation.city);
+    if (!force && currentPrice !== applied.new_price) {
+      throw httpError(409, `${recommendation.city ? `${recommendation.city} price` : 'Product price'} has changed to ${currentPrice} since this recommendation was applied; pass force to revert anyway`);
+    }
+
+    const history = await this.changeProductPrice(product, applied.old_price, {
+      source: 'revert',
+      city: recommendation.city || null,
+      recommendation_id: recommendation._id,
+      reverts: applied._id,
+      changed_by: revertedBy
+    });
+
+    // Back to where it was before being applied, so it can be re-applied while valid
+    recommendation.status = recommendation.reviewed_at ? 'approved' : 'generated';
+    recommendation.reverted_at = history.changed_at;
+    recommendation.reverted_by = revertedBy;
+    await recommendation.save();
+
+    return { recommendation, product, history };
+  }
+
+  /**
+   * Fallback pricing logic when Python model fails
+   */
+  buildFallbackRecommendations(products) {
+    return products.map(product => {
+      const currentPrice = product.current_price || 25.0;
+      const stockLevel = product.stock_level || 100;
+      const demandScore = product.demand_score || 50;
+      const daysLeft = product.days_left || 7;
+
+      // Rule-based pricing logic
+      let priceMultiplier = 1.0;
+      let reason = 'Current price is optimal';
+
+      // High demand adjustment
+      if (demandScore > 70) {
+        priceMultiplier *= 1.05; // 5% increase
+        reason = 'High demand detected - price increase recommended';
+      } else if (demandScore < 30) {
+        priceMultiplier *= 0.95; // 5% decrease
+        reason = 'Low demand - price reduction to boost sales';
+      }
+
+      // Stock level adjustment
+      if (stockLevel < 50) {
+        priceMultiplier *= 1.03; // 3% increase for low stock
+        reason = 'Low stock levels - price increase to manage demand';
+      } else if (stockLevel > 200) {
+        priceMultiplier *= 0.97; // 3% decrease for high stock
+        reason = 'High inventory levels - price reduction to clear stock';
+      }
+
+      // Expiry adjustment
+      if (daysLeft <= 2) {
+        priceMultiplier *= 0.80; // 20% decrease for near expiry
+        reason = 'Product nearing expiry - urgent price reduction';
+      } else if (daysLeft <= 5) {
+        priceMultiplier *= 0.90; // 10% decrease
+        reason = 'Product nearing expiry - price reduction to clear stock';
+      }
+
+      const recommendedPrice = currentPrice * priceMultiplier;
+      const priceChange = ((recommendedPrice - currentPrice) / currentPrice * 100);
+
+      return {
+        product_id: product.product_id,
+        product_name: product.product_name,
+        category: product.category,
+        current_price: currentPrice,
+        recommended_price: Math.round(recommendedPrice * 100) / 100,
+        price_change_percentage: Math.round(priceChange * 100) / 100,
+        demand_score: demandScore,
+        stock_level: stockLevel,
+        days_left: daysLeft,
+        weekday: product.weekday || new Date().toLocaleDateString('en-US', { weekday: 'long' }),
+        season: this.getProductSeason(product),
+        confidence_score: 0.75, // Lower confidence for rule-based
+        recommendation_reason: reason,
+        model_version: 'fallback-1.0',
+        created_at: new Date(),
+        valid_until: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new PricingService();
@@ -0,0 +1,349 @@
+const { ScheduledTask, TaskRun, Alert, Product, City, PriceRecommendation, MarkdownPlan } = require('../models');
+const forecastJobService = require('./forecastJobService');
+const pricingService = require('./pricingService');
+const elasticityService = require('./elasticityService');
+const markdownService = require('./markdownService');
+const { getNextRun, isValidCron } = require('../utils/cron');
+
+const TICK_INTERVAL_MS = 60 * 1000; // cron has minute resolution
+
+// Seeded on first start so forecasts and prices refresh without any setup
+const DEFAULT_TASKS = [
+  {
+    name: 'nightly-demand-forecast',
+    task_type: 'demand_forecast',
+    cron: '0 2 * * *',
+    options: { forecast_days: 7 },
+    description: 'Regenerate demand forecasts for every active product and city'
+  },
+  {
+    name: 'price-refresh',
+    task_type: 'price_refresh',
+    cron: '0 * * * *',
+    options: { refresh_before_hours: 2 },
+    description: 'Refresh price recommendations that are missing or about to expire'
+  },
+  {
+    name: 'weekly-elasticity-estimation',
+    task_type: 'elasticity_estimation',
+    cron: '0 3 * * 0',
+    options: { lookback_days: 180 },
+    description: 'Re-estimate price elasticities from price history and demand actuals'
+  },
+  {
+    name: 'daily-markdowns',
+    task_type: 'markdown_planning',
+    cron: '0 6 * * *',
+    options: { window_days: 5 },
+    description: 'Plan markdowns for perishables near expiry and generate today\'s markdown prices'
+  }
+];
+
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = new Set();
+    this.handlers = {
+      demand_forecast: (task) => this.runDemandForecast(task),
+      price_refresh: (task) => this.runPriceRefresh(task),
+      elasticity_estimation: (task) => this.runElasticityEstimation(task),
+      markdown_planning: (task) => markdownService.runDaily(task.options || {})
+    };
+  }
+
+  /**
+   * Seed the default tasks and start checking for due tasks every minute
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      await this.ensureDefaultTasks();
+    } catch (error) {
+      console.error('Failed to set up scheduled tasks:', error.message);
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    console.log('Scheduler started');
+  }
+
+  /**
+   * Stop checking for due tasks; tasks already running are left to finish
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create the default tasks that don't exist yet and fill in missing next run times
+   */
+  async ensureDefaultTasks() {
+    for (const task of DEFAULT_TASKS) {
+      await ScheduledTask.updateOne(
+        { name: task.name },
+        { $setOnInsert: { ...task, next_run_at: getNextRun(task.cron) } },
+        { upsert: true }
+      );
+    }
+
+    const unscheduled = await ScheduledTask.find({ enabled: true, next_run_at: null });
+    for (const task of unscheduled) {
+      task.next_run_at = getNextRun(task.cron);
+      await task.save();
+    }
+  }
+
+  /**
+   * Run every enabled task whose next run time has passed
+   */
+  async tick() {
+    try {
+      const dueTasks = await ScheduledTask.find({
+        enabled: true,
+        next_run_at: { $lte: new Date() }
+      });
+
+      for (const task of dueTasks) {
+        // Schedule the next run first so a slow task isn't started twice
+        task.next_run_at = getNextRun(task.cron);
+        await task.save();
+        await this.runTask(task, 'schedule');
+      }
+    } catch (error) {
+      console.error('Scheduler tick failed:', error.message);
+    }
+  }
+
+  /**
+   * Start a task in the background and return its run record, or null if
+   * the task is still running from a previous trigger
+   */
+  async runTask(task, trigger = 'manual') {
+    const handler = this.handlers[task.task_type];
+    if (!handler) {
+      throw new Error(`Unknown task type: ${task.task_type}`);
+    }
+
+    if (this.running.has(task.name)) {
+      console.log(`Skipping ${task.name}, previous run still in progress`);
+      return null;
+    }
+
+    const run = await TaskRun.create({
+      task_name: task.name,
+      task_type: task.task_type,
+      trigger,
+      started_at: new Date()
+    });
+
+    this.running.add(task.name);
+    this.executeTask(task, handler, run)
+      .catch(error => console.error(`Failed to record run of ${task.name}:`, error.message))
+      .finally(() => this.running.delete(task.name));
+
+    return run;
+  }
+
+  /**
+   * Run a task's handler, recording the outcome and raising an alert if it fails
+   */
+  async executeTask(task, handler, run) {
+    let status = 'completed';
+    try {
+      const { summary, errors = [] } = await handler(task);
+      run.summary = summary;
+      run.run_errors = errors;
+
+      if (errors.length > 0) {
+        await this.raiseAlert(task, 'warning', `${task.name} completed with errors`, errors.join('; '), run);
+      }
+
+    } catch (error) {
+      status = 'failed';
+      run.run_errors = [...run.run_errors, error.message];
+      console.error(`Scheduled task ${task.name} failed:`, error);
+      await this.raiseAlert(task, 'critical', `${task.name} failed`, error.message, run);
+    }
+
+    const finishedAt = new Date();
+    run.status = status;
+    run.finished_at = finishedAt;
+    run.duration_ms = finishedAt - run.started_at;
+    await run.save();
+
+    await ScheduledTask.updateOne(
+      { name: task.name },
+      { $set: { last_run_at: run.started_at, last_status: status } }
+    );
+  }
+
+  /**
+   * Store an alert for the dashboard
+   */
+  async raiseAlert(task, severity, title, message, run) {
+    try {
+      await Alert.create({
+        type: 'scheduled_task',
+        severity,
+        title,
+        message,
+        source: task.name,
+        details: { task_type: task.task_type, task_run_id: run._id }
+      });
+    } catch (error) {
+      console.error('Failed to store alert:', error.message);
+    }
+  }
+
+  /**
+   * Forecast every active product for its cities (or all active cities if it
+   * lists none). Products sharing the same cities go into one forecast job.
+   */
+  async runDemandForecast(task) {
+    const { forecast_days = 7, seed = null } = task.options || {};
+
+    const [products, cities] = await Promise.all([
+      Product.find({ is_active: true }).select('product_id product_name category cities'),
+      City.find({ is_active: true }).select('name')
+    ]);
+
+    if (products.length === 0) {
+      return { summary: { products: 0, jobs: [] }, errors: ['No active products to forecast'] };
+    }
+
+    const activeCities = cities.map(city => city.name);
+    const groups = new Map();
+    products.forEach(product => {
+      const productCities = (product.cities || []).map(city => city.city_name).filter(Boolean);
+      const groupCities = productCities.length > 0 ? [...new Set(productCities)].sort() : activeCities;
+      const key = groupCities.join('|');
+
+      if (!groups.has(key)) groups.set(key, { cities: groupCities, products: [] });
+      groups.get(key).products.push({
+        product_id: product.product_id,
+        product_name: product.product_name,
+        category: product.category
+      });
+    });
+
+    const jobs = [];
+    const errors = [];
+    for (const group of groups.values()) {
+      const job = await forecastJobService.enqueue(
+        {
+          products: group.products,
+          forecast_days,
+          cities: group.cities,
+          seed
+        },
+        { requested_by: `scheduler:${task.name}` }
+      );
+
+      const finished = await forecastJobService.waitForJob(job.job_id);
+      jobs.push({
+        job_id: job.job_id,
+        run_id: finished ? finished.run_id : null,
+        status: finished ? finished.status : 'unknown',
+        products: group.products.length,
+        cities: group.cities.length,
+        predictions: finished ? finished.progress.total_predictions : 0
+      });
+
+      if (!finished || finished.status !== 'completed') {
+        errors.push(`Forecast job ${job.job_id} ${finished ? finished.status : 'was lost'}`);
+      } else if (finished.job_errors.length > 0) {
+        errors.push(...finished.job_errors);
+      }
+    }
+
+    if (jobs.every(job => job.status !== 'completed')) {
+      throw new Error(`All forecast jobs failed: ${errors.join('; ')}`);
+    }
+
+    return {
+      summary: {
+        products: products.length,
+        jobs,
+        total_predictions: jobs.reduce((sum, job) => sum + job.predictions, 0)
+      },
+      errors
+    };
+  }
+
+  /**
+   * Regenerate recommendations for active products whose latest
+   * recommendation is missing or expires within refresh_before_hours.
+   * Products on an active markdown plan are priced by the plan instead.
+   */
+  async runPriceRefresh(task) {
+    const { refresh_before_hours = 2 } = task.options || {};
+    const refreshBefore = new Date(Date.now() + refresh_before_hours * 60 * 60 * 1000);
+    const expired = await pricingService.expireStaleRecommendations();
+
+    const markdownProducts = await MarkdownPlan.distinct('product_id', { status: 'active', city: null });
+    const products = await Product.find({ is_active: true, product_id: { $nin: markdownProducts } });
+    const latest = await PriceRecommendation.aggregate([
+      { $match: { product_id: { $in: products.map(product => product.product_id) }, city: null } },
+      { $sort: { created_at: -1 } },
+      { $group: { _id: '$product_id', valid_until: { $first: '$valid_until' } } }
+    ]);
+    const validUntil = new Map(latest.map(rec => [rec._id, rec.valid_until]));
+
+    const stale = products.filter(product => {
+      const until = validUntil.get(product.product_id);
+      return !until || until <= refreshBefore;
+    });
+
+    if (stale.length === 0) {
+      return { summary: { checked: products.length, refreshed: 0, expired } };
+    }
+
+    const { prediction, used_fallback } = await pricingService.generateRecommendations(
+      stale.map(product => pricingService.toPricingInput(product))
+    );
+
+    return {
+      summary: {
+        checked: products.length,
+        refreshed: prediction.total_recommendations,
+        expired,
+        used_fallback
+      },
+      errors: used_fallback ? ['Pricing model unavailable, used fallback pricing'] : []
+    };
+  }
+
+  /**
+   * Re-estimate price elasticities over the task's lookback window
+   */
+  async runElasticityEstimation(task) {
+    const { lookback_days = 180 } = task.options || {};
+    const summary = await elasticityService.estimate({ lookback_days });
+
+    return {
+      summary,
+      errors: summary.estimated === 0 ? ['No price changes with demand actuals to estimate elasticity from'] : []
+    };
+  }
+
+  /**
+   * Validate a cron expression for a task
+   */
+  isValidCron(expression) {
+    return isValidCron(expression);
+  }
+
+  /**
+   * Task types the scheduler knows how to run
+   */
+  getTaskTypes() {
+    return Object.keys(this.handlers);
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulerService();
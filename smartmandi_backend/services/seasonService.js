@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const holidayService = require('./holidayService');
+
+const SEASON_FILE = process.env.SEASON_CALENDAR_FILE || path.join(__dirname, '../data/seasons.json');
+
+class SeasonService {
+  constructor() {
+    this.config = null;
+  }
+
+  /**
+   * Read the season calendar shared with the model service (cached after first read)
+   */
+  loadConfig() {
+    if (!this.config) {
+      this.config = JSON.parse(fs.readFileSync(SEASON_FILE, 'utf8'));
+    }
+    return this.config;
+  }
+
+  /**
+   * Season names recommendations use
+   */
+  getSeasons() {
+    return this.loadConfig().seasons;
+  }
+
+  /**
+   * State of a city from the holiday calendar file, or null
+   */
+  getState(city) {
+    if (!city) return null;
+    try {
+      return holidayService.loadFileCalendar().city_states[city] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Season of a date, using the city's regional calendar when it has one
+   */
+  getSeason(date = new Date(), city = null) {
+    const config = this.loadConfig();
+    const month = date.getMonth() + 1; // 1-12
+    const months = config.regions[this.getState(city)] || config.months;
+
+    return config.seasons.find(season => (months[season] || []).includes(month)) || config.seasons[0];
+  }
+
+  /**
+   * Canonical name of a season (case-insensitive, aliases such as Rainy
+   * resolved), or null if it isn't a known season
+   */
+  normalizeSeason(value) {
+    if (typeof value !== 'string') return null;
+    const config = this.loadConfig();
+    const name = value.trim().toLowerCase();
+
+    const season = config.seasons.find(candidate => candidate.toLowerCase() === name);
+    if (season) return season;
+
+    const alias = Object.keys(config.aliases).find(candidate => candidate.toLowerCase() === name);
+    return alias ? config.aliases[alias] : null;
+  }
+
+  /**
+   * Error message for an invalid season, or null if it is valid or missing
+   */
+  validateSeason(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (this.normalizeSeason(value)) return null;
+    return `Unknown season '${value}'. Allowed: ${this.getSeasons().join(', ')}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new SeasonService();
@@ -0,0 +1,249 @@
+const { DemandForecast, DemandActual, Product, PricingGuardrail } = require('../models');
+const demandForecastService = require('./demandForecastService');
+const elasticityService = require('./elasticityService');
+const guardrailService = require('./guardrailService');
+const costService = require('./costService');
+const competitorService = require('./competitorService');
+const pricingService = require('./pricingService');
+const { httpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no reliable estimate exists: revenue stays flat as price moves
+const DEFAULT_ELASTICITY = -1;
+
+// Days of actuals averaged when there are no forecasts
+const ACTUALS_LOOKBACK_DAYS = 28;
+
+const MAX_CANDIDATES = 50;
+
+// Longest horizon a simulation runs over
+const MAX_SIMULATION_DAYS = 365;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class SimulationService {
+  /**
+   * Candidate prices from an explicit list, or a min/max range split into
+   * steps, defaulting to -30%..+30% of the current price in 5% steps
+   */
+  buildCandidates(currentPrice, { prices, min_price, max_price, steps }) {
+    let candidates;
+
+    if (Array.isArray(prices) && prices.length > 0) {
+      if (prices.length > MAX_CANDIDATES) {
+        throw httpError(400, `At most ${MAX_CANDIDATES} candidate prices can be simulated`);
+      }
+      candidates = prices.map(Number);
+    } else {
+      const min = min_price !== undefined ? Number(min_price) : currentPrice * 0.7;
+      const max = max_price !== undefined ? Number(max_price) : currentPrice * 1.3;
+      const count = steps !== undefined ? Number(steps) : 13;
+      if (!Number.isInteger(count) || count < 2 || count > MAX_CANDIDATES) {
+        throw httpError(400, `steps must be a whole number from 2 to ${MAX_CANDIDATES}`);
+      }
+      candidates = Array.from({ length: count }, (_, index) => min + (max - min) * index / (count - 1));
+    }
+
+    if (candidates.some(price => isNaN(price) || price <= 0)) {
+      throw httpError(400, 'Candidate prices must be positive numbers');
+    }
+
+    return [...new Set(candidates.map(round2))].sort((a, b) => a - b);
+  }
+
+  /**
+   * Expected units per day at the current price for the next `days` days.
+   * Uses current demand forecasts (summed over cities unless one is given),
+   * filling days past the forecast horizon with the forecast's daily average.
+   * Without forecasts, the average of recent actuals is used.
+   */
+  async getBaselineDemand(productId, city, days) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const horizonEnd = new Date(today.getTime() + days * DAY_MS);
+
+    const forecastFilter = demandForecastService.applyCurrentFilter({
+      product_id: productId,
+      forecast_date: { $gte: today, $lt: horizonEnd }
+    });
+    if (city) forecastFilter.city = city;
+
+    const forecasts = await DemandForecast.find(forecastFilter).select('forecast_date predicted_units').lean();
+
+    if (forecasts.length > 0) {
+      const byDay = new Map();
+      forecasts.forEach(forecast => {
+        const day = forecast.forecast_date.getTime();
+        byDay.set(day, (byDay.get(day) || 0) + forecast.predicted_units);
+      });
+      const average = [...byDay.values()].reduce((sum, units) => sum + units, 0) / byDay.size;
+
+      const daily = Array.from({ length: days }, (_, index) => {
+        const units = byDay.get(today.getTime() + index * DAY_MS);
+        return units !== undefined ? units : average;
+      });
+      return { source: 'forecast', forecast_days: byDay.size, daily };
+    }
+
+    const actualsFilter = {
+      product_id: productId,
+      sale_date: { $gte: new Date(today.getTime() - ACTUALS_LOOKBACK_DAYS * DAY_MS), $lt: today }
+    };
+    if (city) actualsFilter.city = city;
+
+    const actuals = await DemandActual.find(actualsFilter).select('units_sold').lean();
+    if (actuals.length === 0) return null;
+
+    const average = actuals.reduce((sum, actual) => sum + actual.units_sold, 0) / ACTUALS_LOOKBACK_DAYS;
+    return { source: 'actuals', forecast_days: 0, daily: Array(days).fill(average) };
+  }
+
+  /**
+   * Elasticity to simulate a product with: its most specific reliable
+   * estimate, or the default when there is none
+   */
+  async getElasticity(product, city = null) {
+    const estimates = await elasticityService.getReliableEstimates([product.product_id], [product.category]);
+    const estimate = elasticityService.resolveElasticity(estimates, product.product_id, product.category, city);
+
+    return {
+      value: estimate ? estimate.elasticity : DEFAULT_ELASTICITY,
+      source: estimate ? estimate.scope : 'default',
+      city: estimate ? estimate.city : null
+    };
+  }
+
+  /**
+   * Sell stock down day by day at one candidate price
+   */
+  simulatePrice(price, { currentPrice, basePrice, elasticity, baseline, stock, cost, policy, mrp, competitor }) {
+    const factor = Math.pow(price / currentPrice, elasticity);
+
+    let remaining = stock;
+    let demand = 0;
+    let stockoutDay = null;
+    baseline.forEach((units, index) => {
+      const dayDemand = units * factor;
+      demand += dayDemand;
+      remaining -= Math.min(remaining, dayDemand);
+      if (remaining <= 0 && stockoutDay === null) stockoutDay = index + 1;
+    });
+
+    const unitsSold = stock - remaining;
+    const { price: allowedPrice, applied } = guardrailService.clampPrice(price, policy, {
+      base_price: basePrice,
+      cost_price: cost,
+      mrp,
+      competitor
+    });
+
+    return {
+      price,
+      price_change_percentage: round2((price - currentPrice) / currentPrice * 100),
+      expected_demand: round2(demand),
+      expected_units: round2(unitsSold),
+      expected_revenue: round2(unitsSold * price),
+      expected_margin: cost !== null ? round2(unitsSold * (price - cost)) : null,
+      margin_pct: costService.marginPct(price, cost),
+      leftover_stock: round2(remaining),
+      leftover_cost: cost !== null ? round2(remaining * cost) : null,
+      sell_through_pct: stock > 0 ? round2(unitsSold / stock * 100) : null,
+      stockout_day: stockoutDay,
+      within_guardrails: applied.length === 0,
+      guardrail_price: allowedPrice,
+      guardrails_applied: applied.map(rule => rule.rule)
+    };
+  }
+
+  /**
+   * Simulate units, revenue, margin and leftover stock at expiry for a set
+   * of candidate prices, using demand forecasts and the product's elasticity
+   *
+   * @param {Object} params - { product_id, city, prices | min_price/max_price/steps, days_left }
+   * @returns {Object} Inputs used, one scenario per price and the best prices
+   */
+  async simulate(params) {
+    const product = await Product.findOne({ product_id: params.product_id });
+    if (!product) {
+      throw httpError(404, 'Product not found');
+    }
+
+    const city = params.city || null;
+    const input = pricingService.toPricingInput(product, city);
+    if (!(input.current_price > 0)) {
+      throw httpError(400, 'Product has no current price to simulate from');
+    }
+
+    let horizon;
+    if (params.days_left !== undefined) {
+      horizon = Number(params.days_left);
+      if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_SIMULATION_DAYS) {
+        throw httpError(400, `days_left must be a whole number from 1 to ${MAX_SIMULATION_DAYS}`);
+      }
+    } else {
+      horizon = Math.min(MAX_SIMULATION_DAYS, Math.max(1, product.days_left || 1));
+    }
+    const candidates = this.buildCandidates(input.current_price, params);
+
+    const baseline = await this.getBaselineDemand(product.product_id, city, horizon);
+    if (!baseline) {
+      throw httpError(422, 'No demand forecasts or recent actuals for this product');
+    }
+
+    // Guardrails are checked with the same inputs real recommendations get
+    const [elasticity, guardrails, basePrice, competitor] = await Promise.all([
+      this.getElasticity(product, city),
+      PricingGuardrail.find({ is_active: true }),
+      guardrailService.getBasePrice(product, city),
+      competitorService.getProductSummary(product.product_id, city)
+    ]);
+
+    const cost = costService.getEffectiveCost(product, city);
+    const context = {
+      currentPrice: input.current_price,
+      basePrice,
+      elasticity: elasticity.value,
+      baseline: baseline.daily,
+      stock: input.stock_level || 0,
+      cost,
+      policy: guardrailService.resolvePolicy(guardrails, product.product_id, product.category),
+      mrp: product.mrp,
+      competitor: competitor.summary
+    };
+
+    const scenarios = candidates.map(price => this.simulatePrice(price, context));
+    const allowed = scenarios.filter(scenario => scenario.within_guardrails);
+    const best = (field) => allowed.reduce((top, scenario) =>
+      (top === null || scenario[field] > top[field] ? scenario : top), null);
+
+    return {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      category: product.category,
+      city,
+      current_price: input.current_price,
+      cost_price: cost,
+      competitor_prices: competitor.summary,
+      stock_level: context.stock,
+      days_left: horizon,
+      elasticity,
+      demand: {
+        source: baseline.source,
+        forecast_days: baseline.forecast_days,
+        daily_units_at_current_price: baseline.daily.map(round2)
+      },
+      current: this.simulatePrice(input.current_price, context),
+      scenarios,
+      best: {
+        revenue: best('expected_revenue'),
+        margin: cost !== null ? best('expected_margin') : null,
+        // Highest allowed price that still sells all stock before expiry
+        clearance: allowed.filter(scenario => scenario.leftover_stock === 0).pop() || null
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SimulationService();
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+const NORMALS_FILE = process.env.WEATHER_NORMALS_FILE || path.join(__dirname, '../data/weather_normals.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local stand-in for a weather API. Returns each city's monthly climate
+ * normals from a JSON file as daily values, so forecasts get a weather
+ * signal without network access. Cities missing from the file get no data.
+ */
+class WeatherFileProvider {
+  constructor() {
+    this.name = 'file';
+    this.normals = null;
+  }
+
+  /**
+   * Read the normals file (cached after first read)
+   */
+  loadNormals() {
+    if (!this.normals) {
+      this.normals = JSON.parse(fs.readFileSync(NORMALS_FILE, 'utf8')).cities || {};
+    }
+    return this.normals;
+  }
+
+  /**
+   * Daily weather for each city from start for the given number of days
+   *
+   * @returns {Array} [{ city, date, temperature_c, rainfall_mm }]
+   */
+  async getDaily(cities, start, days) {
+    const normals = this.loadNormals();
+    const rows = [];
+
+    cities.forEach(city => {
+      const cityNormals = normals[city];
+      if (!cityNormals) return;
+
+      for (let day = 0; day < days; day++) {
+        const date = new Date(start.getTime() + day * DAY_MS);
+        const month = date.getUTCMonth();
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+
+        rows.push({
+          city,
+          date,
+          temperature_c: cityNormals.temperature_c[month],
+          rainfall_mm: Math.round(cityNormals.rainfall_mm[month] / daysInMonth * 10) / 10
+        });
+      }
+    });
+
+    return rows;
+  }
+}
+
+// Export singleton instance
+module.exports = new WeatherFileProvider();
@@ -0,0 +1,232 @@
+const { WeatherObservation, City } = require('../models');
+const weatherFileProvider = require('./weatherFileProvider');
+const { httpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Provider used to fill days without stored observations
+const DEFAULT_PROVIDER = process.env.WEATHER_PROVIDER || 'file';
+
+// Cities the model forecasts when a request doesn't list any
+const DEFAULT_CITIES = ['Mumbai', 'Delhi', 'Bangalore', 'Chennai', 'Pune'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+class WeatherService {
+  constructor() {
+    this.providers = {};
+    this.registerProvider(weatherFileProvider);
+  }
+
+  /**
+   * Add a weather provider. Providers have a `name` and a
+   * getDaily(cities, start, days) method resolving to
+   * [{ city, date, temperature_c, rainfall_mm }].
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Names of the registered providers and the default one
+   */
+  getProviders() {
+    return { providers: Object.keys(this.providers), default: DEFAULT_PROVIDER };
+  }
+
+  /**
+   * Get a provider by name, defaulting to WEATHER_PROVIDER
+   */
+  getProvider(name = DEFAULT_PROVIDER) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw httpError(400, `Unknown weather provider: ${name}. Available: ${Object.keys(this.providers).join(', ')}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Parse a date into the UTC midnight of that day, or null if invalid
+   */
+  toDay(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Validate one incoming weather row and normalize its field names
+   */
+  normalizeRow(row, knownCities) {
+    const city = row.city;
+    const day = this.toDay(row.date);
+    const temperatureValue = [row.temperature_c, row.temperature, row.temp].find(value => value !== undefined && value !== '');
+    const rainfallValue = [row.rainfall_mm, row.rainfall, row.rain].find(value => value !== undefined && value !== '');
+    const temperature = Number(temperatureValue);
+    const rainfall = rainfallValue === undefined ? 0 : Number(rainfallValue);
+
+    if (!city) return { error: 'city is required' };
+    if (!knownCities.has(city)) return { error: `Unknown city: ${city}` };
+    if (!day) return { error: 'A valid date is required' };
+    if (temperatureValue === undefined || isNaN(temperature)) return { error: 'temperature_c must be a number' };
+    if (isNaN(rainfall) || rainfall < 0) return { error: 'rainfall_mm must be a non-negative number' };
+
+    return { observation: { city, date: day, temperature_c: temperature, rainfall_mm: rainfall } };
+  }
+
+  /**
+   * Upsert observations by city and day
+   */
+  async saveObservations(observations, source) {
+    if (observations.length === 0) return;
+
+    const now = new Date();
+    await WeatherObservation.bulkWrite(observations.map(observation => ({
+      updateOne: {
+        filter: { city: observation.city, date: observation.date },
+        update: {
+          $set: { ...observation, source, updated_at: now },
+          $setOnInsert: { created_at: now }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Store daily weather rows for known cities; invalid rows are skipped and reported
+   */
+  async importObservations(rows, source = 'api') {
+    const cities = await City.find({}).select('name');
+    const knownCities = new Set(cities.map(city => city.name));
+
+    const invalid = [];
+    const observations = [];
+    rows.forEach((row, index) => {
+      const { observation, error } = this.normalizeRow(row, knownCities);
+      if (error) {
+        invalid.push({ index, row, reason: error });
+      } else {
+        observations.push(observation);
+      }
+    });
+
+    await this.saveObservations(observations, source);
+
+    return { received: rows.length, recorded: observations.length, invalid };
+  }
+
+  /**
+   * Fetch daily weather from a provider and store it
+   *
+   * @param {Object} options - { provider, cities, start_date, days }
+   */
+  async syncFromProvider({ provider: providerName, cities, start_date, days = 7 } = {}) {
+    const provider = this.getProvider(providerName);
+    const start = this.toDay(start_date || new Date());
+    const targetCities = cities && cities.length > 0 ? cities : await this.getActiveCityNames();
+
+    const rows = await provider.getDaily(targetCities, start, parseInt(days));
+    await this.saveObservations(rows.map(row => ({ ...row, date: this.toDay(row.date) })), `provider:${provider.name}`);
+
+    const covered = new Set(rows.map(row => row.city));
+    return {
+      provider: provider.name,
+      recorded: rows.length,
+      cities: [...covered],
+      missing_cities: targetCities.filter(city => !covered.has(city))
+    };
+  }
+
+  /**
+   * Names of active cities, or the model's default cities if none are stored
+   */
+  async getActiveCityNames() {
+    const cities = await City.find({ is_active: true }).select('name');
+    return cities.length > 0 ? cities.map(city => city.name) : DEFAULT_CITIES;
+  }
+
+  /**
+   * Weather by city and day ({ city: { 'YYYY-MM-DD': { temperature_c, rainfall_mm, source } } })
+   * for the given days. Stored observations win; days without one are
+   * filled from the default provider. Weather is optional, so failures
+   * return what was found.
+   */
+  async getWeatherByDay(cities, start, days) {
+    const weather = {};
+    const add = (row, source) => {
+      const key = this.toDay(row.date).toISOString().slice(0, 10);
+      weather[row.city] = weather[row.city] || {};
+      if (!weather[row.city][key]) {
+        weather[row.city][key] = { temperature_c: row.temperature_c, rainfall_mm: row.rainfall_mm, source };
+      }
+    };
+
+    try {
+      const stored = await WeatherObservation.find({
+        city: { $in: cities },
+        date: { $gte: start, $lt: new Date(start.getTime() + days * DAY_MS) }
+      }).lean();
+      stored.forEach(row => add(row, row.source));
+    } catch (error) {
+      console.error('Stored weather unavailable:', error.message);
+    }
+
+    try {
+      const provider = this.getProvider();
+      const filled = await provider.getDaily(cities, start, days);
+      filled.forEach(row => add(row, `provider:${provider.name}`));
+    } catch (error) {
+      console.error('Weather provider unavailable:', error.message);
+    }
+
+    return weather;
+  }
+
+  /**
+   * Weather for a demand forecast of forecastDays from startDate (tomorrow
+   * when not given, like the model)
+   */
+  async getWeatherForForecast(cities, forecastDays, startDate = null) {
+    let forecastCities = cities;
+    if (!forecastCities || forecastCities.length === 0) {
+      forecastCities = await this.getActiveCityNames().catch(() => DEFAULT_CITIES);
+    }
+
+    const start = this.toDay(startDate || new Date());
+    // One extra day either side covers the model's local dates
+    return this.getWeatherByDay(forecastCities, new Date(start.getTime() - DAY_MS), parseInt(forecastDays) + 2);
+  }
+
+  /**
+   * Today's weather for pricing each product: its city's weather, or the
+   * average over active cities for product-wide prices
+   *
+   * @returns {Function} product => { temperature_c, rainfall_mm } or null
+   */
+  async getWeatherForPricing(products) {
+    const today = this.toDay(new Date());
+    const key = today.toISOString().slice(0, 10);
+    const productCities = products.map(product => product.city).filter(Boolean);
+    const activeCities = await this.getActiveCityNames().catch(() => DEFAULT_CITIES);
+
+    const weather = await this.getWeatherByDay([...new Set([...productCities, ...activeCities])], today, 1);
+    const days = activeCities.map(city => weather[city] && weather[city][key]).filter(Boolean);
+    const average = days.length > 0
+      ? {
+        temperature_c: round1(days.reduce((sum, day) => sum + day.temperature_c, 0) / days.length),
+        rainfall_mm: round1(days.reduce((sum, day) => sum + day.rainfall_mm, 0) / days.length)
+      }
+      : null;
+
+    return (product) => {
+      const cityDay = product.city && weather[product.city] ? weather[product.city][key] : null;
+      if (cityDay) return { temperature_c: cityDay.temperature_c, rainfall_mm: cityDay.rainfall_mm };
+      return average;
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WeatherService();
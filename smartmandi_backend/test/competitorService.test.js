@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const competitorService = require('../services/competitorService');
+const { Product, CompetitorPrice } = require('../models');
+
+test('importPrices resolves product names with one query', async (t) => {
+  const query = {
+    collation: () => query,
+    select: () => query,
+    lean: async () => [{ product_id: 'P1', product_name: 'Amul Milk 1L', category: 'Dairy' }]
+  };
+  const find = t.mock.method(Product, 'find', () => query);
+  const bulkWrite = t.mock.method(CompetitorPrice, 'bulkWrite', async () => ({}));
+
+  const result = await competitorService.importPrices([
+    { product_name: 'amul  milk 1l', competitor: 'BigBasket', price: 60 },
+    { product: 'Amul Milk 1L', competitor: 'Blinkit', price: 62 },
+    { product_name: 'Unknown Item', competitor: 'Blinkit', price: 10 },
+    { product_id: 'P2', competitor: 'Zepto', price: 30 }
+  ]);
+
+  assert.equal(find.mock.callCount(), 1);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { product_name: { $in: ['amul milk 1l', 'Amul Milk 1L', 'Unknown Item'] } });
+  assert.equal(result.recorded, 3);
+  assert.deepEqual(result.invalid.map(row => row.index), [2]);
+  const ops = bulkWrite.mock.calls[0].arguments[0];
+  assert.deepEqual(ops.map(op => op.updateOne.filter.product_id), ['P1', 'P1', 'P2']);
+  assert.equal(ops[0].updateOne.update.$set.product_name, 'Amul Milk 1L');
+});
+
+test('importPrices skips the product query when every row has a product_id', async (t) => {
+  const find = t.mock.method(Product, 'find', () => { throw new Error('unexpected query'); });
+  t.mock.method(CompetitorPrice, 'bulkWrite', async () => ({}));
+
+  const result = await competitorService.importPrices([{ product_id: 'P1', competitor: 'Zepto', price: 30 }]);
+  assert.equal(find.mock.callCount(), 0);
+  assert.equal(result.recorded, 1);
+});
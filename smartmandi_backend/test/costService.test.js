@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const costService = require('../services/costService');
+
+test('marginPct is gross margin in percent of the price', () => {
+  assert.equal(costService.marginPct(100, 80), 20);
+  assert.equal(costService.marginPct(50, 60), -20);
+});
+
+test('marginPct is null without a cost or a positive price', () => {
+  assert.equal(costService.marginPct(100, null), null);
+  assert.equal(costService.marginPct(100, undefined), null);
+  assert.equal(costService.marginPct(0, 10), null);
+});
+
+test('minPriceForMargin is the inverse of marginPct', () => {
+  assert.equal(costService.minPriceForMargin(80, 20), 100);
+  [[45, 10], [12.5, 35], [100, 0]].forEach(([cost, pct]) => {
+    assert.equal(costService.marginPct(costService.minPriceForMargin(cost, pct), cost), pct);
+  });
+});
+
+const product = (overrides = {}) => ({
+  stock_level: 0,
+  cities: [],
+  batches: [],
+  ...overrides
+});
+
+test('addStock adds received units product-wide and to the batch city', () => {
+  const stocked = product({ stock_level: 10, cities: [{ city_name: 'Pune', stock_level: 10 }] });
+  costService.addStock(stocked, 5, 'Pune');
+  costService.addStock(stocked, 3, 'Mumbai');
+  assert.equal(stocked.stock_level, 18);
+  assert.equal(stocked.cities.find(city => city.city_name === 'Pune').stock_level, 15);
+  assert.equal(stocked.cities.find(city => city.city_name === 'Mumbai').stock_level, 3);
+});
+
+test('reconcileBatches writes off expired batches and takes their units off stock', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const stocked = product({
+    stock_level: 30,
+    cities: [{ city_name: 'Pune', stock_level: 30 }],
+    batches: [
+      { batch_id: 'B1', city: 'Pune', quantity: 10, cost_price: 20, received_at: new Date('2026-10-01'), expiry_date: new Date('2026-10-18') },
+      { batch_id: 'B2', city: 'Pune', quantity: 20, cost_price: 30, received_at: new Date('2026-10-10'), expiry_date: new Date('2026-10-19') }
+    ]
+  });
+
+  assert.deepEqual(costService.reconcileBatches(stocked, now), { expired_units: 10, sold_units: 0 });
+  assert.equal(stocked.stock_level, 20);
+  assert.equal(stocked.cities[0].stock_level, 20);
+  assert.deepEqual(stocked.batches.map(batch => batch.quantity), [0, 20]);
+  assert.equal(costService.getEffectiveCost(stocked, 'Pune'), 30);
+});
+
+test('reconcileBatches takes sold units off the earliest-expiring batches', () => {
+  const stocked = product({
+    stock_level: 12,
+    batches: [
+      { batch_id: 'B1', city: null, quantity: 10, cost_price: 30, received_at: new Date('2026-10-10'), expiry_date: new Date('2026-11-10') },
+      { batch_id: 'B2', city: null, quantity: 10, cost_price: 20, received_at: new Date('2026-10-12'), expiry_date: new Date('2026-11-01') }
+    ]
+  });
+
+  assert.deepEqual(costService.reconcileBatches(stocked, new Date('2026-10-19')), { expired_units: 0, sold_units: 8 });
+  assert.deepEqual(stocked.batches.map(batch => batch.quantity), [10, 2]);
+  assert.equal(costService.getEffectiveCost(stocked), 28.33);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextRun, isValidCron } = require('../utils/cron');
+
+test('getNextRun finds the next matching minute after from', () => {
+  const next = getNextRun('0 2 * * *', new Date(2026, 0, 10, 1, 30));
+  assert.deepEqual(next, new Date(2026, 0, 10, 2, 0));
+});
+
+test('getNextRun never returns from itself', () => {
+  const next = getNextRun('0 2 * * *', new Date(2026, 0, 10, 2, 0, 30));
+  assert.deepEqual(next, new Date(2026, 0, 11, 2, 0));
+});
+
+test('getNextRun handles steps and ranges', () => {
+  assert.deepEqual(getNextRun('*/15 9-17 * * *', new Date(2026, 0, 10, 9, 16)), new Date(2026, 0, 10, 9, 30));
+  assert.deepEqual(getNextRun('*/15 9-17 * * *', new Date(2026, 0, 10, 17, 50)), new Date(2026, 0, 11, 9, 0));
+});
+
+test('getNextRun treats 0 and 7 as Sunday', () => {
+  // 2026-01-10 is a Saturday
+  const from = new Date(2026, 0, 10, 12, 0);
+  assert.deepEqual(getNextRun('0 3 * * 0', from), new Date(2026, 0, 11, 3, 0));
+  assert.deepEqual(getNextRun('0 3 * * 7', from), new Date(2026, 0, 11, 3, 0));
+});
+
+test('getNextRun matches either day field when both are restricted', () => {
+  // 1st of the month or a Monday; 2026-01-12 is the first Monday after the 10th
+  const next = getNextRun('0 0 1 * 1', new Date(2026, 0, 10, 12, 0));
+  assert.deepEqual(next, new Date(2026, 0, 12, 0, 0));
+});
+
+test('getNextRun reaches the next 29 February', () => {
+  assert.deepEqual(getNextRun('0 0 29 2 *', new Date(2026, 0, 1)), new Date(2028, 1, 29, 0, 0));
+});
+
+test('getNextRun returns null for a date that never comes', () => {
+  assert.equal(getNextRun('0 0 31 2 *', new Date(2026, 0, 1)), null);
+});
+
+test('isValidCron rejects malformed expressions', () => {
+  assert.equal(isValidCron('0 2 * * *'), true);
+  assert.equal(isValidCron('0 2 * *'), false);
+  assert.equal(isValidCron('60 * * * *'), false);
+  assert.equal(isValidCron('a b c d e'), false);
+  assert.equal(isValidCron('0 0 31 2 *'), false);
+});
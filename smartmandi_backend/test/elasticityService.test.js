@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const elasticityService = require('../services/elasticityService');
+
+// Demand following units = scale * price ^ elasticity exactly
+const series = (scale, elasticity, prices) => prices.map(price => ({ price, units: scale * Math.pow(price, elasticity) }));
+
+test('fitLogLog recovers the elasticity of an exact power law', () => {
+  const fit = elasticityService.fitLogLog([series(1000, -1.5, [10, 12, 15, 20])]);
+  assert.equal(fit.elasticity, -1.5);
+  assert.equal(fit.r_squared, 1);
+  assert.equal(fit.observations, 4);
+  assert.equal(fit.distinct_prices, 4);
+});
+
+test('fitLogLog compares prices within each group, not levels across groups', () => {
+  // Each series is elastic on its own, but the pricier one also sells more
+  const fit = elasticityService.fitLogLog([
+    series(100, -2, [10, 11, 12]),
+    series(1e6, -2, [100, 110, 120])
+  ]);
+  assert.equal(fit.elasticity, -2);
+});
+
+test('fitLogLog returns null when the price never changed', () => {
+  assert.equal(elasticityService.fitLogLog([[{ price: 10, units: 5 }, { price: 10, units: 7 }]]), null);
+  assert.equal(elasticityService.fitLogLog([[], [{ price: 10, units: 5 }]]), null);
+});
+
+test('isReliable requires a negative, well determined slope', () => {
+  const fit = { observations: 30, distinct_prices: 3, elasticity: -1.2, standard_error: 0.3 };
+  assert.equal(elasticityService.isReliable(fit), true);
+  assert.equal(elasticityService.isReliable({ ...fit, elasticity: 0.4 }), false);
+  assert.equal(elasticityService.isReliable({ ...fit, standard_error: 1.5 }), false);
+  assert.equal(elasticityService.isReliable({ ...fit, distinct_prices: 1 }), false);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PricingGuardrail } = require('../models');
+const guardrailService = require('../services/guardrailService');
+const costService = require('../services/costService');
+const competitorService = require('../services/competitorService');
+
+const policy = (overrides = {}) => ({
+  min_margin_pct: null,
+  floor_price: null,
+  ceiling_price: null,
+  max_daily_change_pct: null,
+  enforce_mrp: null,
+  approval_threshold_pct: null,
+  competitor_strategy: null,
+  competitor_undercut_pct: null,
+  competitor_band_pct: null,
+  ...overrides
+});
+
+const rules = (result) => result.applied.map(entry => entry.rule);
+
+test('clampPrice leaves a price inside every limit alone', () => {
+  const result = guardrailService.clampPrice(50, policy({ floor_price: 40, ceiling_price: 60 }), { base_price: 50, cost_price: 30, mrp: 70 });
+  assert.equal(result.price, 50);
+  assert.deepEqual(result.applied, []);
+});
+
+test('clampPrice applies the minimum margin as gross margin of the price', () => {
+  const result = guardrailService.clampPrice(85, policy({ min_margin_pct: 20 }), { base_price: 90, cost_price: 80, mrp: null });
+  assert.equal(result.price, 100);
+  assert.deepEqual(rules(result), ['min_margin']);
+  assert.equal(costService.marginPct(result.price, 80), 20);
+});
+
+test('clampPrice limits the move from the base price', () => {
+  const up = guardrailService.clampPrice(130, policy({ max_daily_change_pct: 10 }), { base_price: 100, cost_price: null, mrp: null });
+  const down = guardrailService.clampPrice(70, policy({ max_daily_change_pct: 10 }), { base_price: 100, cost_price: null, mrp: null });
+  assert.equal(up.price, 110);
+  assert.deepEqual(rules(up), ['max_daily_change_increase']);
+  assert.equal(down.price, 90);
+  assert.deepEqual(rules(down), ['max_daily_change_decrease']);
+});
+
+test('clampPrice lets the MRP cap win over the minimum margin', () => {
+  const result = guardrailService.clampPrice(85, policy({ min_margin_pct: 20 }), { base_price: 90, cost_price: 80, mrp: 95 });
+  assert.equal(result.price, 95);
+  assert.deepEqual(rules(result), ['min_margin', 'mrp_cap']);
+});
+
+test('clampPrice skips the MRP cap when the policy turns it off', () => {
+  const result = guardrailService.clampPrice(120, policy({ enforce_mrp: false }), { base_price: 100, cost_price: null, mrp: 110 });
+  assert.equal(result.price, 120);
+});
+
+test('clampPrice positions against competitor prices', () => {
+  const competitor = { min_price: 40, median_price: 50 };
+  const undercut = guardrailService.clampPrice(60, policy({ competitor_strategy: 'undercut', competitor_undercut_pct: 5 }), { base_price: 60, cost_price: null, mrp: null, competitor });
+  const band = guardrailService.clampPrice(60, policy({ competitor_strategy: 'band', competitor_band_pct: 10 }), { base_price: 60, cost_price: null, mrp: null, competitor });
+  assert.equal(undercut.price, 38);
+  assert.equal(band.price, 55);
+  assert.deepEqual(rules(band), ['competitor_band_high']);
+});
+
+test('resolvePolicy lets product settings override category and global ones', () => {
+  const resolved = guardrailService.resolvePolicy([
+    { scope: 'global', min_margin_pct: 5, floor_price: 1 },
+    { scope: 'category', category: 'Dairy', min_margin_pct: 10 },
+    { scope: 'product', product_id: 'P001', min_margin_pct: 15 },
+    { scope: 'category', category: 'Bakery', ceiling_price: 99 }
+  ], 'P001', 'Dairy');
+  assert.equal(resolved.min_margin_pct, 15);
+  assert.equal(resolved.floor_price, 1);
+  assert.equal(resolved.ceiling_price, null);
+  assert.deepEqual(resolved.sources, ['global', 'category:Dairy', 'product:P001']);
+});
+
+test('applyGuardrails flags every recommendation when the policies cannot be loaded', async (t) => {
+  t.mock.method(PricingGuardrail, 'find', () => Promise.reject(new Error('database down')));
+  t.mock.method(guardrailService, 'getStartOfDayPrices', async () => new Map());
+  t.mock.method(competitorService, 'getRecentPrices', async () => new Map());
+
+  const recommendations = [{ product_id: 'P001', category: 'Dairy', current_price: 50, recommended_price: 80, recommendation_reason: 'High demand' }];
+  await guardrailService.applyGuardrails(recommendations);
+
+  assert.equal(recommendations[0].guardrails_unavailable, true);
+  assert.equal(recommendations[0].recommended_price, 80);
+  assert.match(recommendations[0].recommendation_reason, /needs approval/);
+});
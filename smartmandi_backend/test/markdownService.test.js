@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const markdownService = require('../services/markdownService');
+
+test('buildSchedule keeps full price when demand clears the stock', () => {
+  const result = markdownService.buildSchedule({ base_price: 100, stock: 20, baseline: [10, 10, 10], elasticity: -1.5 });
+  assert.deepEqual(result.schedule.map(day => day.discount_pct), [0, 0, 0]);
+  assert.deepEqual(result.schedule.map(day => day.day), [1, 2, 3]);
+  assert.equal(result.expected_waste_units, 0);
+  assert.equal(result.expected_revenue, 2000);
+});
+
+test('buildSchedule discounts just enough to sell the stock before expiry', () => {
+  const result = markdownService.buildSchedule({ base_price: 100, stock: 40, baseline: [10, 10, 10], elasticity: -2 });
+  const discounts = result.schedule.map(day => day.discount_pct);
+  // 30 units at full price need demand x1.33, first reached at a 15% cut (x1.38)
+  assert.equal(discounts[0], 15);
+  assert.equal(result.schedule[0].price, 85);
+  assert.equal(result.expected_waste_units, 0);
+  discounts.slice(1).forEach((discount, index) => assert.ok(discount >= discounts[index]));
+});
+
+test('buildSchedule uses the largest discount when nothing clears the stock', () => {
+  const result = markdownService.buildSchedule({ base_price: 100, stock: 1000, baseline: [10, 10], elasticity: -1 });
+  assert.deepEqual(result.schedule.map(day => day.discount_pct), [50, 50]);
+  assert.equal(result.schedule[0].price, 50);
+  assert.equal(result.expected_waste_units, 960);
+});
+
+test('buildSchedule never goes below the minimum discount and numbers days from start_day', () => {
+  const result = markdownService.buildSchedule({ base_price: 100, stock: 5, baseline: [10, 10], elasticity: -1.5, min_discount_pct: 20, start_day: 3 });
+  assert.deepEqual(result.schedule.map(day => day.discount_pct), [20, 20]);
+  assert.deepEqual(result.schedule.map(day => day.day), [3, 4]);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+process.env.MODEL_REGISTRY_DIR = registryDir;
+const modelRegistryService = require('../services/modelRegistryService');
+
+test.after(() => fs.rmSync(registryDir, { recursive: true, force: true }));
+
+test('resolveFile accepts files in the shipped model directories and the registry', () => {
+  const shipped = modelRegistryService.resolveFile('Model_for_Dynamic_Pricing/model_features.json');
+  assert.equal(shipped, path.join(__dirname, '../../Model_for_Dynamic_Pricing/model_features.json'));
+
+  const uploaded = path.join(registryDir, 'model.pkl');
+  fs.writeFileSync(uploaded, '');
+  assert.equal(modelRegistryService.resolveFile(uploaded), uploaded);
+  assert.equal(modelRegistryService.resolveFile(path.join(registryDir, 'missing.pkl')), null);
+});
+
+test('resolveFile rejects files outside the allowed directories', () => {
+  for (const filePath of ['/etc/passwd', 'smartmandi_backend/.env', 'Model_for_Dynamic_Pricing/../README.md']) {
+    assert.throws(() => modelRegistryService.resolveFile(filePath), { status: 400 });
+  }
+});
+
+test('resolveFile rejects symlinks pointing out of the registry', () => {
+  const link = path.join(registryDir, 'escape.pkl');
+  fs.symlinkSync('/etc/hostname', link);
+  assert.throws(() => modelRegistryService.resolveFile(link), { status: 400 });
+});
+
+test('register refuses an artifact outside the allowed directories', async () => {
+  await assert.rejects(modelRegistryService.register({ model_type: 'pricing', artifact_path: '/etc/passwd' }), { status: 400 });
+});
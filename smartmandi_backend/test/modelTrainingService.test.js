@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const modelTrainingService = require('../services/modelTrainingService');
+const { PriceRecommendation, DemandActual } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const appliedAt = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS - 10 * DAY_MS + 9 * 60 * 60 * 1000);
+const day = (offset) => new Date(Math.floor(appliedAt.getTime() / DAY_MS) * DAY_MS + offset * DAY_MS);
+
+const recommendation = (product_id, expected_demand_change_pct) => ({
+  product_id,
+  category: 'Dairy',
+  season: 'Winter',
+  weekday: 'Monday',
+  days_left: 3,
+  stock_level: 40,
+  demand_score: 0.5,
+  recommended_price: 45,
+  expected_demand_change_pct,
+  city: null,
+  applied_at: appliedAt
+});
+
+const sales = (product_id, before, after) => [
+  ...before.map((units_sold, index) => ({ product_id, city: 'Pune', sale_date: day(index - before.length), units_sold })),
+  ...after.map((units_sold, index) => ({ product_id, city: 'Pune', sale_date: day(index), units_sold }))
+];
+
+test('buildFeedbackRows keeps only prices that sold at least as expected', async (t) => {
+  const lean = (rows) => ({ lean: async () => rows });
+  t.mock.method(PriceRecommendation, 'find', () => lean([
+    recommendation('MET', 20),
+    recommendation('MISSED', 20),
+    recommendation('NO_BASELINE', 0)
+  ]));
+  t.mock.method(DemandActual, 'find', () => lean([
+    ...sales('MET', [10, 10, 10], [12, 12, 12]),
+    ...sales('MISSED', [10, 10, 10], [11, 11, 11]),
+    ...sales('NO_BASELINE', [], [5, 5, 5])
+  ]));
+
+  const { rows, summary } = await modelTrainingService.buildFeedbackRows();
+
+  assert.deepEqual(summary, { applied: 3, met_forecast: 1, below_forecast: 1, unobserved: 1 });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].current_price, 45);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const modelWorkerPool = require('../services/modelWorkerPool');
+
+const ModelWorkerPool = modelWorkerPool.constructor;
+
+test('requests fail fast when the python executable is missing', { timeout: 10000 }, async () => {
+  const previous = process.env.PYTHON_EXECUTABLE;
+  process.env.PYTHON_EXECUTABLE = '/nonexistent/python';
+  const pool = new ModelWorkerPool({ poolSize: 2, requestTimeout: 30000 });
+
+  try {
+    const startedAt = Date.now();
+    await assert.rejects(pool.request('ping'), { code: 'MODEL_WORKER_UNAVAILABLE' });
+    assert.ok(Date.now() - startedAt < 5000);
+
+    // Once every worker has failed, later requests are refused until one is restarted
+    while (pool.getStatus().workers.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await assert.rejects(pool.request('ping'), { code: 'MODEL_WORKER_UNAVAILABLE' });
+  } finally {
+    await pool.stop();
+    if (previous === undefined) delete process.env.PYTHON_EXECUTABLE;
+    else process.env.PYTHON_EXECUTABLE = previous;
+  }
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const pricingService = require('../services/pricingService');
+const guardrailService = require('../services/guardrailService');
+const elasticityService = require('../services/elasticityService');
+const { Product } = require('../models');
+
+const markdown = () => ({
+  product_id: 'P1',
+  current_price: 100,
+  recommended_price: 70,
+  price_change_percentage: -30,
+  approval_threshold_pct: null
+});
+
+function stubDependencies(t, applied) {
+  t.mock.method(Product, 'find', async () => []);
+  t.mock.method(elasticityService, 'applyElasticity', async () => {});
+  t.mock.method(guardrailService, 'applyGuardrails', async (recommendations) => {
+    recommendations.forEach(rec => { rec.guardrails_applied = applied; });
+  });
+}
+
+test('finalizeRecommendations holds changes past the approval threshold', async (t) => {
+  stubDependencies(t, []);
+  const [rec] = await pricingService.finalizeRecommendations([markdown()], [{ product_id: 'P1' }]);
+  assert.equal(rec.status, 'pending_approval');
+});
+
+test('finalizeRecommendations lets planned changes the guardrails left alone through', async (t) => {
+  stubDependencies(t, []);
+  const [rec] = await pricingService.finalizeRecommendations([markdown()], [{ product_id: 'P1' }], { planned: true });
+  assert.equal(rec.status, 'generated');
+});
+
+test('finalizeRecommendations holds planned changes the guardrails limited', async (t) => {
+  stubDependencies(t, [{ rule: 'max_daily_change_decrease' }]);
+  const [rec] = await pricingService.finalizeRecommendations([markdown()], [{ product_id: 'P1' }], { planned: true });
+  assert.equal(rec.status, 'pending_approval');
+});
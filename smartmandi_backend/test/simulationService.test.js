@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const simulationService = require('../services/simulationService');
+const { Product } = require('../models');
+
+test('buildCandidates splits the range into evenly spaced prices', () => {
+  const candidates = simulationService.buildCandidates(100, { min_price: 80, max_price: 120, steps: 5 });
+  assert.deepEqual(candidates, [80, 90, 100, 110, 120]);
+});
+
+test('buildCandidates rejects step counts outside 2 to 50 before building the range', () => {
+  for (const steps of [1, 51, 1e9, 2.5, 'many']) {
+    assert.throws(() => simulationService.buildCandidates(100, { steps }), { status: 400 });
+  }
+});
+
+test('buildCandidates rejects more than 50 explicit prices', () => {
+  const prices = Array.from({ length: 51 }, (_, index) => index + 1);
+  assert.throws(() => simulationService.buildCandidates(100, { prices }), { status: 400 });
+});
+
+test('simulate rejects days_left that is not a whole number from 1 to 365', async (t) => {
+  t.mock.method(Product, 'findOne', async () => ({ product_id: 'P1', current_price: 50, stock_level: 10, days_left: 3 }));
+
+  for (const days_left of [0, -1, 366, 1e9, 2.5, 'soon']) {
+    await assert.rejects(simulationService.simulate({ product_id: 'P1', days_left }), { status: 400 });
+  }
+});
@@ -0,0 +1,133 @@
+// Standard 5-field cron expressions: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day_of_month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day_of_week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Years searched for the next run, enough to reach the next 29 February
+const MAX_SEARCH_YEARS = 4;
+
+/**
+ * Parse one cron field (supports *, lists, ranges and steps) into a Set of values
+ */
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+      throw new Error(`Invalid step "${part}" in cron ${name} field`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (/^\d+-\d+$/.test(rangePart)) {
+      [start, end] = rangePart.split('-').map(n => parseInt(n, 10));
+    } else if (/^\d+$/.test(rangePart)) {
+      start = parseInt(rangePart, 10);
+      end = stepPart === undefined ? start : max;
+    } else {
+      throw new Error(`Invalid value "${part}" in cron ${name} field`);
+    }
+
+    if (start < min || end > max || start > end) {
+      throw new Error(`Value "${part}" out of range ${min}-${max} in cron ${name} field`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      values.add(name === 'day_of_week' && n === 7 ? 0 : n);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression, throwing on invalid input
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields, got "${expression}"`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // As in cron, when both day fields are restricted a day matches either one
+  schedule.day_of_month_restricted = parts[2] !== '*';
+  schedule.day_of_week_restricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Check whether a cron expression is valid and ever fires (e.g. not 30 February)
+ */
+function isValidCron(expression) {
+  try {
+    return getNextRun(expression) !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether the day of a date (server local time) matches a parsed schedule
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.day_of_month.has(date.getDate());
+  const dayOfWeek = schedule.day_of_week.has(date.getDay());
+
+  if (schedule.day_of_month_restricted && schedule.day_of_week_restricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time after `from` that a cron expression fires, or null if none
+ * within MAX_SEARCH_YEARS. Skips whole months, days and hours that can't match.
+ */
+function getNextRun(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = new Date(candidate);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (candidate <= limit) {
+    if (!schedule.month.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+    } else {
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun,
+};
@@ -0,0 +1,63 @@
+/**
+ * Minimal CSV parser for uploaded files.
+ * Handles quoted fields (with "" escapes and embedded commas/newlines)
+ * and returns one object per row keyed by the trimmed header names.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+};
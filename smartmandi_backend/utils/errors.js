@@ -0,0 +1,22 @@
+/**
+ * Create an error carrying the HTTP status to respond with
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create an error carrying a machine readable code
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  httpError,
+  codedError,
+};
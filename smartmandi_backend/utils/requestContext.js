@@ -0,0 +1,12 @@
+/**
+ * Identify who made a request.
+ * There is no authentication yet, so callers identify themselves with the
+ * X-User-Id header (or a requested_by body field); otherwise 'anonymous'.
+ */
+function getRequester(req) {
+  return req.get('X-User-Id') || (req.body && req.body.requested_by) || 'anonymous';
+}
+
+module.exports = {
+  getRequester,
+};
@@ -26,6 +26,11 @@ const DynamicPricingDashboard = () => {
   const [error, setError] = useState('');
   const [optimizationSummary, setOptimizationSummary] = useState(null);
   const [analyticsData,setAnalyticsData]= useState([]);
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [historyCity, setHistoryCity] = useState('');
+  const [simulation, setSimulation] = useState(null);
+  const [simulationIndex, setSimulationIndex] = useState(0);
+  const [simulationError, setSimulationError] = useState('');
   const [dashboardStats, setDashboardStats] = useState({
     totalRecommendations: 0,
     averagePriceChange: 0,
@@ -117,6 +122,68 @@ const DynamicPricingDashboard = () => {
     fetchOptimizationSummary();
    }, []);
 
+  // Fetch the price timeline of the selected product
+  useEffect(() => {
+    if (!selectedProduct) {
+      setPriceHistory(null);
+      return;
+    }
+
+    const fetchPriceHistory = async () => {
+      try {
+        const params = historyCity ? { city: historyCity } : {};
+        const response = await axios.get(`/api/products/${selectedProduct}/price-history`, { params });
+        if (response.data.success && response.data.data) {
+          setPriceHistory({
+            ...response.data.data,
+            series: response.data.data.series.map(point => ({
+              ...point,
+              date: new Date(point.date).toLocaleDateString()
+            }))
+          });
+        }
+      } catch (error) {
+        console.error('Error fetching price history:', error);
+        setPriceHistory(null);
+      }
+    };
+
+    fetchPriceHistory();
+  }, [selectedProduct, historyCity]);
+
+  // Simulate candidate prices of the selected product for the simulator slider
+  useEffect(() => {
+    if (!selectedProduct) {
+      setSimulation(null);
+      setSimulationError('');
+      return;
+    }
+
+    const fetchSimulation = async () => {
+      try {
+        const response = await axios.post('/api/pricing/simulate', {
+          product_id: selectedProduct,
+          city: historyCity || undefined,
+          steps: 25
+        });
+        const data = response.data.data;
+        setSimulation(data);
+        setSimulationError('');
+
+        // Start the slider at the price closest to the current one
+        const closest = data.scenarios.reduce((best, scenario, index) =>
+          (Math.abs(scenario.price - data.current_price) < Math.abs(data.scenarios[best].price - data.current_price) ? index : best), 0);
+        setSimulationIndex(closest);
+      } catch (error) {
+        console.error('Error simulating prices:', error);
+        setSimulation(null);
+        setSimulationError(error.response?.data?.message || error.message);
+      }
+    };
+
+    fetchSimulation();
+  }, [selectedProduct, historyCity]);
+
   const handleGenerateForecast = async () => {
     if (!selectedProduct || !demandScore || !currentStock || !daysLeft || !currentPrice) {
       setError('Please fill all required fields');
@@ -164,12 +231,43 @@ const DynamicPricingDashboard = () => {
       
     } catch (error) {
       console.error('Error generating forecast:', error);
-      setError(`Failed to generate forecast: ${error.response?.data?.message || error.message}`);
+      setError(`Failed to generate forecast: ${error.response?.data?.message || error.response?.data?.error || error.message}`);
     }
     
     setLoading(false);
   };
 
+  // Price every product in the selected category with stock read from the catalogue
+  const handleBatchPricing = async () => {
+    if (!selectedCategory) {
+      setError('Please select a category to price');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/pricing/recommend/batch', {
+        filter: { category: selectedCategory }
+      });
+      const data = response.data.data;
+      setForecastResults(data);
+
+      setDashboardStats({
+        totalRecommendations: data.summary.total_products,
+        averagePriceChange: data.summary.avg_price_change,
+        averageConfidence: Math.round((data.avg_confidence || 0.8) * 100),
+        uniqueProducts: data.summary.total_products
+      });
+    } catch (error) {
+      console.error('Error generating batch pricing:', error);
+      setError(`Failed to price category: ${error.response?.data?.message || error.message}`);
+    }
+
+    setLoading(false);
+  };
+
   return (
     <div className="dashboard-container">
       <div className="dashboard-header">
@@ -356,16 +454,122 @@ const DynamicPricingDashboard = () => {
           >
             {loading ? '⏳ Generating...' : ' Generate'}
           </button>
+
+          {selectedCategory && (
+            <button
+              onClick={handleBatchPricing}
+              disabled={loading}
+              className="generate-card-btn batch-pricing-btn"
+            >
+              Price all {selectedCategory} products
+            </button>
+          )}
           
           {error && <div className="error-message" style={{marginTop: '10px', padding: '10px', fontSize: '0.8rem'}}>{error}</div>}
         </div>
         </div>
       </div>  
+      {/* Price History */}
+      {priceHistory && (
+        <div className="chart-section price-history-section">
+          <h2>Price History - {priceHistory.product_name}</h2>
+          <div className="price-history-controls">
+            <label>City</label>
+            <select
+              value={historyCity}
+              onChange={e => setHistoryCity(e.target.value)}
+              className="control-select"
+            >
+              <option value="">All cities</option>
+              {(products.find(p => p.product_id === selectedProduct)?.cities || []).map(city => (
+                <option key={city.city_name} value={city.city_name}>{city.city_name}</option>
+              ))}
+            </select>
+            <span className="price-history-count">{priceHistory.timeline.length} price changes</span>
+          </div>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={priceHistory.series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line
+                type="stepAfter"
+                dataKey="price"
+                stroke="#7B4CEA"
+                strokeWidth={2}
+                name="Price (₹)"
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Price Simulator */}
+      {selectedProduct && (simulation || simulationError) && (
+        <div className="chart-section simulator-section">
+          <h2>Price Simulator{simulation ? ` - ${simulation.product_name}` : ''}</h2>
+          {simulationError && <p className="simulator-note">Simulation unavailable: {simulationError}</p>}
+          {simulation && simulation.scenarios[simulationIndex] && (() => {
+            const scenario = simulation.scenarios[simulationIndex];
+            return (
+              <>
+                <p className="simulator-note">
+                  Stock {simulation.stock_level} units, {simulation.days_left} days to expiry, elasticity {simulation.elasticity.value.toFixed(2)} ({simulation.elasticity.source}), demand from {simulation.demand.source}
+                </p>
+                <div className="simulator-controls">
+                  <label>Price ₹{scenario.price}</label>
+                  <input
+                    type="range"
+                    min={0}
+                    max={simulation.scenarios.length - 1}
+                    value={simulationIndex}
+                    onChange={e => setSimulationIndex(parseInt(e.target.value))}
+                    className="simulator-slider"
+                  />
+                  <span>{scenario.price_change_percentage > 0 ? '+' : ''}{scenario.price_change_percentage}%</span>
+                </div>
+                <div className="simulator-metrics">
+                  <div><span className="metric-label">Expected Units</span><span className="metric-value">{scenario.expected_units}</span></div>
+                  <div><span className="metric-label">Revenue</span><span className="metric-value">₹{scenario.expected_revenue}</span></div>
+                  <div><span className="metric-label">Margin</span><span className="metric-value">{scenario.expected_margin !== null ? `₹${scenario.expected_margin}` : 'No cost price'}</span></div>
+                  <div><span className="metric-label">Leftover at Expiry</span><span className="metric-value">{scenario.leftover_stock} units</span></div>
+                  <div><span className="metric-label">Sell-through</span><span className="metric-value">{scenario.sell_through_pct}%{scenario.stockout_day ? ` (sold out day ${scenario.stockout_day})` : ''}</span></div>
+                </div>
+                {!scenario.within_guardrails && (
+                  <p className="simulator-warning">
+                    Guardrails would limit this price to ₹{scenario.guardrail_price} ({scenario.guardrails_applied.join(', ')})
+                  </p>
+                )}
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart data={simulation.scenarios}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="price" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Line type="monotone" dataKey="expected_revenue" stroke="#7B4CEA" strokeWidth={2} name="Revenue (₹)" />
+                    <Line type="monotone" dataKey="expected_margin" stroke="#82ca9d" strokeWidth={2} name="Margin (₹)" />
+                    <Line type="monotone" dataKey="leftover_stock" stroke="#ff7f50" strokeWidth={2} name="Leftover Units" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </>
+            );
+          })()}
+        </div>
+      )}
+
       {/* Recommendations Results */}
       <div className="results-container"> 
       {forecastResults && forecastResults.recommendations && (
        <div className="recommendation-grid">
         <h3> Recommendation Generated</h3>
+            {forecastResults.summary && (
+              <p className="batch-summary">
+                {forecastResults.summary.total_products} products priced: {forecastResults.summary.products_with_increase} up, {forecastResults.summary.products_with_decrease} down, {forecastResults.summary.pending_approval} awaiting approval
+              </p>
+            )}
             {forecastResults.recommendations && forecastResults.recommendations.map((result, index) => {
               
               return (
@@ -381,14 +585,61 @@ const DynamicPricingDashboard = () => {
                       <span className="metric-label">Percentage Change </span>
                       <span className="metric-value">{result.price_change_percentage}</span>
                     </div>
+                    {result.cost_price !== null && result.cost_price !== undefined && (
+                      <div className="metric">
+                        <span className="metric-label">Margin</span>
+                        <span className="metric-value">
+                          {result.current_margin_pct}% → {result.recommended_margin_pct}%
+                          {result.below_cost ? ' (below cost)' : ''}
+                        </span>
+                      </div>
+                    )}
+                    {result.competitor_prices && result.competitor_prices.min_price !== null && (
+                      <div className="metric">
+                        <span className="metric-label">Competitors (min / median)</span>
+                        <span className="metric-value">
+                          ₹{result.competitor_prices.min_price} / ₹{result.competitor_prices.median_price} ({result.competitor_position_pct > 0 ? '+' : ''}{result.competitor_position_pct}% vs lowest)
+                        </span>
+                      </div>
+                    )}
+                    {result.weather && result.weather.temperature_c !== null && (
+                      <div className="metric">
+                        <span className="metric-label">Weather</span>
+                        <span className="metric-value">
+                          {result.weather.temperature_c}°C, {result.weather.rainfall_mm}mm rain ({result.weather_contribution >= 0 ? '+' : ''}₹{result.weather_contribution})
+                        </span>
+                      </div>
+                    )}
+                    {result.elasticity && (
+                      <div className="metric">
+                        <span className="metric-label">Price Elasticity ({result.elasticity.scope})</span>
+                        <span className="metric-value">
+                          {result.elasticity.value.toFixed(2)}, expected demand {result.expected_demand_change_pct}%
+                        </span>
+                      </div>
+                    )}
                     <div className="metric">
                       <span className="metric-label">Confidence</span>
                       <span className="metric-value">{Math.round(result.confidence_score * 100)}%</span>
                     </div>
+                    {result.status === 'pending_approval' && (
+                      <div className="metric">
+                        <span className="metric-label">Status</span>
+                        <span className="metric-value">Waiting for manager approval (change above {result.approval_threshold_pct}%)</span>
+                      </div>
+                    )}
                     <div className="metric">
                       <span className="metric-label">Note : </span>
                       <span className="metric-value">{result.recommendation_reason}</span>
                     </div>
+                    {result.guardrails_applied && result.guardrails_applied.length > 0 && (
+                      <div className="metric">
+                        <span className="metric-label">Model Price (before guardrails)</span>
+                        <span className="metric-value">
+                          {result.raw_recommended_price} → {result.recommended_price} ({result.guardrails_applied.map(rule => rule.rule).join(', ')})
+                        </span>
+                      </div>
+                    )}
                     
                   </div>
                 </div>
@@ -407,6 +658,12 @@ const DynamicPricingDashboard = () => {
       <div>Avg Price Change: ₹{optimizationSummary.avg_price_change.toFixed(2)}</div>
       <div>Max Increase: ₹{optimizationSummary.max_price_increase}</div>
       <div>Max Decrease: ₹{optimizationSummary.max_price_decrease}</div>
+      {optimizationSummary.projected_margin_impact !== undefined && (
+        <div>Projected Margin Impact: ₹{Number(optimizationSummary.projected_margin_impact || 0).toFixed(2)}</div>
+      )}
+      {optimizationSummary.products_below_cost > 0 && (
+        <div>Below Cost: {optimizationSummary.products_below_cost}</div>
+      )}
     </div>
   </div>
 )}